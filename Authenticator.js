@@ -0,0 +1,295 @@
+/**
+ * Authenticator - Adds a data source's credentials to each request
+ *
+ * Supported `authentication.type`s:
+ *   none                       no credentials
+ *   query_param                { key, value } appended to the query string
+ *   header                     { key, value } sent as a request header
+ *   bearer                     { token } sent as "Authorization: Bearer <token>"
+ *   basic                      { username, password } sent as "Authorization: Basic ..."
+ *   oauth2_client_credentials  { tokenUrl, clientId, clientSecret, scope, audience } - an access
+ *                              token is requested from tokenUrl, cached, and renewed shortly
+ *                              before it expires (refreshBefore seconds, default 60)
+ *   hmac                       { keyId, secret } - every request is signed: the signature is
+ *                              HMAC(secret, timestamp + METHOD + path?query + body), sent with
+ *                              the timestamp in signatureHeader / timestampHeader
+ *
+ * Credentials are applied per attempt, so signatures carry a fresh timestamp
+ * and an expired token is replaced before a retry. Every credential the
+ * authenticator handles, including fetched access tokens, is registered with
+ * the SecretRedactor.
+ *
+ * @example
+ * const authenticator = new Authenticator();
+ * const request = await authenticator.authorize('treasury', source.authentication, {
+ *   url: 'https://api.example.gov/v1/rates',
+ *   options: { method: 'GET', headers: {} }
+ * });
+ * const response = await fetch(request.url, request.options);
+ */
+
+import { secretRedactor } from './SecretRedactor.js';
+
+const DEFAULT_REFRESH_BEFORE_SEC = 60;
+
+/**
+ * Error thrown when credentials cannot be obtained or applied,
+ * e.g. the OAuth2 token endpoint refused the client
+ */
+export class AuthenticationError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} [status] - HTTP status of the token endpoint, if it answered
+   */
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = status;
+  }
+}
+
+export class Authenticator {
+  /**
+   * Creates a new Authenticator instance
+   * @param {Object} options - Authenticator options
+   * @param {Function} [options.fetch] - Fetch implementation used for OAuth2 token requests
+   * @param {SubtleCrypto} [options.subtle] - WebCrypto implementation used for HMAC signatures
+   * @param {SecretRedactor} [options.redactor] - Redactor that credentials are registered with
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.subtle = options.subtle || globalThis.crypto?.subtle;
+    this.redactor = options.redactor || secretRedactor;
+    this.now = options.now || Date.now;
+    this.tokens = new Map(); // Cached OAuth2 tokens: { accessToken, expiresAt } or { pending }
+  }
+
+  /**
+   * Adds credentials to a request
+   * @param {string} sourceName - Name of the data source (used in error messages)
+   * @param {Object} [authentication] - The source's interpolated authentication settings
+   * @param {{url: string, options: Object}} request - Request URL and fetch options (not modified)
+   * @returns {Promise<{url: string, options: Object}>} The request with credentials added
+   * @throws {AuthenticationError} If an access token cannot be obtained or a request cannot be signed
+   */
+  async authorize(sourceName, authentication, request) {
+    const url = new URL(request.url);
+    const headers = { ...request.options.headers };
+
+    switch (authentication?.type) {
+      case 'query_param':
+        if (authentication.value) {
+          url.searchParams.set(authentication.key, authentication.value);
+        }
+        break;
+
+      case 'header':
+        if (authentication.value) {
+          headers[authentication.key] = authentication.value;
+        }
+        break;
+
+      case 'bearer':
+        if (authentication.token) {
+          this.redactor.addSecret(authentication.token);
+          headers.Authorization = `Bearer ${authentication.token}`;
+        }
+        break;
+
+      case 'basic': {
+        const credentials = encodeBase64(`${authentication.username ?? ''}:${authentication.password ?? ''}`);
+        this.redactor.addSecret(authentication.password);
+        this.redactor.addSecret(credentials);
+        headers.Authorization = `Basic ${credentials}`;
+        break;
+      }
+
+      case 'oauth2_client_credentials': {
+        const accessToken = await this.getAccessToken(sourceName, authentication);
+        headers.Authorization = `Bearer ${accessToken}`;
+        break;
+      }
+
+      case 'hmac':
+        Object.assign(headers, await this.sign(sourceName, authentication, url, request.options));
+        break;
+
+      default:
+        break; // 'none' or no authentication
+    }
+
+    return { url: url.toString(), options: { ...request.options, headers } };
+  }
+
+  /**
+   * Forgets a cached OAuth2 token, e.g. after the API rejected it with a 401
+   * @param {Object} [authentication] - The source's interpolated authentication settings
+   * @returns {boolean} True if a token was cached
+   */
+  invalidate(authentication) {
+    if (authentication?.type !== 'oauth2_client_credentials') {
+      return false;
+    }
+
+    return this.tokens.delete(Authenticator.getTokenKey(authentication));
+  }
+
+  /**
+   * Gets a valid access token, requesting a new one when none is cached or the cached one
+   * is about to expire. Concurrent callers share one token request, which is therefore
+   * not cancelled when one of them is.
+   * @private
+   */
+  async getAccessToken(sourceName, authentication) {
+    const key = Authenticator.getTokenKey(authentication);
+    const refreshBefore = (authentication.refreshBefore ?? DEFAULT_REFRESH_BEFORE_SEC) * 1000;
+    const cached = this.tokens.get(key);
+
+    if (cached?.pending) {
+      return cached.pending;
+    }
+
+    if (cached && (cached.expiresAt === null || cached.expiresAt - refreshBefore > this.now())) {
+      return cached.accessToken;
+    }
+
+    const pending = this.requestToken(sourceName, authentication).then(
+      (token) => {
+        this.tokens.set(key, token);
+        return token.accessToken;
+      },
+      (error) => {
+        this.tokens.delete(key);
+        throw error;
+      }
+    );
+
+    this.tokens.set(key, { pending });
+    return pending;
+  }
+
+  /**
+   * Requests an access token with the client credentials grant (RFC 6749 section 4.4)
+   * @private
+   * @returns {Promise<{accessToken: string, expiresAt: number|null}>}
+   */
+  async requestToken(sourceName, authentication) {
+    const { tokenUrl, clientId, clientSecret, scope, audience, clientAuth = 'basic' } = authentication;
+    this.redactor.addSecret(clientSecret);
+
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (scope) {
+      body.set('scope', scope);
+    }
+    if (audience) {
+      body.set('audience', audience);
+    }
+
+    if (clientAuth === 'body') {
+      body.set('client_id', clientId);
+      body.set('client_secret', clientSecret);
+    } else {
+      const credentials = encodeBase64(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`);
+      this.redactor.addSecret(credentials);
+      headers.Authorization = `Basic ${credentials}`;
+    }
+
+    let response;
+    try {
+      response = await this.fetch(tokenUrl, { method: 'POST', headers, body: body.toString() });
+    } catch (error) {
+      throw new AuthenticationError(`Could not reach the token endpoint for ${sourceName}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new AuthenticationError(
+        `Token request for ${sourceName} failed (${response.status})`,
+        response.status
+      );
+    }
+
+    const token = await response.json();
+    if (!token.access_token) {
+      throw new AuthenticationError(`Token response for ${sourceName} has no access_token`);
+    }
+
+    this.redactor.addSecret(token.access_token);
+    const expiresIn = Number(token.expires_in);
+
+    return {
+      accessToken: token.access_token,
+      // Without expires_in the token is used until the API rejects it
+      expiresAt: Number.isFinite(expiresIn) ? this.now() + expiresIn * 1000 : null
+    };
+  }
+
+  /**
+   * Builds the signature headers of an HMAC-signed request
+   * @private
+   * @returns {Promise<Object<string, string>>} Headers to add
+   */
+  async sign(sourceName, authentication, url, options) {
+    if (!this.subtle) {
+      throw new AuthenticationError(`Cannot sign requests to ${sourceName}: WebCrypto is not available`);
+    }
+
+    const {
+      keyId,
+      secret,
+      algorithm = 'SHA-256',
+      encoding = 'hex',
+      keyHeader = 'X-API-Key',
+      signatureHeader = 'X-Signature',
+      timestampHeader = 'X-Timestamp'
+    } = authentication;
+    this.redactor.addSecret(secret);
+
+    const timestamp = String(Math.floor(this.now() / 1000));
+    const method = (options.method || 'GET').toUpperCase();
+    const payload = `${timestamp}${method}${url.pathname}${url.search}${options.body ?? ''}`;
+
+    const encoder = new TextEncoder();
+    const key = await this.subtle.importKey(
+      'raw',
+      encoder.encode(secret ?? ''),
+      { name: 'HMAC', hash: algorithm },
+      false,
+      ['sign']
+    );
+    const signature = new Uint8Array(await this.subtle.sign('HMAC', key, encoder.encode(payload)));
+
+    const headers = {
+      [timestampHeader]: timestamp,
+      [signatureHeader]: encoding === 'base64'
+        ? encodeBase64(signature)
+        : Array.from(signature, byte => byte.toString(16).padStart(2, '0')).join('')
+    };
+
+    if (keyId) {
+      headers[keyHeader] = keyId;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Builds the cache key of an OAuth2 token, so sources sharing a client share its token
+   * @private
+   */
+  static getTokenKey({ tokenUrl, clientId, scope = '', audience = '' }) {
+    return [tokenUrl, clientId, scope, audience].join(' ');
+  }
+}
+
+/**
+ * Base64-encodes UTF-8 text or bytes
+ * @param {string|Uint8Array} value - Text or bytes
+ * @returns {string} Base64 string
+ */
+function encodeBase64(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  return btoa(String.fromCharCode(...bytes));
+}
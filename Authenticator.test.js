@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createHmac } from 'node:crypto';
+import { Authenticator, AuthenticationError } from '../src/Authenticator.js';
+import { SecretRedactor } from '../src/SecretRedactor.js';
+
+describe('Authenticator', () => {
+  const request = { url: 'https://api.example.com/v1/rates?base=EUR', options: { method: 'GET', headers: {} } };
+  let now;
+  let tokenFetch;
+  let redactor;
+  let authenticator;
+
+  const tokenResponse = (body, status = 200) => ({
+    ok: status < 400,
+    status,
+    json: async () => body
+  });
+
+  beforeEach(() => {
+    now = 1700000000000;
+    tokenFetch = vi.fn(async () => tokenResponse({ access_token: 'token-1', expires_in: 3600 }));
+    redactor = new SecretRedactor();
+    authenticator = new Authenticator({ fetch: tokenFetch, redactor, now: () => now });
+  });
+
+  it('should add query parameter, bearer and basic credentials', async () => {
+    const query = await authenticator.authorize('a', { type: 'query_param', key: 'apikey', value: 'k-1234' }, request);
+    expect(query.url).toBe('https://api.example.com/v1/rates?base=EUR&apikey=k-1234');
+
+    const bearer = await authenticator.authorize('a', { type: 'bearer', token: 't-1234' }, request);
+    expect(bearer.options.headers.Authorization).toBe('Bearer t-1234');
+
+    const basic = await authenticator.authorize('a', { type: 'basic', username: 'user', password: 'pass' }, request);
+    expect(basic.options.headers.Authorization).toBe(`Basic ${btoa('user:pass')}`);
+    expect(redactor.redact(basic.options.headers.Authorization)).toBe('Basic [REDACTED]');
+    expect(request.options.headers).toEqual({});
+  });
+
+  describe('oauth2_client_credentials', () => {
+    const authentication = {
+      type: 'oauth2_client_credentials',
+      tokenUrl: 'https://auth.example.com/token',
+      clientId: 'dashboard',
+      clientSecret: 's3cret',
+      scope: 'rates:read'
+    };
+
+    it('should request a token once and reuse it until shortly before it expires', async () => {
+      const first = await authenticator.authorize('a', authentication, request);
+      await authenticator.authorize('a', authentication, request);
+
+      expect(first.options.headers.Authorization).toBe('Bearer token-1');
+      expect(tokenFetch).toHaveBeenCalledTimes(1);
+
+      const [tokenUrl, tokenRequest] = tokenFetch.mock.calls[0];
+      expect(tokenUrl).toBe('https://auth.example.com/token');
+      expect(tokenRequest.headers.Authorization).toBe(`Basic ${btoa('dashboard:s3cret')}`);
+      expect(new URLSearchParams(tokenRequest.body).get('scope')).toBe('rates:read');
+
+      now += (3600 - 30) * 1000;
+      tokenFetch.mockResolvedValueOnce(tokenResponse({ access_token: 'token-2', expires_in: 3600 }));
+      const renewed = await authenticator.authorize('a', authentication, request);
+
+      expect(renewed.options.headers.Authorization).toBe('Bearer token-2');
+      expect(redactor.redact('token-2')).toBe('[REDACTED]');
+    });
+
+    it('should share one token request between concurrent callers', async () => {
+      await Promise.all([
+        authenticator.authorize('a', authentication, request),
+        authenticator.authorize('b', authentication, request)
+      ]);
+
+      expect(tokenFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw an AuthenticationError when the token endpoint refuses', async () => {
+      tokenFetch.mockResolvedValueOnce(tokenResponse({ error: 'invalid_client' }, 401));
+
+      const error = await authenticator.authorize('a', authentication, request).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.status).toBe(401);
+    });
+  });
+
+  it('should sign requests with an HMAC of timestamp, method, path and body', async () => {
+    const authentication = { type: 'hmac', keyId: 'key-1', secret: 'hmac-secret' };
+
+    const signed = await authenticator.authorize('a', authentication, {
+      url: request.url,
+      options: { method: 'POST', headers: {}, body: '{"q":1}' }
+    });
+
+    const expected = createHmac('sha256', 'hmac-secret')
+      .update('1700000000POST/v1/rates?base=EUR{"q":1}')
+      .digest('hex');
+    expect(signed.options.headers).toEqual({
+      'X-Timestamp': '1700000000',
+      'X-Signature': expected,
+      'X-API-Key': 'key-1'
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * CircuitBreaker - Stops calling a data source that keeps failing
+ *
+ * A breaker starts closed and lets every request through. After
+ * `failureThreshold` consecutive failures it opens, and requests fail
+ * immediately with a CircuitOpenError instead of hitting the API. Once
+ * `resetTimeout` has passed it becomes half-open and lets a single trial
+ * request through: success closes it again, failure re-opens it.
+ *
+ * @example
+ * const breaker = new CircuitBreaker('weather', {
+ *   failureThreshold: 5,
+ *   resetTimeout: 60000,
+ *   onStateChange: (status) => console.log(`${status.name} is now ${status.state}`)
+ * });
+ *
+ * breaker.assertCanRequest();   // throws CircuitOpenError while open
+ * try {
+ *   const data = await request();
+ *   breaker.recordSuccess();
+ * } catch (error) {
+ *   breaker.recordFailure();
+ * }
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Error thrown when a request is refused because the source's circuit is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} retryAt - Time (ms timestamp) when a trial request will be allowed
+   */
+  constructor(message, retryAt) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * Creates a new CircuitBreaker instance
+   * @param {string} name - Name of the protected data source
+   * @param {Object} options - Breaker options
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeout=60000] - Milliseconds to stay open before a trial request
+   * @param {Function} [options.onStateChange] - Called with getStatus() whenever the state changes
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeout = options.resetTimeout ?? 60000;
+    this.onStateChange = options.onStateChange || null;
+    this.now = options.now || Date.now;
+
+    this.currentState = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Current state; an open circuit whose reset timeout has passed reports half-open
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  get state() {
+    if (this.currentState === CIRCUIT_STATES.OPEN && this.now() >= this.openedAt + this.resetTimeout) {
+      this.setState(CIRCUIT_STATES.HALF_OPEN);
+    }
+    return this.currentState;
+  }
+
+  /**
+   * Throws unless a request may be sent now. In the half-open state only one
+   * trial request is allowed until it succeeds or fails.
+   * @throws {CircuitOpenError} If the circuit is open or a trial request is already running
+   */
+  assertCanRequest() {
+    const state = this.state;
+
+    if (state === CIRCUIT_STATES.CLOSED) {
+      return;
+    }
+
+    if (state === CIRCUIT_STATES.HALF_OPEN && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return;
+    }
+
+    const retryAt = this.openedAt + this.resetTimeout;
+    const seconds = Math.max(1, Math.ceil((retryAt - this.now()) / 1000));
+    throw new CircuitOpenError(
+      `${this.name} is paused after ${this.failures} consecutive failures; trying again in ${seconds}s`,
+      retryAt
+    );
+  }
+
+  /**
+   * Records a successful request, closing the circuit
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInProgress = false;
+    this.openedAt = null;
+    this.setState(CIRCUIT_STATES.CLOSED);
+  }
+
+  /**
+   * Records a failed request, opening the circuit at the threshold or when a trial fails
+   */
+  recordFailure() {
+    this.failures++;
+
+    const trialFailed = this.currentState === CIRCUIT_STATES.HALF_OPEN;
+    this.trialInProgress = false;
+
+    if (trialFailed || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this.setState(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  /**
+   * Frees the half-open trial slot after a request that ended without an
+   * outcome (e.g. it was cancelled), so another trial may be sent
+   */
+  releaseTrial() {
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Describes the breaker for display
+   * @returns {{name: string, state: string, failures: number, openedAt: number|null, retryAt: number|null}}
+   */
+  getStatus() {
+    const state = this.state;
+    return {
+      name: this.name,
+      state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAt: state === CIRCUIT_STATES.CLOSED ? null : this.openedAt + this.resetTimeout
+    };
+  }
+
+  /**
+   * Changes state and notifies the listener
+   * @private
+   */
+  setState(state) {
+    if (state === this.currentState && state !== CIRCUIT_STATES.OPEN) {
+      return;
+    }
+
+    this.currentState = state;
+    this.onStateChange?.(this.getStatus());
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CircuitBreaker, CircuitOpenError } from '../src/CircuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let changes;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000;
+    changes = [];
+    breaker = new CircuitBreaker('weather', {
+      failureThreshold: 3,
+      resetTimeout: 5000,
+      now: () => now,
+      onStateChange: (status) => changes.push(status.state)
+    });
+  });
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) {
+      breaker.assertCanRequest();
+      breaker.recordFailure();
+    }
+  };
+
+  it('should open after consecutive failures and refuse requests', () => {
+    fail(2);
+    expect(breaker.state).toBe('closed');
+
+    fail(1);
+    expect(breaker.state).toBe('open');
+    expect(() => breaker.assertCanRequest()).toThrow(CircuitOpenError);
+    expect(breaker.getStatus()).toMatchObject({ name: 'weather', failures: 3, retryAt: 6000 });
+  });
+
+  it('should reset the failure count on success', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should allow a single trial request once the reset timeout passes', () => {
+    fail(3);
+    now += 5000;
+
+    expect(breaker.state).toBe('half-open');
+    breaker.assertCanRequest();
+    expect(() => breaker.assertCanRequest()).toThrow(CircuitOpenError);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(changes).toEqual(['open', 'half-open', 'closed']);
+  });
+
+  it('should re-open when the trial request fails', () => {
+    fail(3);
+    now += 5000;
+
+    fail(1);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.getStatus().retryAt).toBe(now + 5000);
+  });
+
+  it('should free the trial slot when the trial ends without an outcome', () => {
+    fail(3);
+    now += 5000;
+    breaker.assertCanRequest();
+
+    breaker.releaseTrial();
+
+    expect(() => breaker.assertCanRequest()).not.toThrow();
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * ConfigLoaders - Interchangeable sources for configuration files
+ *
+ * A loader reads the raw contents of a configuration file by path. It returns
+ * either text, which is parsed according to the file's format (JSON with
+ * comments, YAML or TOML), or an already-parsed object. MCPConfigParser uses a
+ * loader for the main file and for every `$include`/`$ref`, so the same
+ * pipeline runs in the browser, under Node, or entirely from memory.
+ *
+ * Loaders implement a single method:
+ *   async read(path) => string | Object
+ *
+ * @example
+ * // Headless scripts and tests: read from disk under Node
+ * const parser = new MCPConfigParser('config.yaml', {
+ *   loader: new FileSystemConfigLoader({ baseDir: './public' })
+ * });
+ *
+ * @example
+ * // Prefer a config the user edited in the browser, fall back to the deployed file
+ * const loader = new LocalStorageConfigLoader({ fallback: new FetchConfigLoader() });
+ */
+
+import { JSONCParser, ConfigParseError } from './JSONCParser.js';
+
+/**
+ * Loads configuration files over HTTP with fetch (the browser default)
+ */
+export class FetchConfigLoader {
+  /**
+   * Creates a new FetchConfigLoader instance
+   * @param {Object} options - Loader options
+   * @param {Object} [options.requestInit] - Extra options passed to fetch
+   */
+  constructor(options = {}) {
+    this.requestInit = options.requestInit || {};
+  }
+
+  /**
+   * Fetches a configuration file
+   * @param {string} path - URL or path of the file
+   * @returns {Promise<string>} File contents
+   * @throws {Error} If the request fails
+   */
+  async read(path) {
+    const response = await fetch(path, this.requestInit);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load config file ${path}: ${response.status} ${response.statusText}`);
+    }
+
+    return response.text();
+  }
+}
+
+/**
+ * Loads configuration files from the filesystem under Node
+ */
+export class FileSystemConfigLoader {
+  /**
+   * Creates a new FileSystemConfigLoader instance
+   * @param {Object} options - Loader options
+   * @param {string} [options.baseDir] - Directory that paths are resolved against. When set,
+   *   paths starting with '/' are treated as relative to it, mirroring a web root.
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || null;
+  }
+
+  /**
+   * Reads a configuration file from disk
+   * @param {string} path - File path (query strings are ignored)
+   * @returns {Promise<string>} File contents
+   * @throws {Error} If the file cannot be read
+   */
+  async read(path) {
+    // Imported lazily so browser bundles never pull in Node built-ins
+    const { readFile } = await import('node:fs/promises');
+    const { resolve } = await import('node:path');
+
+    const filePath = stripQuery(path);
+    const fullPath = this.baseDir
+      ? resolve(this.baseDir, filePath.replace(/^\/+/, ''))
+      : resolve(filePath);
+
+    try {
+      return await readFile(fullPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to load config file ${path}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Loads configuration files that a user saved in browser storage
+ */
+export class LocalStorageConfigLoader {
+  /**
+   * Creates a new LocalStorageConfigLoader instance
+   * @param {Object} options - Loader options
+   * @param {Storage} [options.storage] - Storage to read from (defaults to window.localStorage)
+   * @param {string} [options.prefix] - Prefix for storage keys
+   * @param {Object} [options.fallback] - Loader used when a file is not in storage
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.prefix = options.prefix ?? 'dataweaver:config:';
+    this.fallback = options.fallback || null;
+  }
+
+  /**
+   * Reads a configuration file from storage, or from the fallback loader
+   * @param {string} path - File path (query strings are ignored)
+   * @returns {Promise<string|Object>} File contents
+   * @throws {Error} If the file is neither stored nor available from the fallback
+   */
+  async read(path) {
+    const stored = this.storage?.getItem(this.getKey(path));
+
+    if (stored !== null && stored !== undefined) {
+      return stored;
+    }
+
+    if (this.fallback) {
+      return this.fallback.read(path);
+    }
+
+    throw new Error(`Failed to load config file ${path}: not found in local storage`);
+  }
+
+  /**
+   * Saves a user-edited configuration file
+   * @param {string} path - File path the config will be read from
+   * @param {string} text - File contents
+   */
+  write(path, text) {
+    if (!this.storage) {
+      throw new Error('Local storage is not available');
+    }
+    this.storage.setItem(this.getKey(path), text);
+  }
+
+  /**
+   * Removes a saved configuration file so the fallback is used again
+   * @param {string} path - File path
+   */
+  remove(path) {
+    this.storage?.removeItem(this.getKey(path));
+  }
+
+  /**
+   * Builds the storage key for a path
+   * @private
+   */
+  getKey(path) {
+    return `${this.prefix}${stripQuery(path)}`;
+  }
+}
+
+/**
+ * Serves configuration documents held in memory
+ */
+export class InlineConfigLoader {
+  /**
+   * Creates a new InlineConfigLoader instance
+   * @param {Object<string, Object|string>} documents - Map from path to a config object or config text
+   */
+  constructor(documents = {}) {
+    this.documents = documents;
+  }
+
+  /**
+   * Returns an in-memory configuration document
+   * @param {string} path - Document path
+   * @returns {Promise<Object|string>} A copy of the document
+   * @throws {Error} If no document is registered under the path
+   */
+  async read(path) {
+    const key = path in this.documents ? path : stripQuery(path);
+
+    if (!(key in this.documents)) {
+      throw new Error(`Failed to load config file ${path}: no inline document registered`);
+    }
+
+    const document = this.documents[key];
+    return typeof document === 'string' ? document : structuredClone(document);
+  }
+}
+
+/**
+ * Detects and parses configuration file formats
+ */
+export class ConfigFormats {
+  /**
+   * Detects a file's format from its extension
+   * @param {string} path - File path
+   * @returns {string} 'yaml', 'toml' or 'json' (JSON with comments; also used for .kiro and unknown extensions)
+   */
+  static detect(path) {
+    const extension = stripQuery(path).match(/[^/]\.([^./]+)$/)?.[1]?.toLowerCase();
+
+    if (extension === 'yaml' || extension === 'yml') {
+      return 'yaml';
+    }
+    if (extension === 'toml') {
+      return 'toml';
+    }
+    return 'json';
+  }
+
+  /**
+   * Parses configuration text in the format matching its path
+   * @param {string} text - File contents
+   * @param {string} path - File path, used to pick the format and in error messages
+   * @returns {Promise<any>} Parsed document
+   * @throws {ConfigParseError} If the text is not valid for its format
+   */
+  static async parse(text, path) {
+    const format = ConfigFormats.detect(path);
+
+    try {
+      if (format === 'yaml') {
+        const { parse } = await import('yaml');
+        return parse(text);
+      }
+
+      if (format === 'toml') {
+        const { parse } = await import('smol-toml');
+        return parse(text);
+      }
+
+      return JSONCParser.parse(text);
+    } catch (error) {
+      const position = ConfigFormats.getErrorPosition(error);
+      if (!position) {
+        throw error;
+      }
+
+      const reason = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+      const message = error instanceof ConfigParseError
+        ? error.message
+        : `${reason} at line ${position.line}, column ${position.column}`;
+
+      throw new ConfigParseError(`Invalid ${format.toUpperCase()} in config file ${path}: ${message}`, position);
+    }
+  }
+
+  /**
+   * Extracts a line/column position from a JSONC, YAML or TOML parse error
+   * @param {Error} error - Parse error
+   * @returns {{line: number, column: number, offset: number}|null} Position, or null if the error has none
+   * @private
+   */
+  static getErrorPosition(error) {
+    if (error instanceof ConfigParseError) {
+      return { line: error.line, column: error.column, offset: error.offset };
+    }
+    if (error?.name === 'YAMLParseError' && error.linePos) {
+      return { line: error.linePos[0].line, column: error.linePos[0].col, offset: error.pos?.[0] };
+    }
+    if (error?.name === 'TomlError' || error?.constructor?.name === 'TomlError') {
+      return { line: error.line, column: error.column, offset: undefined };
+    }
+    return null;
+  }
+}
+
+/**
+ * Removes a query string or fragment from a path
+ * @param {string} path - Path that may include ?query or #fragment
+ * @returns {string} Path without them
+ */
+function stripQuery(path) {
+  return path.split(/[?#]/)[0];
+}
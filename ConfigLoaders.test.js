@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  FileSystemConfigLoader,
+  LocalStorageConfigLoader,
+  InlineConfigLoader,
+  ConfigFormats
+} from '../src/ConfigLoaders.js';
+import { ConfigParseError } from '../src/JSONCParser.js';
+import { MCPConfigParser } from '../src/MCPConfigParser.js';
+
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const validConfig = {
+  mcpVersion: '1.1',
+  projectName: 'inline',
+  dataSources: {
+    weather: {
+      name: 'Weather',
+      endpoint: 'https://archive-api.open-meteo.com/v1/archive',
+      method: 'GET',
+      transformation: { timestampField: 'hourly.time', valueField: 'hourly.temperature_2m' }
+    }
+  }
+};
+
+describe('ConfigLoaders', () => {
+  describe('ConfigFormats', () => {
+    it('should detect formats from file extensions', () => {
+      expect(ConfigFormats.detect('/config.yaml?v=1')).toBe('yaml');
+      expect(ConfigFormats.detect('config.YML')).toBe('yaml');
+      expect(ConfigFormats.detect('config.toml')).toBe('toml');
+      expect(ConfigFormats.detect('/.kiro')).toBe('json');
+      expect(ConfigFormats.detect('/config.json')).toBe('json');
+    });
+
+    it('should parse YAML and TOML', async () => {
+      expect(await ConfigFormats.parse('a: 1\nlist:\n  - x\n', 'c.yaml')).toEqual({ a: 1, list: ['x'] });
+      expect(await ConfigFormats.parse('a = 1\n[b]\nc = "d"\n', 'c.toml')).toEqual({ a: 1, b: { c: 'd' } });
+    });
+
+    it('should report YAML syntax errors with line and column', async () => {
+      await expect(ConfigFormats.parse('a: [1\nb: 2', 'bad.yaml')).rejects.toBeInstanceOf(ConfigParseError);
+      await expect(ConfigFormats.parse('a: [1\nb: 2', 'bad.yaml')).rejects.toThrow(/Invalid YAML in config file bad\.yaml: .* at line \d+, column \d+/);
+    });
+  });
+
+  describe('FileSystemConfigLoader', () => {
+    let directory;
+
+    beforeAll(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'data-weaver-'));
+      await writeFile(join(directory, 'config.yaml'), [
+        'mcpVersion: "1.1"',
+        'projectName: yaml-project',
+        'dataSources:',
+        '  weather:',
+        '    $include: weather.json'
+      ].join('\n'));
+      await writeFile(join(directory, 'weather.json'), JSON.stringify(validConfig.dataSources.weather));
+    });
+
+    afterAll(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should load a YAML config with JSON includes from disk', async () => {
+      const parser = new MCPConfigParser('/config.yaml', {
+        loader: new FileSystemConfigLoader({ baseDir: directory })
+      });
+
+      const config = await parser.loadConfig();
+      expect(config.projectName).toBe('yaml-project');
+      expect(config.dataSources.weather.endpoint).toBe('https://archive-api.open-meteo.com/v1/archive');
+    });
+
+    it('should report missing files', async () => {
+      const loader = new FileSystemConfigLoader({ baseDir: directory });
+      await expect(loader.read('/missing.json')).rejects.toThrow('Failed to load config file /missing.json');
+    });
+  });
+
+  describe('LocalStorageConfigLoader', () => {
+    it('should prefer a stored config and fall back otherwise', async () => {
+      const storage = createMemoryStorage();
+      const loader = new LocalStorageConfigLoader({
+        storage,
+        fallback: new InlineConfigLoader({ '/config.json': '{"source": "deployed"}' })
+      });
+
+      expect(await loader.read('/config.json?v=1')).toBe('{"source": "deployed"}');
+
+      loader.write('/config.json', '{"source": "edited"}');
+      expect(await loader.read('/config.json?v=2')).toBe('{"source": "edited"}');
+
+      loader.remove('/config.json');
+      expect(await loader.read('/config.json')).toBe('{"source": "deployed"}');
+    });
+
+    it('should fail without a stored config or fallback', async () => {
+      const loader = new LocalStorageConfigLoader({ storage: createMemoryStorage() });
+      await expect(loader.read('/config.json')).rejects.toThrow('not found in local storage');
+    });
+  });
+
+  describe('InlineConfigLoader', () => {
+    it('should run the full pipeline from an in-memory object', async () => {
+      const parser = MCPConfigParser.fromObject(validConfig);
+      const config = await parser.loadConfig();
+
+      expect(config.projectName).toBe('inline');
+      // The caller's object is not modified by loading
+      expect(config).not.toBe(validConfig);
+    });
+  });
+});
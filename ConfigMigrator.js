@@ -0,0 +1,297 @@
+/**
+ * ConfigMigrator - Upgrades older .kiro configurations to the current format
+ *
+ * Each migration upgrades a configuration from one `mcpVersion` to the next.
+ * Loading an old configuration runs every step in order until it reaches
+ * CURRENT_MCP_VERSION, and the report lists each change so users can see
+ * (and save) what was rewritten.
+ *
+ * @example
+ * const migrator = new ConfigMigrator();
+ * const { config, report } = migrator.migrate(oldConfig);
+ * if (report.migrated) {
+ *   console.log(`Upgraded ${report.fromVersion} -> ${report.toVersion}`);
+ *   for (const change of report.changes) {
+ *     console.log(`${change.action} ${change.path}`);
+ *   }
+ *   saveFile(ConfigMigrator.serialize(config));
+ * }
+ *
+ * @example
+ * // Register a migration when the config format changes
+ * migrator.register({
+ *   from: '1.2',
+ *   to: '1.3',
+ *   description: 'Rename options.errorHandling.retryDelay to initialDelay',
+ *   migrate(config, changes) {
+ *     changes.rename(config.options?.errorHandling, 'options.errorHandling', 'retryDelay', 'initialDelay');
+ *   }
+ * });
+ */
+
+import { ConfigError } from './ErrorHandler.js';
+
+/**
+ * The configuration format version this build of the dashboard understands
+ */
+export const CURRENT_MCP_VERSION = '1.2';
+
+/**
+ * Built-in migrations, in order
+ */
+export const DEFAULT_MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'Make authentication, HTTP method casing and cache/retry defaults explicit',
+    migrate(config, changes) {
+      for (const [sourceName, source] of Object.entries(config.dataSources || {})) {
+        const sourcePath = `dataSources.${sourceName}`;
+
+        if (!source || typeof source !== 'object') {
+          continue;
+        }
+
+        changes.setDefault(source, sourcePath, 'authentication', { type: 'none' });
+
+        if (typeof source.method === 'string' && source.method !== source.method.toUpperCase()) {
+          changes.set(source, sourcePath, 'method', source.method.toUpperCase());
+        }
+      }
+
+      changes.setDefault(config, '', 'options', {});
+      changes.setDefault(config.options, 'options', 'cache', { enabled: true, ttl: 300 });
+      changes.setDefault(config.options, 'options', 'errorHandling', {
+        maxRetries: 3,
+        retryDelay: 1000,
+        backoffMultiplier: 2
+      });
+    }
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    description: 'Make the time range parameters each source receives explicit with paramMapping',
+    migrate(config, changes) {
+      // Before 1.2 every source received all of these. Keep sending them, except where
+      // they used to overwrite one of the source's own defaultParams.
+      const legacyMapping = {
+        start: { from: 'timeRange.start', format: 'epoch-seconds' },
+        end: { from: 'timeRange.end', format: 'epoch-seconds' },
+        start_date: { from: 'timeRange.start', format: 'iso-date' },
+        end_date: { from: 'timeRange.end', format: 'iso-date' },
+        from: { from: 'timeRange.start', format: 'epoch-seconds' },
+        to: { from: 'timeRange.end', format: 'epoch-seconds' }
+      };
+
+      for (const [sourceName, source] of Object.entries(config.dataSources || {})) {
+        if (!source || typeof source !== 'object' || source.paramMapping) {
+          continue;
+        }
+
+        const paramMapping = {};
+        for (const [param, mapping] of Object.entries(legacyMapping)) {
+          if (source.defaultParams?.[param] === undefined) {
+            paramMapping[param] = mapping;
+          }
+        }
+
+        changes.setDefault(source, `dataSources.${sourceName}`, 'paramMapping', paramMapping);
+      }
+    }
+  }
+];
+
+export class ConfigMigrator {
+  /**
+   * Creates a new ConfigMigrator instance
+   * @param {Object} options - Migrator options
+   * @param {Array<Object>} [options.migrations] - Migrations to start with (defaults to the built-in ones)
+   * @param {string} [options.currentVersion] - Version to migrate to (defaults to CURRENT_MCP_VERSION)
+   */
+  constructor(options = {}) {
+    this.migrations = [...(options.migrations || DEFAULT_MIGRATIONS)];
+    this.currentVersion = options.currentVersion || CURRENT_MCP_VERSION;
+  }
+
+  /**
+   * Registers an additional migration step
+   * @param {Object} migration - Migration definition
+   * @param {string} migration.from - Version the step upgrades from
+   * @param {string} migration.to - Version the step upgrades to
+   * @param {string} migration.description - Human-readable summary of the step
+   * @param {Function} migration.migrate - (config, changes) => void; mutates config in place
+   *   and records edits through the `changes` helpers (rename, set, setDefault, remove)
+   * @returns {ConfigMigrator} This migrator, for chaining
+   */
+  register(migration) {
+    if (!migration.from || !migration.to || typeof migration.migrate !== 'function') {
+      throw new Error('A migration needs from, to and a migrate function');
+    }
+
+    if (this.migrations.some(existing => existing.from === migration.from)) {
+      throw new Error(`A migration from mcpVersion ${migration.from} is already registered`);
+    }
+
+    this.migrations.push(migration);
+    return this;
+  }
+
+  /**
+   * Migrates a configuration to the current version
+   * @param {Object} config - Configuration to migrate (not modified)
+   * @returns {{config: Object, report: Object}} The migrated configuration and a report with
+   *   fromVersion, toVersion, migrated, steps (each with its changes) and a flat list of changes
+   * @throws {ConfigError} If the version is unknown, newer than supported, or has no migration path
+   */
+  migrate(config) {
+    const fromVersion = config?.mcpVersion;
+    const report = {
+      fromVersion,
+      toVersion: fromVersion,
+      migrated: false,
+      steps: [],
+      changes: []
+    };
+
+    if (typeof fromVersion !== 'string' || fromVersion === '') {
+      // Let validation report the missing version
+      return { config, report };
+    }
+
+    if (ConfigMigrator.compareVersions(fromVersion, this.currentVersion) > 0) {
+      throw new ConfigError(
+        `Config mcpVersion ${fromVersion} is newer than the supported version ${this.currentVersion}. Please update the dashboard.`
+      );
+    }
+
+    const migrated = structuredClone(config);
+    let version = fromVersion;
+
+    while (version !== this.currentVersion) {
+      const step = this.migrations.find(migration => migration.from === version);
+
+      if (!step) {
+        throw new ConfigError(`No migration path from mcpVersion ${version} to ${this.currentVersion}`);
+      }
+
+      const changes = [];
+      step.migrate(migrated, ConfigMigrator.createChangeRecorder(changes));
+      ConfigMigrator.recordSet(changes, '', 'mcpVersion', version, step.to);
+      migrated.mcpVersion = step.to;
+
+      report.steps.push({ from: step.from, to: step.to, description: step.description, changes });
+      report.changes.push(...changes.map(change => ({ ...change, step: `${step.from} -> ${step.to}` })));
+      version = step.to;
+    }
+
+    report.toVersion = version;
+    report.migrated = report.steps.length > 0;
+
+    return { config: migrated, report };
+  }
+
+  /**
+   * Serializes a migrated configuration so it can be written back to disk
+   * @param {Object} config - Configuration to serialize
+   * @returns {string} Pretty-printed JSON text
+   */
+  static serialize(config) {
+    return `${JSON.stringify(config, null, 2)}\n`;
+  }
+
+  /**
+   * Compares two dotted version strings numerically
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+   */
+  static compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const difference = (partsA[i] || 0) - (partsB[i] || 0);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Creates the helpers a migration uses to edit a configuration and record what it did
+   * @param {Array<Object>} changes - List the helpers append change records to
+   * @returns {Object} Helpers: rename, set, setDefault, remove
+   * @private
+   */
+  static createChangeRecorder(changes) {
+    return {
+      /**
+       * Renames a field, unless the new name is already present
+       */
+      rename(target, basePath, oldKey, newKey) {
+        if (!target || !(oldKey in target) || newKey in target) {
+          return;
+        }
+        target[newKey] = target[oldKey];
+        delete target[oldKey];
+        changes.push({
+          action: 'renamed',
+          path: ConfigMigrator.joinPath(basePath, oldKey),
+          to: ConfigMigrator.joinPath(basePath, newKey)
+        });
+      },
+
+      /**
+       * Sets a field to a new value
+       */
+      set(target, basePath, key, value) {
+        if (!target) {
+          return;
+        }
+        ConfigMigrator.recordSet(changes, basePath, key, target[key], value);
+        target[key] = value;
+      },
+
+      /**
+       * Adds a field with a default value if it is missing
+       */
+      setDefault(target, basePath, key, value) {
+        if (!target || target[key] !== undefined) {
+          return;
+        }
+        target[key] = value;
+        changes.push({ action: 'added', path: ConfigMigrator.joinPath(basePath, key), value });
+      },
+
+      /**
+       * Removes a field
+       */
+      remove(target, basePath, key) {
+        if (!target || !(key in target)) {
+          return;
+        }
+        changes.push({ action: 'removed', path: ConfigMigrator.joinPath(basePath, key), from: target[key] });
+        delete target[key];
+      }
+    };
+  }
+
+  /**
+   * Records a value change
+   * @private
+   */
+  static recordSet(changes, basePath, key, from, to) {
+    changes.push({ action: 'changed', path: ConfigMigrator.joinPath(basePath, key), from, to });
+  }
+
+  /**
+   * Appends a key to a JSON path
+   * @private
+   */
+  static joinPath(basePath, key) {
+    return basePath ? `${basePath}.${key}` : key;
+  }
+}
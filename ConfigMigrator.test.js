@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { ConfigMigrator, CURRENT_MCP_VERSION } from '../src/ConfigMigrator.js';
+
+describe('ConfigMigrator', () => {
+  const createConfig = (version = '1.0') => ({
+    mcpVersion: version,
+    projectName: 'test',
+    dataSources: {
+      weather: {
+        name: 'Weather',
+        endpoint: 'https://api.example.com',
+        method: 'get',
+        transformation: { timestampField: 't', valueField: 'v' }
+      }
+    },
+    options: { errorHandling: { maxRetries: 5, retryDelay: 500, backoffMultiplier: 2 } }
+  });
+
+  it('should upgrade a 1.0 config with explicit defaults', () => {
+    const original = createConfig();
+    const { config, report } = new ConfigMigrator().migrate(original);
+
+    expect(config.mcpVersion).toBe(CURRENT_MCP_VERSION);
+    expect(config.dataSources.weather.authentication).toEqual({ type: 'none' });
+    expect(config.dataSources.weather.method).toBe('GET');
+    expect(config.options.cache).toEqual({ enabled: true, ttl: 300 });
+    expect(config.options.errorHandling.maxRetries).toBe(5);
+    expect(report.steps).toHaveLength(2);
+    expect(report.changes).toContainEqual({
+      action: 'changed', path: 'mcpVersion', from: '1.0', to: '1.1', step: '1.0 -> 1.1'
+    });
+    // The input is left untouched
+    expect(original.mcpVersion).toBe('1.0');
+  });
+
+  it('should leave current configs unchanged', () => {
+    const { config, report } = new ConfigMigrator().migrate(createConfig(CURRENT_MCP_VERSION));
+    expect(report.migrated).toBe(false);
+    expect(report.changes).toEqual([]);
+    expect(config.dataSources.weather.method).toBe('get');
+  });
+
+  it('should run registered migrations step by step', () => {
+    const migrator = new ConfigMigrator({ currentVersion: '1.3' });
+    migrator.register({
+      from: '1.2',
+      to: '1.3',
+      description: 'Rename retryDelay',
+      migrate(config, changes) {
+        changes.rename(config.options.errorHandling, 'options.errorHandling', 'retryDelay', 'initialDelay');
+      }
+    });
+
+    const { config, report } = migrator.migrate(createConfig('1.0'));
+
+    expect(config.mcpVersion).toBe('1.3');
+    expect(config.options.errorHandling.initialDelay).toBe(500);
+    expect(config.options.errorHandling.retryDelay).toBeUndefined();
+    expect(report.steps.map(step => `${step.from}->${step.to}`)).toEqual(['1.0->1.1', '1.1->1.2', '1.2->1.3']);
+    expect(report.changes).toContainEqual({
+      action: 'renamed',
+      path: 'options.errorHandling.retryDelay',
+      to: 'options.errorHandling.initialDelay',
+      step: '1.2 -> 1.3'
+    });
+  });
+
+  it('should map the legacy time range params without clobbering defaultParams', () => {
+    const original = createConfig('1.1');
+    original.dataSources.weather.defaultParams = { from: 'EUR' };
+    const { config } = new ConfigMigrator().migrate(original);
+    const { paramMapping } = config.dataSources.weather;
+
+    expect(paramMapping.start_date).toEqual({ from: 'timeRange.start', format: 'iso-date' });
+    expect(paramMapping.end).toEqual({ from: 'timeRange.end', format: 'epoch-seconds' });
+    expect(paramMapping.from).toBeUndefined();
+  });
+
+  it('should fail when no migration path exists', () => {
+    expect(() => new ConfigMigrator().migrate(createConfig('0.9'))).toThrow('No migration path from mcpVersion 0.9');
+  });
+
+  it('should compare versions numerically', () => {
+    expect(ConfigMigrator.compareVersions('1.10', '1.9')).toBeGreaterThan(0);
+    expect(ConfigMigrator.compareVersions('1.0', '1')).toBe(0);
+  });
+});
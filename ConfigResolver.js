@@ -0,0 +1,455 @@
+/**
+ * ConfigResolver - Composes a configuration from several files
+ *
+ * This class resolves the composition directives that let teams share
+ * configuration instead of copying it between files:
+ * - `$include`: a path (or list of paths) whose contents are merged into the
+ *   object containing the directive; the object's own keys win
+ * - `$ref`: replaces the containing object with the referenced value; sibling
+ *   keys are merged on top. Both accept a JSON pointer fragment, e.g.
+ *   `"shared/sources.json#/weather"` or `"#/templates/openMeteo"`
+ * - environment overlays: `config.dev.json` merged on top of `config.json`
+ * - `templates` + `extends`: reusable source blocks that concrete data
+ *   sources extend and override (including individual `defaultParams`)
+ *
+ * While merging it records where every leaf value came from, so the final
+ * configuration can be traced back to the file (and template) that set it.
+ *
+ * @example
+ * const resolver = new ConfigResolver({
+ *   readDocument: async (path) => JSONCParser.parse(await readText(path))
+ * });
+ * const { config, provenance } = await resolver.resolve('/config.json', { environment: 'dev' });
+ * console.log(provenance['dataSources.weather.defaultParams.latitude']); // '/config.dev.json'
+ */
+
+import { ConfigError } from './ErrorHandler.js';
+
+export class ConfigResolver {
+  /**
+   * Creates a new ConfigResolver instance
+   * @param {Object} options - Resolver options
+   * @param {Function} options.readDocument - Async function (path) => parsed document
+   */
+  constructor({ readDocument }) {
+    this.readDocument = readDocument;
+    this.documents = new Map(); // Parsed documents by path, so each file is read once
+  }
+
+  /**
+   * Resolves a configuration file and everything it references
+   * @param {string} rootPath - Path of the main configuration file
+   * @param {Object} options - Resolution options
+   * @param {string} [options.environment] - Environment name whose overlay file should be merged on top
+   * @returns {Promise<{config: Object, provenance: Object<string, string>}>}
+   *   The resolved configuration and a map from JSON path to the origin of each value
+   * @throws {ConfigError} If a reference cannot be resolved or includes are circular
+   */
+  async resolve(rootPath, { environment } = {}) {
+    let resolved = await this.expandFile(rootPath, '', []);
+
+    if (environment) {
+      const overlayPath = ConfigResolver.getOverlayPath(rootPath, environment);
+      const overlay = await this.expandFile(overlayPath, '', []);
+      resolved = ConfigResolver.merge(resolved, overlay);
+    }
+
+    resolved = this.applyTemplates(resolved);
+
+    return {
+      config: structuredClone(resolved.value),
+      provenance: Object.fromEntries(resolved.origins)
+    };
+  }
+
+  /**
+   * Reads a document once and caches it
+   * @param {string} path - Document path
+   * @returns {Promise<any>} Parsed document
+   * @private
+   */
+  async getDocument(path) {
+    if (!this.documents.has(path)) {
+      this.documents.set(path, await this.readDocument(path));
+    }
+    return this.documents.get(path);
+  }
+
+  /**
+   * Loads a file (or a pointer into it) and expands its directives
+   * @param {string} path - File path
+   * @param {string} pointer - JSON pointer into the file ('' for the whole document)
+   * @param {string[]} stack - References currently being expanded, for cycle detection
+   * @returns {Promise<{value: any, origins: Map<string, string>}>} Traced value
+   * @private
+   */
+  async expandFile(path, pointer, stack) {
+    const key = pointer ? `${path}#${pointer}` : path;
+
+    if (stack.includes(key)) {
+      throw new ConfigError(`Circular config reference: ${[...stack, key].join(' -> ')}`);
+    }
+
+    const document = await this.getDocument(path);
+    const target = ConfigResolver.resolvePointer(document, pointer, key);
+
+    return this.expand(target, path, [...stack, key]);
+  }
+
+  /**
+   * Loads the value a $include or $ref string points at
+   * @param {string} reference - Reference such as "sources.json", "sources.json#/weather" or "#/templates/x"
+   * @param {string} currentPath - Path of the file containing the reference
+   * @param {string[]} stack - References currently being expanded
+   * @returns {Promise<{value: any, origins: Map<string, string>}>} Traced value
+   * @private
+   */
+  async expandReference(reference, currentPath, stack) {
+    if (typeof reference !== 'string' || reference === '') {
+      throw new ConfigError(`Invalid config reference in ${currentPath}: expected a non-empty string`);
+    }
+
+    const hashIndex = reference.indexOf('#');
+    const filePart = hashIndex === -1 ? reference : reference.slice(0, hashIndex);
+    const pointer = hashIndex === -1 ? '' : reference.slice(hashIndex + 1);
+    const path = filePart ? ConfigResolver.resolvePath(currentPath, filePart) : currentPath;
+
+    return this.expandFile(path, pointer, stack);
+  }
+
+  /**
+   * Recursively expands $include and $ref directives in a value
+   * @param {any} value - Value to expand
+   * @param {string} path - File the value was read from
+   * @param {string[]} stack - References currently being expanded
+   * @returns {Promise<{value: any, origins: Map<string, string>}>} Traced value with origins relative to the value
+   * @private
+   */
+  async expand(value, path, stack) {
+    if (Array.isArray(value)) {
+      const result = { value: [], origins: new Map() };
+      if (value.length === 0) {
+        result.origins.set('', path);
+      }
+      for (let i = 0; i < value.length; i++) {
+        const item = await this.expand(value[i], path, stack);
+        result.value.push(item.value);
+        ConfigResolver.copyOrigins(item.origins, result.origins, ConfigResolver.joinPath('', i));
+      }
+      return result;
+    }
+
+    if (!ConfigResolver.isPlainObject(value)) {
+      return { value, origins: new Map([['', path]]) };
+    }
+
+    const { $ref, $include, ...ownProperties } = value;
+    let base = null;
+
+    if ($ref !== undefined) {
+      base = await this.expandReference($ref, path, stack);
+    }
+
+    if ($include !== undefined) {
+      const includes = Array.isArray($include) ? $include : [$include];
+      for (const include of includes) {
+        const included = await this.expandReference(include, path, stack);
+        base = base ? ConfigResolver.merge(base, included) : included;
+      }
+    }
+
+    const own = { value: {}, origins: new Map() };
+    for (const [key, child] of Object.entries(ownProperties)) {
+      const expanded = await this.expand(child, path, stack);
+      own.value[key] = expanded.value;
+      ConfigResolver.copyOrigins(expanded.origins, own.origins, ConfigResolver.joinPath('', key));
+    }
+
+    if (Object.keys(own.value).length === 0 && !base) {
+      own.origins.set('', path);
+    }
+
+    return base ? ConfigResolver.merge(base, own) : own;
+  }
+
+  /**
+   * Applies `templates` to data sources declaring `extends`, then removes the templates
+   * @param {{value: Object, origins: Map<string, string>}} resolved - Traced configuration
+   * @returns {{value: Object, origins: Map<string, string>}} Traced configuration without templates
+   * @private
+   */
+  applyTemplates(resolved) {
+    const { value, origins } = resolved;
+
+    if (!ConfigResolver.isPlainObject(value)) {
+      return resolved;
+    }
+
+    const templates = value.templates || {};
+    const config = { ...value };
+    const configOrigins = new Map(origins);
+    delete config.templates;
+    ConfigResolver.deleteOrigins(configOrigins, 'templates');
+
+    if (!ConfigResolver.isPlainObject(config.dataSources)) {
+      return { value: config, origins: configOrigins };
+    }
+
+    config.dataSources = { ...config.dataSources };
+
+    for (const [sourceName, source] of Object.entries(config.dataSources)) {
+      if (!ConfigResolver.isPlainObject(source) || source.extends === undefined) {
+        continue;
+      }
+
+      const sourcePath = ConfigResolver.joinPath('dataSources', sourceName);
+      const template = this.resolveTemplate(source.extends, templates, origins, `${sourcePath}.extends`, []);
+
+      const { extends: _templateName, ...overrides } = source;
+      const own = {
+        value: overrides,
+        origins: ConfigResolver.extractOrigins(configOrigins, sourcePath)
+      };
+      own.origins.delete('extends');
+
+      const merged = ConfigResolver.merge(template, own);
+      config.dataSources[sourceName] = merged.value;
+      ConfigResolver.deleteOrigins(configOrigins, sourcePath);
+      ConfigResolver.copyOrigins(merged.origins, configOrigins, sourcePath);
+    }
+
+    return { value: config, origins: configOrigins };
+  }
+
+  /**
+   * Resolves a template, following its own `extends` chain
+   * @param {string} name - Template name
+   * @param {Object} templates - All templates
+   * @param {Map<string, string>} origins - Origins of the whole configuration
+   * @param {string} referencedFrom - JSON path of the `extends` field, for error messages
+   * @param {string[]} chain - Templates already visited, for cycle detection
+   * @returns {{value: Object, origins: Map<string, string>}} Traced template with origins relative to it
+   * @private
+   */
+  resolveTemplate(name, templates, origins, referencedFrom, chain) {
+    if (chain.includes(name)) {
+      throw new ConfigError(`Circular template inheritance: ${[...chain, name].join(' -> ')}`);
+    }
+
+    const template = templates[name];
+    if (!ConfigResolver.isPlainObject(template)) {
+      throw new ConfigError(`Unknown template '${name}' referenced at ${referencedFrom}`);
+    }
+
+    const templatePath = ConfigResolver.joinPath('templates', name);
+    const { extends: parentName, ...properties } = template;
+    const own = { value: properties, origins: new Map() };
+
+    for (const [path, origin] of ConfigResolver.extractOrigins(origins, templatePath)) {
+      if (path !== 'extends') {
+        own.origins.set(path, `${origin} (template '${name}')`);
+      }
+    }
+
+    if (parentName === undefined) {
+      return own;
+    }
+
+    const parent = this.resolveTemplate(parentName, templates, origins, `${templatePath}.extends`, [...chain, name]);
+    return ConfigResolver.merge(parent, own);
+  }
+
+  /**
+   * Deep-merges two traced values. Objects merge key by key; anything else
+   * (including arrays) in `over` replaces the value in `base`.
+   * @param {{value: any, origins: Map<string, string>}} base - Lower-priority value
+   * @param {{value: any, origins: Map<string, string>}} over - Higher-priority value
+   * @returns {{value: any, origins: Map<string, string>}} Merged traced value
+   */
+  static merge(base, over) {
+    if (!ConfigResolver.isPlainObject(base.value) || !ConfigResolver.isPlainObject(over.value)) {
+      return over;
+    }
+
+    const value = { ...base.value };
+    const origins = new Map(base.origins);
+    ConfigResolver.mergeObjects(value, over.value, '', origins, over.origins);
+
+    return { value, origins };
+  }
+
+  /**
+   * Merges `source` into `target` in place, keeping origins in step
+   * @private
+   */
+  static mergeObjects(target, source, path, origins, sourceOrigins) {
+    for (const [key, sourceValue] of Object.entries(source)) {
+      const childPath = ConfigResolver.joinPath(path, key);
+
+      if (ConfigResolver.isPlainObject(target[key]) && ConfigResolver.isPlainObject(sourceValue)) {
+        target[key] = { ...target[key] };
+        ConfigResolver.mergeObjects(target[key], sourceValue, childPath, origins, sourceOrigins);
+      } else {
+        target[key] = sourceValue;
+        ConfigResolver.deleteOrigins(origins, childPath);
+        for (const [originPath, origin] of sourceOrigins) {
+          if (ConfigResolver.isWithin(originPath, childPath)) {
+            origins.set(originPath, origin);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Copies origins into another map under a path prefix
+   * @private
+   */
+  static copyOrigins(from, to, prefix) {
+    for (const [path, origin] of from) {
+      to.set(path ? ConfigResolver.joinRelative(prefix, path) : prefix, origin);
+    }
+  }
+
+  /**
+   * Returns the origins under a path, re-keyed relative to that path
+   * @private
+   */
+  static extractOrigins(origins, prefix) {
+    const result = new Map();
+    for (const [path, origin] of origins) {
+      if (path === prefix) {
+        result.set('', origin);
+      } else if (ConfigResolver.isWithin(path, prefix)) {
+        result.set(path.slice(prefix.length).replace(/^\./, ''), origin);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Removes all origins at or under a path
+   * @private
+   */
+  static deleteOrigins(origins, prefix) {
+    for (const path of [...origins.keys()]) {
+      if (ConfigResolver.isWithin(path, prefix)) {
+        origins.delete(path);
+      }
+    }
+  }
+
+  /**
+   * Checks whether a JSON path equals or lies under a prefix
+   * @private
+   */
+  static isWithin(path, prefix) {
+    return prefix === '' || path === prefix ||
+      path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`);
+  }
+
+  /**
+   * Appends a key or array index to a JSON path
+   * @private
+   */
+  static joinPath(path, key) {
+    if (typeof key === 'number') {
+      return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Joins a prefix and a relative JSON path
+   * @private
+   */
+  static joinRelative(prefix, path) {
+    if (!prefix) return path;
+    return path.startsWith('[') ? `${prefix}${path}` : `${prefix}.${path}`;
+  }
+
+  /**
+   * Resolves a JSON pointer (RFC 6901) within a document
+   * @param {any} document - Parsed document
+   * @param {string} pointer - Pointer such as "/dataSources/weather" ('' for the whole document)
+   * @param {string} reference - Full reference, for error messages
+   * @returns {any} The referenced value
+   * @throws {ConfigError} If the pointer does not resolve
+   */
+  static resolvePointer(document, pointer, reference) {
+    if (!pointer) {
+      return document;
+    }
+
+    if (!pointer.startsWith('/')) {
+      throw new ConfigError(`Invalid JSON pointer in config reference: ${reference}`);
+    }
+
+    let current = document;
+    for (const rawToken of pointer.slice(1).split('/')) {
+      const token = rawToken.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (current === null || typeof current !== 'object' || !Object.hasOwn(current, token)) {
+        throw new ConfigError(`Config reference not found: ${reference}`);
+      }
+      current = current[token];
+    }
+
+    return current;
+  }
+
+  /**
+   * Resolves a path relative to the file that references it
+   * @param {string} basePath - Path of the referencing file (may include a query string)
+   * @param {string} relativePath - Referenced path
+   * @returns {string} Resolved path
+   */
+  static resolvePath(basePath, relativePath) {
+    const hasScheme = (path) => /^[a-z][a-z0-9+.-]*:/i.test(path);
+
+    if (hasScheme(relativePath) || relativePath.startsWith('/')) {
+      return relativePath;
+    }
+
+    if (hasScheme(basePath)) {
+      return new URL(relativePath, basePath).toString();
+    }
+
+    const baseDirectory = basePath.split(/[?#]/)[0].replace(/[^/]*$/, '');
+    const segments = [];
+
+    for (const segment of `${baseDirectory}${relativePath}`.split('/')) {
+      if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..' && segments[segments.length - 1] !== '') {
+        segments.pop();
+      } else if (segment !== '.') {
+        segments.push(segment);
+      }
+    }
+
+    return segments.join('/');
+  }
+
+  /**
+   * Derives the overlay file for an environment, e.g. /config.json -> /config.dev.json.
+   * Query strings (such as cache-busting parameters) are preserved.
+   * @param {string} path - Path of the main configuration file
+   * @param {string} environment - Environment name
+   * @returns {string} Path of the overlay file
+   */
+  static getOverlayPath(path, environment) {
+    const [, filePath, suffix] = path.match(/^([^?#]*)(.*)$/);
+    // A leading dot (as in .kiro) marks a hidden file, not an extension
+    const withEnvironment = /[^/]\.[^./]+$/.test(filePath)
+      ? filePath.replace(/([^/])(\.[^./]+)$/, `$1.${environment}$2`)
+      : `${filePath}.${environment}`;
+
+    return `${withEnvironment}${suffix}`;
+  }
+
+  /**
+   * Checks whether a value is a plain object (not an array or null)
+   * @private
+   */
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { ConfigResolver } from '../src/ConfigResolver.js';
+
+describe('ConfigResolver', () => {
+  describe('resolvePath', () => {
+    it('should resolve paths relative to the referencing file', () => {
+      expect(ConfigResolver.resolvePath('/config/main.json?v=1', 'shared/base.json')).toBe('/config/shared/base.json');
+      expect(ConfigResolver.resolvePath('/config/main.json', '../sources.json')).toBe('/sources.json');
+      expect(ConfigResolver.resolvePath('configs/main.json', './a.json')).toBe('configs/a.json');
+    });
+
+    it('should leave absolute paths and URLs untouched', () => {
+      expect(ConfigResolver.resolvePath('/config/main.json', '/other.json')).toBe('/other.json');
+      expect(ConfigResolver.resolvePath('https://example.com/cfg/main.json', 'b.json')).toBe('https://example.com/cfg/b.json');
+    });
+  });
+
+  describe('getOverlayPath', () => {
+    it('should insert the environment before the extension and keep query strings', () => {
+      expect(ConfigResolver.getOverlayPath('/config.json', 'dev')).toBe('/config.dev.json');
+      expect(ConfigResolver.getOverlayPath('/config.json?v=123', 'prod')).toBe('/config.prod.json?v=123');
+      expect(ConfigResolver.getOverlayPath('/.kiro', 'dev')).toBe('/.kiro.dev');
+    });
+  });
+
+  describe('resolve', () => {
+    it('should resolve local JSON pointer references', async () => {
+      const documents = {
+        '/config.json': {
+          shared: { method: 'GET' },
+          dataSources: { a: { $ref: '#/shared', name: 'A' } }
+        }
+      };
+      const resolver = new ConfigResolver({ readDocument: async (path) => documents[path] });
+
+      const { config, provenance } = await resolver.resolve('/config.json');
+      expect(config.dataSources.a).toEqual({ method: 'GET', name: 'A' });
+      expect(provenance['dataSources.a.method']).toBe('/config.json');
+    });
+
+    it('should replace arrays instead of concatenating them', async () => {
+      const documents = {
+        '/base.json': { list: [1, 2, 3] },
+        '/config.json': { $include: 'base.json', list: [4] }
+      };
+      const resolver = new ConfigResolver({ readDocument: async (path) => documents[path] });
+
+      const { config, provenance } = await resolver.resolve('/config.json');
+      expect(config.list).toEqual([4]);
+      expect(Object.keys(provenance)).toEqual(['list[0]']);
+    });
+  });
+});
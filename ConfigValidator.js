@@ -0,0 +1,671 @@
+/**
+ * ConfigValidator - Schema-driven validation for .kiro configurations
+ *
+ * This module describes the full configuration format as a schema and walks
+ * a configuration object against it, collecting every violation (with the
+ * JSON path where it occurred) instead of stopping at the first one. Unknown
+ * fields are reported as warnings so typos do not silently disable settings.
+ *
+ * The validator works on plain objects and has no browser dependencies, so
+ * it can be used at load time by MCPConfigParser and directly from tests.
+ *
+ * @example
+ * const report = ConfigValidator.validate(config);
+ * if (!report.valid) {
+ *   for (const error of report.errors) {
+ *     console.error(`${error.path}: ${error.message}`);
+ *     // dataSources.currency.rateLimit.strategy: Data source 'currency' rateLimit has invalid strategy: burst
+ *   }
+ * }
+ */
+
+import { ConfigError } from './ErrorHandler.js';
+import { RESPONSE_FORMATS } from './ResponseParsers.js';
+import { STREAM_KINDS } from './StreamingSource.js';
+import { FIXTURE_MODES } from './FixtureStore.js';
+
+/**
+ * Error thrown when a configuration does not match the schema.
+ * Carries every problem found, not just the first one.
+ */
+export class ConfigValidationError extends ConfigError {
+  /**
+   * @param {Object} report - Validation report from ConfigValidator.validate()
+   * @param {Array<{path: string, message: string}>} report.errors - Schema violations
+   * @param {Array<{path: string, message: string}>} report.warnings - Non-fatal findings
+   */
+  constructor({ errors, warnings = [] }) {
+    const message = errors.length === 1
+      ? errors[0].message
+      : `Invalid configuration (${errors.length} problems):\n` +
+        errors.map(error => `  - ${error.path || '(root)'}: ${error.message}`).join('\n');
+
+    super(message);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+const PARAM_VALUE_SCHEMA = { type: ['string', 'number', 'boolean'] };
+
+const TRANSFORMATION_SCHEMA = {
+  type: 'object',
+  required: ['timestampField', 'valueField'],
+  properties: {
+    timestampField: { type: 'string', minLength: 1 },
+    valueField: { type: 'string', minLength: 1 },
+    normalize: { type: 'boolean' },
+    unit: { type: 'string' },
+    description: { type: 'string' }
+  }
+};
+
+const AUTHENTICATION_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: {
+      type: 'string',
+      enum: ['none', 'query_param', 'header', 'bearer', 'basic', 'oauth2_client_credentials', 'hmac']
+    },
+    // query_param, header
+    key: { type: 'string', minLength: 1 },
+    value: { type: 'string' },
+    // bearer
+    token: { type: 'string' },
+    // basic
+    username: { type: 'string' },
+    password: { type: 'string' },
+    // oauth2_client_credentials
+    tokenUrl: { type: 'string', minLength: 1 },
+    clientId: { type: 'string', minLength: 1 },
+    clientSecret: { type: 'string' },
+    scope: { type: 'string' },
+    audience: { type: 'string' },
+    clientAuth: { type: 'string', enum: ['basic', 'body'] },
+    refreshBefore: { type: 'number', minimum: 0 },
+    // hmac
+    keyId: { type: 'string' },
+    secret: { type: 'string' },
+    algorithm: { type: 'string', enum: ['SHA-256', 'SHA-384', 'SHA-512'] },
+    encoding: { type: 'string', enum: ['hex', 'base64'] },
+    keyHeader: { type: 'string', minLength: 1 },
+    signatureHeader: { type: 'string', minLength: 1 },
+    timestampHeader: { type: 'string', minLength: 1 }
+  },
+  check(auth, context) {
+    // Missing plain credentials are warnings: the request is simply sent unauthenticated
+    const credentialFields = {
+      query_param: ['key', 'value'],
+      header: ['key', 'value'],
+      bearer: ['token'],
+      basic: ['username', 'password']
+    }[auth.type] || [];
+
+    for (const field of credentialFields) {
+      if (auth[field] === undefined) {
+        context.warn(field, `'${auth.type}' authentication has no ${field}; requests will be sent without credentials`);
+      }
+    }
+
+    // Without these, no request can be made at all
+    const requiredFields = {
+      oauth2_client_credentials: ['tokenUrl', 'clientId', 'clientSecret'],
+      hmac: ['secret']
+    }[auth.type] || [];
+
+    for (const field of requiredFields) {
+      if (auth[field] === undefined) {
+        context.error(field, `of type '${auth.type}' needs a ${field}`);
+      }
+    }
+  }
+};
+
+const PARAM_MAPPING_SCHEMA = {
+  type: 'object',
+  additionalProperties: {
+    // Either a plain input path ("timeRange.start") or an object with a format
+    type: ['string', 'object'],
+    required: ['from'],
+    properties: {
+      from: { type: 'string', minLength: 1 },
+      format: { type: 'string', enum: ['raw', 'iso-date', 'iso-datetime', 'epoch-seconds', 'epoch-ms'] },
+      default: PARAM_VALUE_SCHEMA
+    }
+  }
+};
+
+const PAGINATION_SCHEMA = {
+  type: 'object',
+  required: ['style'],
+  properties: {
+    style: { type: 'string', enum: ['page', 'offset', 'cursor', 'link'] },
+    recordsPath: { type: 'string', minLength: 1 },
+    maxPages: { type: 'integer', minimum: 1 },
+    pageParam: { type: 'string', minLength: 1 },
+    startPage: { type: 'integer', minimum: 0 },
+    pageSizeParam: { type: 'string', minLength: 1 },
+    pageSize: { type: 'integer', minimum: 1 },
+    offsetParam: { type: 'string', minLength: 1 },
+    limitParam: { type: 'string', minLength: 1 },
+    limit: { type: 'integer', minimum: 1 },
+    cursorParam: { type: 'string', minLength: 1 },
+    cursorPath: { type: 'string', minLength: 1 }
+  },
+  check(pagination, context) {
+    if (pagination.style === 'cursor' && pagination.cursorPath === undefined) {
+      context.error('cursorPath', "style 'cursor' needs a cursorPath pointing at the next cursor in the response");
+    }
+  }
+};
+
+const RATE_LIMIT_SCHEMA = {
+  type: 'object',
+  required: ['requestsPerMinute', 'strategy'],
+  properties: {
+    requestsPerMinute: { type: 'number', exclusiveMinimum: 0 },
+    strategy: { type: 'string', enum: ['throttle', 'queue'] }
+  }
+};
+
+const RESPONSE_FORMAT_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: RESPONSE_FORMATS },
+    delimiter: { type: 'string', minLength: 1 },
+    quote: { type: 'string', minLength: 1 },
+    header: { type: 'boolean' },
+    recordPath: { type: 'string', minLength: 1 }
+  },
+  check(format, context) {
+    const settings = { csv: ['delimiter', 'quote', 'header'], xml: ['recordPath'] };
+    for (const [type, keys] of Object.entries(settings)) {
+      for (const key of keys) {
+        if (format[key] !== undefined && format.type !== type && format.type !== 'auto') {
+          context.warn(key, `Field '${key}' only applies to responseFormat type '${type}'`);
+        }
+      }
+    }
+  }
+};
+
+const STREAM_SCHEMA = {
+  type: 'object',
+  properties: {
+    subscribe: { type: ['object', 'array', 'string'], additionalProperties: true },
+    event: { type: 'string', minLength: 1 },
+    filter: { type: 'object', additionalProperties: true },
+    recordsPath: { type: 'string', minLength: 1 },
+    windowSize: { type: 'integer', minimum: 1 },
+    reconnect: {
+      type: 'object',
+      properties: {
+        initialDelay: { type: 'number', minimum: 0 },
+        maxDelay: { type: 'number', minimum: 0 },
+        multiplier: { type: 'number', minimum: 1 },
+        maxAttempts: { type: 'integer', minimum: 0 }
+      }
+    }
+  }
+};
+
+// Revalidating responses with If-None-Match / If-Modified-Since; ttl (seconds) is how long
+// a response is kept for that
+const CONDITIONAL_REQUESTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    ttl: { type: 'number', minimum: 0 }
+  }
+};
+
+const CIRCUIT_BREAKER_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    failureThreshold: { type: 'integer', minimum: 1 },
+    resetTimeout: { type: 'number', minimum: 0 }
+  }
+};
+
+// A mirror or alternative provider of a data source; the fields it leaves out are the source's
+const FALLBACK_ENDPOINT_SCHEMA = {
+  type: 'object',
+  required: ['endpoint'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    endpoint: { type: 'string', minLength: 1 },
+    method: { type: 'string', enum: HTTP_METHODS, caseInsensitive: true },
+    body: { type: ['object', 'array', 'string'], additionalProperties: true },
+    authentication: AUTHENTICATION_SCHEMA,
+    rateLimit: RATE_LIMIT_SCHEMA,
+    defaultParams: { type: 'object', additionalProperties: PARAM_VALUE_SCHEMA },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    paramMapping: PARAM_MAPPING_SCHEMA,
+    responseFormat: RESPONSE_FORMAT_SCHEMA,
+    pagination: PAGINATION_SCHEMA,
+    timeout: { type: 'number', minimum: 0 },
+    circuitBreaker: CIRCUIT_BREAKER_SCHEMA
+  }
+};
+
+// Parameter sets, or lists of values per parameter, that a source is requested with (see ParameterSweep)
+const SWEEP_SCHEMA = {
+  type: ['array', 'object'],
+  items: {
+    type: 'object',
+    properties: {
+      label: { type: ['string', 'number'] }
+    },
+    additionalProperties: PARAM_VALUE_SCHEMA
+  },
+  additionalProperties: { type: 'array', items: PARAM_VALUE_SCHEMA }
+};
+
+/**
+ * Schema for a single entry under dataSources
+ */
+export const DATA_SOURCE_SCHEMA = {
+  type: 'object',
+  // method is required for sources that are requested, see check()
+  required: ['name', 'endpoint', 'transformation'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    kind: { type: 'string', enum: ['rest', 'graphql', ...STREAM_KINDS] },
+    endpoint: { type: 'string', minLength: 1 },
+    method: { type: 'string', enum: HTTP_METHODS, caseInsensitive: true },
+    body: { type: ['object', 'array', 'string'], additionalProperties: true },
+    query: { type: 'string', minLength: 1 },
+    variables: { type: 'object', additionalProperties: true },
+    operationName: { type: 'string', minLength: 1 },
+    authentication: AUTHENTICATION_SCHEMA,
+    rateLimit: RATE_LIMIT_SCHEMA,
+    defaultParams: { type: 'object', additionalProperties: PARAM_VALUE_SCHEMA },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    paramMapping: PARAM_MAPPING_SCHEMA,
+    responseFormat: RESPONSE_FORMAT_SCHEMA,
+    stream: STREAM_SCHEMA,
+    pagination: PAGINATION_SCHEMA,
+    maxRangePerRequest: { type: 'number', exclusiveMinimum: 0 },
+    timeout: { type: 'number', minimum: 0 },
+    cache: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ttl: { type: 'number', minimum: 0 }
+      }
+    },
+    conditionalRequests: CONDITIONAL_REQUESTS_SCHEMA,
+    circuitBreaker: CIRCUIT_BREAKER_SCHEMA,
+    fallbackEndpoints: { type: 'array', items: FALLBACK_ENDPOINT_SCHEMA },
+    sweep: SWEEP_SCHEMA,
+    transformation: TRANSFORMATION_SCHEMA
+  },
+  check(source, context) {
+    const method = typeof source.method === 'string' ? source.method.toUpperCase() : source.method;
+
+    if (STREAM_KINDS.includes(source.kind)) {
+      if (source.kind === 'sse' && source.stream?.subscribe !== undefined) {
+        context.warn('stream', "Server-Sent Events streams cannot send subscribe messages; stream.subscribe is ignored");
+      }
+      if (source.fallbackEndpoints !== undefined) {
+        context.warn('fallbackEndpoints', 'Streaming sources do not fail over; fallbackEndpoints is ignored');
+      }
+      if (source.sweep !== undefined) {
+        context.warn('sweep', 'Streaming sources are not swept; sweep is ignored');
+      }
+      return;
+    }
+
+    // Each combination becomes its own series, told apart by label
+    if (Array.isArray(source.sweep)) {
+      if (source.sweep.length === 0) {
+        context.error('sweep', 'has an empty sweep');
+      }
+      const labels = source.sweep
+        .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+        .map(({ label, ...params }) => (label !== undefined ? String(label) : Object.values(params).join(' / ')));
+      const duplicate = labels.find((label, index) => labels.indexOf(label) !== index);
+      if (duplicate !== undefined) {
+        context.error('sweep', `has more than one sweep entry labelled '${duplicate}'`);
+      }
+    } else if (source.sweep && typeof source.sweep === 'object') {
+      const lists = Object.entries(source.sweep);
+      if (lists.length === 0) {
+        context.error('sweep', 'has an empty sweep');
+      }
+      for (const [name, values] of lists) {
+        if (Array.isArray(values) && values.length === 0) {
+          context.error('sweep', `has no values to sweep for '${name}'`);
+        }
+      }
+    }
+
+    // Fallbacks are told apart by name (in circuit states and which endpoint served the data)
+    if (Array.isArray(source.fallbackEndpoints)) {
+      const names = source.fallbackEndpoints.map((fallback, index) => fallback?.name || `fallback-${index + 1}`);
+      const duplicate = names.find((name, index) => names.indexOf(name) !== index || name === 'primary');
+      if (duplicate) {
+        context.error('fallbackEndpoints', `has more than one endpoint named '${duplicate}'`);
+      }
+    }
+
+    if (source.stream !== undefined) {
+      context.warn('stream', "Field 'stream' only applies to data sources of kind 'websocket' or 'sse'");
+    }
+    if (method === undefined || method === null) {
+      context.error('method', 'missing required field: method');
+    }
+
+    if (source.kind === 'graphql') {
+      if (source.query === undefined) {
+        context.error('query', "of kind 'graphql' needs a query");
+      }
+      if (method !== undefined && method !== 'POST') {
+        context.error('method', "of kind 'graphql' must use method POST");
+      }
+      if (source.body !== undefined) {
+        context.warn('body', "Sources of kind 'graphql' send query and variables; body is ignored");
+      }
+    } else {
+      for (const key of ['query', 'variables', 'operationName']) {
+        if (source[key] !== undefined) {
+          context.warn(key, `Field '${key}' only applies to data sources of kind 'graphql'`);
+        }
+      }
+      if (source.body !== undefined && method === 'GET') {
+        context.error('body', 'cannot send a body with method GET');
+      }
+    }
+  }
+};
+
+const OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    defaultTimeRange: { type: 'number', exclusiveMinimum: 0 },
+    secrets: { type: 'array', items: { type: 'string', minLength: 1 } },
+    timeout: { type: 'number', minimum: 0 },
+    cache: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ttl: { type: 'number', minimum: 0 },
+        persist: { type: 'boolean' }
+      }
+    },
+    conditionalRequests: CONDITIONAL_REQUESTS_SCHEMA,
+    circuitBreaker: CIRCUIT_BREAKER_SCHEMA,
+    fixtures: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: FIXTURE_MODES },
+        path: { type: 'string', minLength: 1 }
+      }
+    },
+    errorHandling: {
+      type: 'object',
+      properties: {
+        maxRetries: { type: 'integer', minimum: 0 },
+        retryDelay: { type: 'number', minimum: 0 },
+        backoffMultiplier: { type: 'number', minimum: 1 }
+      }
+    }
+  }
+};
+
+/**
+ * Schema for a complete .kiro configuration file
+ */
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['mcpVersion', 'projectName', 'dataSources'],
+  properties: {
+    $schema: { type: 'string' },
+    mcpVersion: { type: 'string', minLength: 1 },
+    projectName: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    dataSources: {
+      type: 'object',
+      minProperties: 1,
+      minPropertiesMessage: 'Configuration must contain at least one data source',
+      additionalProperties: DATA_SOURCE_SCHEMA
+    },
+    options: OPTIONS_SCHEMA
+  }
+};
+
+export class ConfigValidator {
+  /**
+   * Validates a configuration object against a schema
+   * @param {Object} config - Configuration object to validate
+   * @param {Object} schema - Schema to validate against (defaults to the full config schema)
+   * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+   *   Validation report
+   */
+  static validate(config, schema = CONFIG_SCHEMA) {
+    return new ConfigValidator().run(config, schema, []);
+  }
+
+  /**
+   * Validates a single data source configuration
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} source - Data source configuration object
+   * @returns {{valid: boolean, errors: Array, warnings: Array}} Validation report with paths under dataSources.<sourceName>
+   */
+  static validateDataSource(sourceName, source) {
+    return new ConfigValidator().run(source, DATA_SOURCE_SCHEMA, ['dataSources', sourceName]);
+  }
+
+  /**
+   * Validates a configuration and throws if it has any errors
+   * @param {Object} config - Configuration object to validate
+   * @returns {Array<{path: string, message: string}>} Warnings for the valid configuration
+   * @throws {ConfigValidationError} If the configuration has errors
+   */
+  static assertValid(config) {
+    const report = ConfigValidator.validate(config);
+    if (!report.valid) {
+      throw new ConfigValidationError(report);
+    }
+    return report.warnings;
+  }
+
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Runs validation from a starting path and builds the report
+   * @private
+   */
+  run(value, schema, basePath) {
+    this.visit(value, schema, basePath);
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * Validates one value against one schema node
+   * @param {any} value - Value to check
+   * @param {Object} schema - Schema node
+   * @param {Array<string|number>} path - Path segments leading to the value
+   * @private
+   */
+  visit(value, schema, path) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = ConfigValidator.typeOf(value);
+
+    if (schema.type && !types.some(type => ConfigValidator.matchesType(value, actualType, type))) {
+      this.addError(path, `${ConfigValidator.describeField(path)} must be ${types.map(ConfigValidator.withArticle).join(' or ')}, got ${actualType}`);
+      return;
+    }
+
+    if (schema.enum) {
+      const candidate = schema.caseInsensitive && typeof value === 'string' ? value.toUpperCase() : value;
+      if (!schema.enum.includes(candidate)) {
+        const owner = ConfigValidator.describeField(path.slice(0, -1));
+        const key = path[path.length - 1];
+        this.addError(path, `${owner} has invalid ${key}: ${value} (expected one of: ${schema.enum.join(', ')})`);
+      }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      this.addError(path, `${ConfigValidator.describeField(path)} must not be empty`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        this.addError(path, `${ConfigValidator.describeField(path)} must be at least ${schema.minimum}, got ${value}`);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        this.addError(path, `${ConfigValidator.describeField(path)} must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+      }
+    }
+
+    if (actualType === 'object') {
+      this.visitObject(value, schema, path);
+    }
+
+    if (actualType === 'array' && schema.items) {
+      value.forEach((item, index) => this.visit(item, schema.items, [...path, index]));
+    }
+
+    if (schema.check) {
+      schema.check(value, {
+        error: (key, message) => this.addError([...path, key], `${ConfigValidator.describeField(path)} ${message}`),
+        warn: (key, message) => this.addWarning([...path, key], message)
+      });
+    }
+  }
+
+  /**
+   * Validates required, known and unknown properties of an object
+   * @private
+   */
+  visitObject(value, schema, path) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        const owner = ConfigValidator.describeOwner(path);
+        this.addError([...path, key], owner
+          ? `${owner} missing required field: ${key}`
+          : `Missing required field: ${key}`);
+      }
+    }
+
+    const keys = Object.keys(value);
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      this.addError(path, schema.minPropertiesMessage ||
+        `${ConfigValidator.describeField(path)} must contain at least ${schema.minProperties} entries`);
+    }
+
+    for (const key of keys) {
+      const childPath = [...path, key];
+      const childSchema = schema.properties?.[key];
+
+      if (childSchema) {
+        if (value[key] !== undefined && value[key] !== null) {
+          this.visit(value[key], childSchema, childPath);
+        }
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.visit(value[key], schema.additionalProperties, childPath);
+      } else if (schema.additionalProperties !== true) {
+        this.addWarning(childPath, `Unknown field '${key}' in ${ConfigValidator.describeField(path)}`);
+      }
+    }
+  }
+
+  /**
+   * Records an error
+   * @private
+   */
+  addError(path, message) {
+    this.errors.push({ path: ConfigValidator.formatPath(path), message });
+  }
+
+  /**
+   * Records a warning
+   * @private
+   */
+  addWarning(path, message) {
+    this.warnings.push({ path: ConfigValidator.formatPath(path), message });
+  }
+
+  /**
+   * Formats path segments as a JSON path such as dataSources.currency.rateLimit.strategy
+   * @param {Array<string|number>} path - Path segments
+   * @returns {string} Formatted path
+   */
+  static formatPath(path) {
+    return path.reduce((result, segment) => {
+      if (typeof segment === 'number') {
+        return `${result}[${segment}]`;
+      }
+      return result ? `${result}.${segment}` : String(segment);
+    }, '');
+  }
+
+  /**
+   * Describes the object at a path for use in messages,
+   * e.g. "Data source 'currency' rateLimit"
+   * @private
+   */
+  static describeOwner(path) {
+    if (path.length >= 2 && path[0] === 'dataSources') {
+      const rest = ConfigValidator.formatPath(path.slice(2));
+      return `Data source '${path[1]}'${rest ? ` ${rest}` : ''}`;
+    }
+    return ConfigValidator.formatPath(path);
+  }
+
+  /**
+   * Describes the value at a path, naming the root "Configuration"
+   * @private
+   */
+  static describeField(path) {
+    return ConfigValidator.describeOwner(path) || 'Configuration';
+  }
+
+  /**
+   * Determines the JSON type name of a value
+   * @private
+   */
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Checks a value against a schema type name
+   * @private
+   */
+  static matchesType(value, actualType, expectedType) {
+    if (expectedType === 'integer') {
+      return Number.isInteger(value);
+    }
+    if (expectedType === 'number') {
+      return actualType === 'number' && Number.isFinite(value);
+    }
+    return actualType === expectedType;
+  }
+
+  /**
+   * Prefixes a type name with an indefinite article
+   * @private
+   */
+  static withArticle(type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+  }
+}
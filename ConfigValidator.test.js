@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import { ConfigValidator, ConfigValidationError } from '../src/ConfigValidator.js';
+
+const createValidConfig = () => ({
+  mcpVersion: '1.0',
+  projectName: 'test',
+  dataSources: {
+    currency: {
+      name: 'Currency',
+      endpoint: 'https://api.example.com/rates',
+      method: 'GET',
+      authentication: { type: 'none' },
+      rateLimit: { requestsPerMinute: 60, strategy: 'throttle' },
+      defaultParams: { from: 'EUR' },
+      transformation: { timestampField: 'date', valueField: 'rate', normalize: true }
+    }
+  },
+  options: {
+    defaultTimeRange: 168,
+    cache: { enabled: true, ttl: 300 },
+    errorHandling: { maxRetries: 3, retryDelay: 1000, backoffMultiplier: 2 }
+  }
+});
+
+describe('ConfigValidator', () => {
+  it('should accept a valid configuration without errors or warnings', () => {
+    const report = ConfigValidator.validate(createValidConfig());
+    expect(report.valid).toBe(true);
+    expect(report.errors).toEqual([]);
+    expect(report.warnings).toEqual([]);
+  });
+
+  it('should report the JSON path of an invalid enum value', () => {
+    const config = createValidConfig();
+    config.dataSources.currency.rateLimit.strategy = 'burst';
+
+    const report = ConfigValidator.validate(config);
+    expect(report.valid).toBe(false);
+    expect(report.errors).toEqual([{
+      path: 'dataSources.currency.rateLimit.strategy',
+      message: "Data source 'currency' rateLimit has invalid strategy: burst (expected one of: throttle, queue)"
+    }]);
+  });
+
+  it('should reject values of the wrong type', () => {
+    const config = createValidConfig();
+    config.dataSources.currency.rateLimit.requestsPerMinute = '60';
+
+    const report = ConfigValidator.validate(config);
+    expect(report.errors[0].path).toBe('dataSources.currency.rateLimit.requestsPerMinute');
+    expect(report.errors[0].message).toContain('must be a number, got string');
+  });
+
+  it('should collect every violation instead of stopping at the first', () => {
+    const config = createValidConfig();
+    delete config.dataSources.currency.endpoint;
+    config.dataSources.currency.method = 'FETCH';
+    config.options.cache.ttl = -1;
+    config.options.errorHandling.maxRetries = 1.5;
+
+    const paths = ConfigValidator.validate(config).errors.map(error => error.path);
+    expect(paths).toEqual([
+      'dataSources.currency.endpoint',
+      'dataSources.currency.method',
+      'options.cache.ttl',
+      'options.errorHandling.maxRetries'
+    ]);
+  });
+
+  it('should warn about unknown fields without failing validation', () => {
+    const config = createValidConfig();
+    config.dataSources.currency.rateLimt = { requestsPerMinute: 10 };
+    config.options.cache.tll = 60;
+
+    const report = ConfigValidator.validate(config);
+    expect(report.valid).toBe(true);
+    expect(report.warnings.map(warning => warning.path)).toEqual([
+      'dataSources.currency.rateLimt',
+      'options.cache.tll'
+    ]);
+  });
+
+  it('should require the settings an authentication type cannot work without', () => {
+    const config = createValidConfig();
+    config.dataSources.currency.authentication = {
+      type: 'oauth2_client_credentials',
+      tokenUrl: 'https://auth.example.com/token',
+      clientId: 'dashboard'
+    };
+
+    expect(ConfigValidator.validate(config).errors).toEqual([{
+      path: 'dataSources.currency.authentication.clientSecret',
+      message: "Data source 'currency' authentication of type 'oauth2_client_credentials' needs a clientSecret"
+    }]);
+  });
+
+  it('should require a query and POST for GraphQL sources and reject bodies on GET', () => {
+    const config = createValidConfig();
+    config.dataSources.graph = { ...config.dataSources.currency, kind: 'graphql' };
+    config.dataSources.currency.body = { from: '${from}' };
+
+    expect(ConfigValidator.validate(config).errors).toEqual([
+      { path: 'dataSources.currency.body', message: "Data source 'currency' cannot send a body with method GET" },
+      { path: 'dataSources.graph.query', message: "Data source 'graph' of kind 'graphql' needs a query" },
+      { path: 'dataSources.graph.method', message: "Data source 'graph' of kind 'graphql' must use method POST" }
+    ]);
+  });
+
+  it('should not require a method for streaming sources', () => {
+    const config = createValidConfig();
+    const { method, ...source } = config.dataSources.currency;
+    config.dataSources.prices = { ...source, kind: 'websocket', stream: { windowSize: 50 } };
+    config.dataSources.rates = source;
+
+    expect(ConfigValidator.validate(config).errors).toEqual([{
+      path: 'dataSources.rates.method',
+      message: "Data source 'rates' missing required field: method"
+    }]);
+  });
+
+  it('should validate fallback endpoints and reject duplicate names', () => {
+    const config = createValidConfig();
+    config.dataSources.currency.fallbackEndpoints = [
+      { name: 'mirror', endpoint: 'https://mirror.example.com/rates', authentication: { type: 'bearer', token: 't' } },
+      { name: 'mirror', endpoint: 'https://other.example.com/rates', method: 'FETCH' }
+    ];
+
+    const report = ConfigValidator.validate(config);
+    expect(report.errors.map(error => error.path)).toEqual([
+      'dataSources.currency.fallbackEndpoints[1].method',
+      'dataSources.currency.fallbackEndpoints'
+    ]);
+    expect(report.errors[1].message).toBe("Data source 'currency' has more than one endpoint named 'mirror'");
+  });
+
+  it('should validate sweeps and reject empty value lists and duplicate labels', () => {
+    const config = createValidConfig();
+    config.dataSources.currency.sweep = { to: ['USD', 'GBP'] };
+    expect(ConfigValidator.validate(config).valid).toBe(true);
+
+    config.dataSources.currency.sweep = { to: [], from: 'EUR' };
+    expect(ConfigValidator.validate(config).errors.map(error => error.path)).toEqual([
+      'dataSources.currency.sweep.from',
+      'dataSources.currency.sweep'
+    ]);
+
+    config.dataSources.currency.sweep = [{ label: 'US', to: 'USD' }, { label: 'US', to: { code: 'USD' } }];
+    const report = ConfigValidator.validate(config);
+    expect(report.errors.map(error => error.path)).toEqual([
+      'dataSources.currency.sweep[1].to',
+      'dataSources.currency.sweep'
+    ]);
+    expect(report.errors[1].message).toBe("Data source 'currency' has more than one sweep entry labelled 'US'");
+  });
+
+  it('should validate a single data source with paths under dataSources', () => {
+    const report = ConfigValidator.validateDataSource('weather', { name: 'Weather', method: 'GET' });
+    expect(report.errors.map(error => error.path)).toEqual([
+      'dataSources.weather.endpoint',
+      'dataSources.weather.transformation'
+    ]);
+  });
+
+  it('should throw a ConfigValidationError listing all problems from assertValid', () => {
+    const config = createValidConfig();
+    delete config.mcpVersion;
+    config.dataSources = {};
+
+    try {
+      ConfigValidator.assertValid(config);
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigValidationError);
+      expect(error.errors).toHaveLength(2);
+      expect(error.message).toContain('mcpVersion: Missing required field: mcpVersion');
+      expect(error.message).toContain('dataSources: Configuration must contain at least one data source');
+    }
+  });
+});
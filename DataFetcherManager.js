@@ -15,214 +15,1294 @@
  *   end: 1638403200
  * });
  * 
- * // Fetch from all sources in parallel
+ * // Endpoints may contain {placeholders} filled from the request params:
+ * // "endpoint": "https://api.frankfurter.app/{start_date}..{end_date}"
+ * const rates = await fetcher.fetchFromSource('currency', {
+ *   start_date: '2024-01-01',
+ *   end_date: '2024-01-31'
+ * });
+ * 
+ * // Fetch from all sources in parallel; each source's paramMapping turns the
+ * // abstract time window into its own parameter names and formats
  * const allData = await fetcher.fetchAllSources({
- *   start: 1638316800,
- *   end: 1638403200
+ *   timeRange: { start: 1638316800000, end: 1638403200000 }
  * });
+ * 
+ * // A `body` template, or a source of kind 'graphql', is sent as the request body;
+ * // its ${param} placeholders are filled from the request params as well:
+ * // "body": { "series": ["CPI"], "startyear": "${start_year}" }
+ * 
+ * // Sources of kind 'websocket' or 'sse' are streamed instead of fetched
+ * const stream = await fetcher.openStream('prices', {
+ *   onRecords: (records, window) => console.log(records)
+ * });
+ * 
+ * // Record every response, then replay them later without any network access
+ * const recorder = new DataFetcherManager(mcpConfigParser, { fixtureMode: 'record' });
+ * await recorder.fetchAllSources({ timeRange });
+ * await recorder.saveFixtures();
+ * 
+ * // Middlewares see every request and response; this one unwraps { data: [...] } envelopes
+ * fetcher.use({ response: page => ({ ...page, data: page.data.data }) }, { source: 'currency' });
+ * 
+ * // A source may list fallbackEndpoints (mirrors or alternative providers, each with its
+ * // own authentication and paramMapping), tried in order when its endpoint is down
+ * const { name, fallback } = fetcher.getServingEndpoint('currency'); // e.g. 'ecb-mirror', true
+ * 
+ * // A source with a `sweep` is requested once per parameter combination, e.g. per city
+ * // or per target currency; fetchAllSources returns one labelled entry per combination
+ * const [usd, gbp] = await fetcher.fetchSweep('currency', { timeRange });
+ * 
+ * // Responses with an ETag or Last-Modified header are revalidated on the next request
+ * // (If-None-Match / If-Modified-Since); a 304 reuses the stored body
+ * 
+ * // Per-source metrics, and a probe of every source
+ * const { latency, errors } = fetcher.getMetrics('currency');
+ * const results = await fetcher.preflight();
  */
+import { EnvInterpolator } from './EnvInterpolator.js';
+import { ResponseCache, IndexedDBStore } from './ResponseCache.js';
+import { Paginator, DEFAULT_MAX_PAGES } from './Paginator.js';
+import { TimeRangeChunker } from './TimeRangeChunker.js';
+import { ParameterSweep } from './ParameterSweep.js';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from './CircuitBreaker.js';
+import { RateLimiter } from './RateLimiter.js';
+import { Authenticator, AuthenticationError } from './Authenticator.js';
+import { ResponseParsers, ResponseParseError } from './ResponseParsers.js';
+import { StreamingSource } from './StreamingSource.js';
+import { FixtureStore, FixtureNotFoundError } from './FixtureStore.js';
+import { RequestPipeline } from './RequestPipeline.js';
+import { FetchTelemetry } from './FetchTelemetry.js';
+import { secretRedactor } from './SecretRedactor.js';
+
+// Matches {name} placeholders in endpoint templates, but not ${ENV_VAR} references
+const ENDPOINT_PLACEHOLDER = /(?<!\$)\{([A-Za-z_][A-Za-z0-9_.-]*)\}/g;
+
+// Matches ${name} placeholders in body templates; $${name} stays literal
+const BODY_PLACEHOLDER = /\$(\$)?\{([A-Za-z_][A-Za-z0-9_.-]*)\}/g;
+const WHOLE_BODY_PLACEHOLDER = /^\$\{([A-Za-z_][A-Za-z0-9_.-]*)\}$/;
+
+// How long a response is kept for revalidation by default, in seconds (7 days)
+const DEFAULT_CONDITIONAL_TTL = 7 * 24 * 60 * 60;
+
+// Longest wait an API may ask for (Retry-After / X-RateLimit-Reset) before we give up instead
+const MAX_RETRY_WAIT_MS = 60000;
+
 export class DataFetcherManager {
   /**
-   * Creates a new DataFetcherManager instance
-   * @param {MCPConfigParser} mcpConfig - The MCP configuration parser instance
+   * Creates a new DataFetcherManager instance
+   * @param {MCPConfigParser} mcpConfig - The MCP configuration parser instance
+   * @param {Object} options - Fetcher options
+   * @param {EnvInterpolator} [options.envInterpolator] - Resolves ${VAR} references in sources
+   *   (defaults to one that treats the config's options.secrets as secret)
+   * @param {ResponseCache} [options.responseCache] - Cache for responses (defaults to one
+   *   persisted in IndexedDB when options.cache.persist is set)
+   * @param {ResponseCache} [options.validatorCache] - Responses kept with their ETag / Last-Modified
+   *   for conditional requests (persisted like options.responseCache)
+   * @param {RateLimiter} [options.rateLimiter] - Enforces each source's rateLimit (defaults to
+   *   one persisted in localStorage and shared with other tabs)
+   * @param {Authenticator} [options.authenticator] - Adds each source's credentials to its requests
+   * @param {FixtureStore} [options.fixtures] - Records or replays responses (defaults to one set
+   *   up from the config's options.fixtures)
+   * @param {string} [options.fixtureMode] - Overrides options.fixtures.mode: 'off', 'record' or 'replay'
+   * @param {Array<Object>} [options.middlewares] - Middlewares for every source (see use())
+   * @param {FetchTelemetry} [options.telemetry] - Collects per-source request metrics
+   * @param {Function} [options.onCircuitStateChange] - Called with a source's circuit status
+   *   ({ name, state, failures, openedAt, retryAt }) whenever its circuit breaker changes state
+   */
+  constructor(mcpConfig, options = {}) {
+    this.mcpConfig = mcpConfig;
+
+    const globalOptions = mcpConfig.getConfig?.()?.options || {};
+    this.envInterpolator = options.envInterpolator || new EnvInterpolator({
+      secrets: globalOptions.secrets
+    });
+    this.responseCache = options.responseCache || new ResponseCache({
+      store: globalOptions.cache?.persist ? new IndexedDBStore() : null
+    });
+    this.validatorCache = options.validatorCache || new ResponseCache({
+      store: globalOptions.cache?.persist ? new IndexedDBStore({ dbName: 'dataweaver-validators' }) : null
+    });
+    this.onCircuitStateChange = options.onCircuitStateChange || null;
+    this.inFlightRequests = new Map(); // Shared promises for identical requests in progress
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+    this.authenticator = options.authenticator || new Authenticator();
+    this.fixtures = options.fixtures || new FixtureStore({
+      ...globalOptions.fixtures,
+      mode: options.fixtureMode || globalOptions.fixtures?.mode
+    });
+    this.serverRateLimits = {}; // { remaining, resetAt } per endpoint, as reported by the API
+    this.circuitBreakers = {}; // Circuit breaker per endpoint, created on first request
+    this.servingEndpoints = {}; // Endpoint that last served each source's data
+    this.streams = {}; // Open StreamingSource per streaming source
+    this.telemetry = options.telemetry || new FetchTelemetry();
+    this.middlewares = []; // Registered middlewares: { middleware, source }, in order
+    this.builtInMiddlewares = {
+      telemetry: this.createTelemetryMiddleware(),
+      cache: this.createCacheMiddleware(),
+      rateLimit: this.createRateLimitMiddleware(),
+      graphQL: this.createGraphQLMiddleware(),
+      conditional: this.createConditionalRequestMiddleware()
+    };
+
+    for (const middleware of options.middlewares || []) {
+      this.use(middleware);
+    }
+  }
+
+  /**
+   * Adds a middleware to the request pipeline (see RequestPipeline.js). Middlewares run in
+   * the order they were added, after the response cache and before rate limiting; credentials
+   * are added to each attempt after the chain, so a request interceptor's changes are signed
+   * and a response interceptor's result is what gets cached.
+   * @param {Object} middleware - { name, request, response, error } with at least one interceptor
+   * @param {Object} [options] - Registration options
+   * @param {string} [options.source] - Only run for this data source (default: every source)
+   * @returns {Function} Removes the middleware again
+   * @throws {Error} If the middleware has no interceptors
+   */
+  use(middleware, options = {}) {
+    RequestPipeline.assertMiddleware(middleware);
+
+    const entry = { middleware, source: options.source ?? null };
+    this.middlewares.push(entry);
+
+    return () => {
+      const index = this.middlewares.indexOf(entry);
+      if (index !== -1) {
+        this.middlewares.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Fetches data from a single data source
+   * @param {string} sourceName - Name of the data source (e.g., 'airQuality', 'cryptocurrency')
+   * @param {Object} params - Request inputs. Scalar values are sent as query parameters;
+   *   structured dashboard inputs such as `timeRange: { start, end }` (ms timestamps) only
+   *   reach the API through the source's `paramMapping`
+   * @param {Object} [fetchOptions] - Per-call options
+   * @param {boolean} [fetchOptions.bypassCache=false] - Skip cached responses (the fresh
+   *   response is still cached)
+   * @param {AbortSignal} [fetchOptions.signal] - Cancels the call; the request itself is only
+   *   cancelled once no other caller is waiting for the same response
+   * @param {Function} [fetchOptions.onProgress] - Called with { sourceName, completed, total }
+   *   as requests finish; sources with `maxRangePerRequest` make one request per chunk
+   * @returns {Promise<Object>} The API response data
+   * @throws {TimeoutError} If an attempt exceeds the source's timeout and retries are exhausted
+   * @throws {CircuitOpenError} If the source failed repeatedly and is paused
+   * @throws {Error} If the request fails after retries, or an AbortError if the signal is aborted
+   */
+  async fetchFromSource(sourceName, params = {}, fetchOptions = {}) {
+    const configuredSource = this.mcpConfig.getDataSource(sourceName);
+    
+    if (!configuredSource) {
+      throw new Error(`Data source '${sourceName}' not found in configuration`);
+    }
+
+    if (StreamingSource.isStreaming(configuredSource)) {
+      throw new Error(`Data source '${sourceName}' is a streaming source; use openStream() instead`);
+    }
+
+    // Split windows longer than the source's maxRangePerRequest
+    const chunks = TimeRangeChunker.plan(configuredSource, params);
+    if (chunks.length > 1) {
+      return this.fetchInChunks(sourceName, configuredSource, params, chunks, fetchOptions);
+    }
+
+    const data = await this.fetchWindow(sourceName, configuredSource, params, fetchOptions);
+    fetchOptions.onProgress?.({ sourceName, completed: 1, total: 1 });
+    return data;
+  }
+
+  /**
+   * Fetches a long time window one chunk at a time and merges the results
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} configuredSource - Data source configuration
+   * @param {Object} params - Request inputs
+   * @param {Array<{start: number, end: number}>} chunks - Time ranges to request, in order
+   * @param {Object} fetchOptions - Per-call options (see fetchFromSource)
+   * @returns {Promise<any>} Merged response
+   * @private
+   */
+  async fetchInChunks(sourceName, configuredSource, params, chunks, fetchOptions) {
+    const responses = [];
+
+    // One after another, so the source's rate limit paces the backfill
+    for (const [index, timeRange] of chunks.entries()) {
+      responses.push(await this.fetchWindow(sourceName, configuredSource, { ...params, timeRange }, fetchOptions));
+      fetchOptions.onProgress?.({ sourceName, completed: index + 1, total: chunks.length });
+    }
+
+    return TimeRangeChunker.merge(responses, configuredSource.transformation);
+  }
+
+  /**
+   * Fetches one request window from a source, using the cache and shared in-flight requests
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} configuredSource - Data source configuration as parsed
+   * @param {Object} params - Request inputs
+   * @param {Object} fetchOptions - Per-call options (see fetchFromSource)
+   * @returns {Promise<any>} Response data
+   * @private
+   */
+  async fetchWindow(sourceName, configuredSource, params, fetchOptions) {
+    // Get global error handling config
+    const config = this.mcpConfig.getConfig();
+    const errorConfig = config.options?.errorHandling || {
+      maxRetries: 3,
+      retryDelay: 1000,
+      backoffMultiplier: 2
+    };
+
+    // The primary endpoint's request identifies the window (fails fast if a placeholder is unfilled)
+    const endpoints = DataFetcherManager.getEndpoints(sourceName, configuredSource);
+    const primary = this.prepareRequest(endpoints[0].config, params);
+
+    // Identical requests that are already on their way share one response; a caller that
+    // bypasses the cache does not join a request that may be answered from it
+    const bypassCache = fetchOptions.bypassCache === true;
+    const requestKey = `${bypassCache ? 'bypass:' : ''}${ResponseCache.createKey(sourceName, primary.url, primary.body)}`;
+    let request = this.inFlightRequests.get(requestKey);
+    if (!request) {
+      request = this.startRequest(sourceName, requestKey, (signal) => this.fetchWithFailover(
+        { sourceName, signal, bypassCache },
+        endpoints,
+        primary,
+        params,
+        errorConfig
+      ));
+    }
+
+    return this.joinRequest(request, fetchOptions.signal);
+  }
+
+  /**
+   * Builds the request for one endpoint of a source
+   * @param {Object} configuredSource - Endpoint configuration as parsed
+   * @param {Object} params - Request inputs
+   * @returns {{sourceConfig: Object, url: string, options: Object, body: any}} The interpolated
+   *   configuration, and the request built from it
+   * @private
+   */
+  prepareRequest(configuredSource, params) {
+    // Resolve ${VAR} references per request, so secrets never sit in the parsed config
+    const sourceConfig = this.envInterpolator.interpolateSource(configuredSource);
+
+    // Fill the body template first; params it consumes are not repeated in the query
+    const requestParams = { ...sourceConfig.defaultParams, ...this.resolveParams(sourceConfig, params) };
+    const { body, usedParams } = this.buildBody(configuredSource, requestParams);
+
+    // Build URL with query parameters (fails fast if an endpoint placeholder is unfilled)
+    const url = this.buildUrl(sourceConfig, requestParams, usedParams);
+
+    // Build request options
+    const options = this.buildRequestOptions(sourceConfig, body);
+
+    return { sourceConfig, url, options, body };
+  }
+
+  /**
+   * Fetches a window from a source's endpoints in order: a fallback is only tried while
+   * the endpoints before it fail with errors that mean they are down
+   * @param {Object} context - Request context: { sourceName, signal, bypassCache }
+   * @param {Array<Object>} endpoints - Endpoints from getEndpoints()
+   * @param {Object} primary - The primary endpoint's request from prepareRequest()
+   * @param {Object} params - Request inputs
+   * @param {Object} errorConfig - Retry settings
+   * @returns {Promise<any>} Response data
+   * @throws {Error} The primary endpoint's error if no endpoint could serve the data
+   * @private
+   */
+  async fetchWithFailover(context, endpoints, primary, params, errorConfig) {
+    const { sourceName, signal } = context;
+    let primaryError = null;
+
+    for (const [index, endpoint] of endpoints.entries()) {
+      try {
+        const { sourceConfig, url, options } = index === 0 ? primary : this.prepareRequest(endpoint.config, params);
+        const endpointContext = { ...context, sourceConfig, endpoint: { key: endpoint.key, name: endpoint.name } };
+
+        const data = sourceConfig.pagination
+          ? await this.fetchPages(endpointContext, url, options, errorConfig)
+          : (await this.fetchPage(endpointContext, url, options, errorConfig)).data;
+
+        this.servingEndpoints[sourceName] = { name: endpoint.name, fallback: index > 0, servedAt: Date.now() };
+        return data;
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
+        primaryError ??= error;
+
+        const next = endpoints[index + 1];
+        if (!next || !DataFetcherManager.isFailoverError(error)) {
+          if (index > 0) {
+            console.warn(secretRedactor.redact(`Fallback endpoint '${endpoint.name}' of ${sourceName} failed too: ${error.message}`));
+          }
+          throw primaryError;
+        }
+        console.warn(secretRedactor.redact(`Endpoint '${endpoint.name}' of ${sourceName} failed (${error.message}); trying '${next.name}'`));
+      }
+    }
+  }
+
+  /**
+   * Fetches a single page (or unpaged response) through the source's middlewares
+   * @param {Object} context - Request context: { sourceName, sourceConfig, endpoint, signal, bypassCache }
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {Object} errorConfig - Retry settings
+   * @returns {Promise<{data: any, headers: Headers}>} Response body and headers
+   * @private
+   */
+  fetchPage(context, url, options, errorConfig) {
+    const { sourceName, sourceConfig, endpoint, signal } = context;
+
+    // Execute with retry logic; each attempt gets fresh credentials and its own timeout, and
+    // passes the endpoint's circuit breaker
+    const pipeline = new RequestPipeline(this.getMiddlewares(sourceName), (request, { fixtureKey }) => this.retryWithBackoff(
+      () => this.sendAuthorized(sourceName, endpoint.key, sourceConfig, { ...request, fixtureKey }, signal),
+      errorConfig.maxRetries,
+      errorConfig.retryDelay,
+      errorConfig.backoffMultiplier,
+      signal,
+      (error, wait) => {
+        this.telemetry.recordRetry(sourceName);
+        if (error instanceof RateLimitError) {
+          this.telemetry.recordRateLimitWait(sourceName, wait);
+        }
+      }
+    ));
+
+    // Fixtures are filed under the request as configured, before middlewares add credentials
+    return pipeline.run({ url, options }, {
+      ...context,
+      fixtureKey: FixtureStore.createKey(options.method, url, options.body)
+    });
+  }
+
+  /**
+   * Follows a paged API until the last page or the source's maxPages cap
+   * @param {Object} context - Request context with a sourceConfig that has a `pagination` block
+   * @param {string} url - URL of the request without paging parameters
+   * @param {Object} options - Fetch options
+   * @param {Object} errorConfig - Retry settings
+   * @returns {Promise<any>} The first page with the records of every page concatenated
+   * @private
+   */
+  async fetchPages(context, url, options, errorConfig) {
+    const { sourceName, sourceConfig } = context;
+    const { pagination } = sourceConfig;
+    const maxPages = pagination.maxPages ?? DEFAULT_MAX_PAGES;
+    const pages = [];
+    let pageUrl = Paginator.getFirstPageUrl(url, pagination);
+
+    while (pageUrl) {
+      if (pages.length === maxPages) {
+        console.warn(`Stopped paging through ${sourceName} after ${maxPages} pages (pagination.maxPages); later records were not loaded`);
+        break;
+      }
+
+      const page = await this.fetchPage(context, pageUrl, options, errorConfig);
+      pages.push(page.data);
+      pageUrl = Paginator.getNextPageUrl(pageUrl, pagination, page, pages.length);
+    }
+
+    return Paginator.combine(pages, pagination);
+  }
+
+  /**
+   * Starts a request that callers can share. The request is cancelled once
+   * every caller waiting for it has been aborted.
+   * @param {string} sourceName - Name of the data source
+   * @param {string} key - Key identifying identical requests
+   * @param {Function} run - (signal) => Promise resolving to the response data
+   * @returns {Object} Shared request: { promise, controller, waiting }
+   * @private
+   */
+  startRequest(sourceName, key, run) {
+    const controller = new AbortController();
+    const request = { controller, waiting: 0, promise: null };
+
+    request.promise = run(controller.signal).finally(() => {
+      if (this.inFlightRequests.get(key) === request) {
+        this.inFlightRequests.delete(key);
+      }
+    });
+
+    // Nobody may be listening any more if every caller was aborted
+    request.promise.catch(() => {});
+
+    this.inFlightRequests.set(key, request);
+    return request;
+  }
+
+  /**
+   * Waits for a shared request on behalf of one caller
+   * @param {Object} request - Shared request from startRequest()
+   * @param {AbortSignal} [signal] - Caller's signal; aborting it rejects only this caller
+   * @returns {Promise<any>} The response data
+   * @private
+   */
+  async joinRequest(request, signal) {
+    request.waiting++;
+
+    try {
+      return await abortable(request.promise, signal);
+    } finally {
+      request.waiting--;
+
+      if (request.waiting === 0 && signal?.aborted) {
+        request.controller.abort(signal.reason);
+      }
+    }
+  }
+
+  /**
+   * Sends a single attempt with the source's credentials. They are added to the request as it
+   * left the middlewares, so every retry is signed with a fresh timestamp and uses a token that
+   * is valid now. Replay needs no credentials.
+   * @param {string} sourceName - Name of the data source
+   * @param {string} endpointKey - Key of the endpoint (see sendThroughCircuit)
+   * @param {Object} sourceConfig - Endpoint configuration
+   * @param {Object} request - The request as it left the middlewares: { url, options, fixtureKey }
+   * @param {AbortSignal} signal - Signal that cancels the request
+   * @returns {Promise<{data: any, headers: Headers}>} The parsed response body and the headers
+   * @throws {AuthenticationError} If the source's credentials cannot be obtained
+   * @private
+   */
+  async sendAuthorized(sourceName, endpointKey, sourceConfig, request, signal) {
+    const { fixtureKey } = request;
+    const send = async () => {
+      const authorized = this.fixtures.replaying
+        ? request
+        : { ...await this.authenticator.authorize(sourceName, sourceConfig.authentication, request), fixtureKey };
+      return this.sendThroughCircuit(sourceName, endpointKey, sourceConfig, authorized, signal);
+    };
+
+    try {
+      return await send();
+    } catch (error) {
+      // An OAuth2 token can be revoked before it expires; get a new one and try once more.
+      // A 401 from the token endpoint itself (an AuthenticationError) will not go away.
+      if (error.status === 401 && !(error instanceof AuthenticationError)
+        && !this.fixtures.replaying && this.authenticator.invalidate(sourceConfig.authentication)) {
+        return send();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a single attempt if the endpoint's circuit allows it, and records the outcome
+   * @param {string} sourceName - Name of the data source
+   * @param {string} endpointKey - Key of the endpoint: the source name for its primary
+   *   endpoint, 'source/fallback' for a fallback
+   * @param {Object} sourceConfig - Endpoint configuration
+   * @param {Object} request - The request as it left the middlewares: { url, options, fixtureKey }
+   * @param {AbortSignal} signal - Signal that cancels the request
+   * @returns {Promise<{data: any, headers: Headers}>} The parsed response body and the headers
+   * @throws {CircuitOpenError} If the circuit is open
+   * @private
+   */
+  async sendThroughCircuit(sourceName, endpointKey, sourceConfig, request, signal) {
+    const breaker = this.getCircuitBreaker(endpointKey, sourceConfig);
+    breaker?.assertCanRequest();
+
+    try {
+      const page = await this.sendRequest(
+        sourceName,
+        request,
+        { endpointKey, timeout: this.getTimeout(sourceConfig), responseFormat: sourceConfig.responseFormat },
+        signal
+      );
+      breaker?.recordSuccess();
+      return page;
+    } catch (error) {
+      if (signal.aborted) {
+        // Nothing was learned about the source itself
+        breaker?.releaseTrial();
+      } else if (DataFetcherManager.isSourceFailure(error)) {
+        breaker?.recordFailure();
+      } else {
+        // The API answered (e.g. 404), so the source itself is up
+        breaker?.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether an error means the source is down or refusing us, as opposed to
+   * a problem with this particular request
+   * @param {Error} error - Error from a request attempt
+   * @returns {boolean} True for network errors, timeouts, 5xx responses and rate limiting
+   */
+  static isSourceFailure(error) {
+    return error instanceof NetworkError
+      || error instanceof TimeoutError
+      || error instanceof ServerError
+      || error instanceof RateLimitError;
+  }
+
+  /**
+   * Checks whether an error means the endpoint is unavailable, so that the source's next
+   * fallback endpoint may serve the data instead
+   * @param {Error} error - Error from an endpoint, after retries
+   * @returns {boolean} True for network errors, timeouts, 5xx responses and open circuits
+   */
+  static isFailoverError(error) {
+    return error instanceof NetworkError
+      || error instanceof TimeoutError
+      || error instanceof ServerError
+      || error instanceof CircuitOpenError;
+  }
+
+  /**
+   * Lists the endpoints of a source in the order they are tried. A fallback endpoint
+   * replaces the fields it sets (endpoint, authentication, paramMapping, ...) and keeps
+   * the source's other settings, such as its transformation.
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} configuredSource - Data source configuration as parsed
+   * @returns {Array<{key: string, name: string, config: Object}>} The primary endpoint
+   *   (named 'primary', keyed by the source name), then the fallbackEndpoints
+   */
+  static getEndpoints(sourceName, configuredSource) {
+    const { fallbackEndpoints = [], ...primary } = configuredSource;
+
+    return [
+      { key: sourceName, name: 'primary', config: primary },
+      ...fallbackEndpoints.map((fallback, index) => {
+        const name = fallback.name || `fallback-${index + 1}`;
+        return { key: `${sourceName}/${name}`, name, config: { ...primary, ...fallback, name: primary.name } };
+      })
+    ];
+  }
+
+  /**
+   * Sends a single HTTP request attempt, or records or replays it in fixtures mode
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} request - The request
+   * @param {string} request.url - Request URL
+   * @param {Object} request.options - Fetch options
+   * @param {string} request.fixtureKey - Key of the request in the fixtures
+   * @param {Object} settings - Attempt settings
+   * @param {string} settings.endpointKey - Key of the endpoint, under which the rate limit the
+   *   API reports is remembered
+   * @param {number} settings.timeout - Milliseconds before the attempt fails with a TimeoutError (0 for none)
+   * @param {Object} [settings.responseFormat] - The source's responseFormat block; without one the
+   *   format is taken from the Content-Type header
+   * @param {AbortSignal} signal - Signal that cancels the request
+   * @returns {Promise<{data: any, headers: Headers, notModified?: boolean}>} The parsed response
+   *   body and the headers; a 304 Not Modified has no body and is flagged notModified
+   * @throws {ResponseParseError} If the body does not match its format
+   * @throws {FixtureNotFoundError} If replaying and the request was never recorded
+   * @private
+   */
+  async sendRequest(sourceName, { url, options, fixtureKey }, { endpointKey, timeout, responseFormat }, signal) {
+    const attempt = new AbortController();
+    const cancel = () => attempt.abort(signal.reason);
+    signal.addEventListener('abort', cancel, { once: true });
+
+    const timer = timeout > 0
+      ? setTimeout(() => attempt.abort(new TimeoutError(`Request to ${sourceName} timed out after ${timeout}ms`, timeout)), timeout)
+      : null;
+
+    const started = Date.now();
+    let bytes = 0;
+    let failure = null;
+
+    try {
+      const response = await abortable(
+        this.fixtures.fetch(url, { ...options, signal: attempt.signal }, { sourceName, key: fixtureKey }),
+        attempt.signal
+      );
+      const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+      this.recordServerRateLimit(endpointKey, response, retryAfter);
+
+      // Answer to a conditional request: the body is the one stored with its validators
+      if (response.status === 304) {
+        return { data: null, headers: response.headers, notModified: true };
+      }
+
+      if (!response.ok) {
+        // Handle specific HTTP errors
+        if (response.status === 429) {
+          throw new RateLimitError(`Rate limit exceeded for ${sourceName}`, retryAfter);
+        } else if (response.status >= 500) {
+          throw new ServerError(`Server error (${response.status}) for ${sourceName}`, retryAfter);
+        } else if (response.status >= 400) {
+          throw new ClientError(`Client error (${response.status}) for ${sourceName}`, response.status);
+        }
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      // Read as text whatever the format, so the size of the body is known
+      const text = await abortable(response.text(), attempt.signal);
+      bytes = new TextEncoder().encode(text).byteLength;
+
+      const format = ResponseParsers.resolveFormat(responseFormat, response.headers?.get('Content-Type'));
+      return { data: ResponseParsers.parse(text, format), headers: response.headers };
+    } catch (error) {
+      failure = error.name === 'TypeError' && error.message.includes('fetch')
+        ? new NetworkError(`Network error while fetching from ${sourceName}: ${error.message}`)
+        : error;
+      throw failure;
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', cancel);
+
+      // An attempt the caller cancelled says nothing about the source
+      if (!signal.aborted) {
+        this.telemetry.recordAttempt(sourceName, { duration: Date.now() - started, bytes, error: failure });
+      }
+    }
+  }
+
+  /**
+   * Fetches a swept source once per combination of its sweep, one after another so that
+   * the source's rate limit paces the requests. A failed combination does not stop the others.
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} [params] - Request inputs; each combination's values are added to them
+   * @param {Object} [fetchOptions] - Per-call options (see fetchFromSource); onProgress counts
+   *   the requests of every combination
+   * @returns {Promise<Array<Object>>} Per combination, in sweep order: { label, params, data,
+   *   error, endpoint } (see getServingEndpoint for endpoint)
+   * @throws {Error} If the source has no sweep, or an AbortError if the signal is aborted
+   */
+  async fetchSweep(sourceName, params = {}, fetchOptions = {}) {
+    const configuredSource = this.mcpConfig.getDataSource(sourceName);
+
+    if (!ParameterSweep.isSwept(configuredSource)) {
+      throw new Error(`Data source '${sourceName}' has no sweep`);
+    }
+
+    const combinations = ParameterSweep.expand(configuredSource.sweep);
+    const requestsPerCombination = TimeRangeChunker.plan(configuredSource, params).length;
+    const total = combinations.length * requestsPerCombination;
+    const results = [];
+
+    for (const [index, { label, params: sweepParams }] of combinations.entries()) {
+      const entry = { label, params: sweepParams, data: null, error: null, endpoint: null };
+      try {
+        entry.data = await this.fetchFromSource(sourceName, { ...params, ...sweepParams }, {
+          ...fetchOptions,
+          onProgress: fetchOptions.onProgress && (({ completed }) => fetchOptions.onProgress({
+            sourceName,
+            completed: index * requestsPerCombination + completed,
+            total
+          }))
+        });
+        entry.endpoint = this.getServingEndpoint(sourceName);
+      } catch (error) {
+        if (fetchOptions.signal?.aborted) {
+          throw error;
+        }
+        entry.error = error;
+        // The failed combination's requests are done too
+        fetchOptions.onProgress?.({ sourceName, completed: (index + 1) * requestsPerCombination, total });
+      }
+      results.push(entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetches data from all configured data sources in parallel
+   * @param {Object} params - Query parameters to apply to all sources
+   * @param {Object} [fetchOptions] - Per-call options passed to fetchFromSource (e.g. bypassCache);
+   *   onProgress receives { sourceName, completed, total } counted across all sources
+   * @returns {Promise<Object>} { data, error, endpoint } by source name, where endpoint is the
+   *   endpoint that served the data (see getServingEndpoint); streaming sources are not fetched
+   *   and have no entry. A swept source has `sweep` instead (see fetchSweep) and null data; its
+   *   error is set only if every combination failed.
+   */
+  async fetchAllSources(params = {}, fetchOptions = {}) {
+    const configuredNames = this.mcpConfig.getDataSourceNames();
+    
+    if (configuredNames.length === 0) {
+      throw new Error('No data sources configured');
+    }
+
+    const sourceNames = configuredNames.filter(
+      sourceName => !StreamingSource.isStreaming(this.mcpConfig.getDataSource(sourceName))
+    );
+
+    // Report progress across all sources: { completed, total } requests
+    const completedBySource = {};
+    const total = sourceNames.reduce((sum, sourceName) => {
+      const sourceConfig = this.mcpConfig.getDataSource(sourceName);
+      const combinations = ParameterSweep.isSwept(sourceConfig) ? ParameterSweep.expand(sourceConfig.sweep).length : 1;
+      return sum + combinations * TimeRangeChunker.plan(sourceConfig, params).length;
+    }, 0);
+    const onProgress = fetchOptions.onProgress && (({ sourceName, completed }) => {
+      completedBySource[sourceName] = completed;
+      const done = Object.values(completedBySource).reduce((sum, count) => sum + count, 0);
+      fetchOptions.onProgress({ sourceName, completed: done, total });
+    });
+
+    // Create fetch promises for all sources
+    const fetchPromises = sourceNames.map(async (sourceName) => {
+      try {
+        if (ParameterSweep.isSwept(this.mcpConfig.getDataSource(sourceName))) {
+          const sweep = await this.fetchSweep(sourceName, params, { ...fetchOptions, onProgress });
+          const error = sweep.every(entry => entry.error) ? sweep[0].error : null;
+          return { sourceName, data: null, error, endpoint: null, sweep };
+        }
+
+        const data = await this.fetchFromSource(sourceName, params, { ...fetchOptions, onProgress });
+        return { sourceName, data, error: null, endpoint: this.getServingEndpoint(sourceName) };
+      } catch (error) {
+        return { sourceName, data: null, error, endpoint: null };
+      }
+    });
+
+    // Execute all fetches in parallel
+    const results = await Promise.all(fetchPromises);
+
+    // A cancelled call has no results worth returning
+    if (fetchOptions.signal?.aborted) {
+      throw abortReason(fetchOptions.signal);
+    }
+
+    // Transform results into object format
+    const resultObject = {};
+    for (const result of results) {
+      resultObject[result.sourceName] = {
+        data: result.data,
+        error: result.error,
+        endpoint: result.endpoint
+      };
+      if (result.sweep) {
+        resultObject[result.sourceName].sweep = result.sweep;
+      }
+    }
+
+    return resultObject;
+  }
+
+  /**
+   * Opens the live connection of a streaming source (kind 'websocket' or 'sse'),
+   * replacing one that is already open. Only credentials that travel in the URL
+   * (query_param) reach the stream; browsers cannot send headers with it.
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} [handlers] - onRecords, onStateChange and onError callbacks, plus
+   *   WebSocket / EventSource implementations (see StreamingSource)
+   * @returns {Promise<StreamingSource>} The connecting stream
+   * @throws {Error} If the source does not exist or is not a streaming source
+   */
+  async openStream(sourceName, handlers = {}) {
+    const configuredSource = this.mcpConfig.getDataSource(sourceName);
+
+    if (!configuredSource) {
+      throw new Error(`Data source '${sourceName}' not found in configuration`);
+    }
+    if (!StreamingSource.isStreaming(configuredSource)) {
+      throw new Error(`Data source '${sourceName}' is not a streaming source`);
+    }
+
+    const sourceConfig = this.envInterpolator.interpolateSource(configuredSource);
+    const url = this.buildUrl(sourceConfig, this.resolveParams(sourceConfig));
+    const request = await this.authenticator.authorize(sourceName, sourceConfig.authentication, {
+      url,
+      options: { method: 'GET', headers: {} }
+    });
+
+    this.streams[sourceName]?.close();
+    const stream = new StreamingSource(sourceName, {
+      ...handlers,
+      url: request.url,
+      kind: sourceConfig.kind,
+      stream: sourceConfig.stream
+    });
+    this.streams[sourceName] = stream;
+    stream.connect();
+
+    return stream;
+  }
+
+  /**
+   * Gets the open stream of a streaming source
+   * @param {string} sourceName - Name of the data source
+   * @returns {StreamingSource|null} The stream, or null if it has not been opened
+   */
+  getStream(sourceName) {
+    return this.streams[sourceName] || null;
+  }
+
+  /**
+   * Closes every open stream
+   */
+  closeStreams() {
+    for (const stream of Object.values(this.streams)) {
+      stream.close();
+    }
+    this.streams = {};
+  }
+
+  /**
+   * Writes the responses recorded so far to the fixture file (options.fixtures.path)
+   * @returns {Promise<void>}
+   * @throws {Error} If fixtures are not being recorded
+   */
+  async saveFixtures() {
+    if (!this.fixtures.recording) {
+      throw new Error("Fixtures are only saved in record mode (options.fixtures.mode or ?fixtures=record)");
+    }
+    await this.fixtures.save();
+  }
+
+  /**
+   * Gets the endpoint that served a source's data most recently (including from the cache)
+   * @param {string} sourceName - Name of the data source
+   * @returns {{name: string, fallback: boolean, servedAt: number}|null} The endpoint's name
+   *   ('primary' or the fallback's name), whether it is a fallback, and when; null before
+   *   the first successful fetch
+   */
+  getServingEndpoint(sourceName) {
+    return this.servingEndpoints[sourceName] || null;
+  }
+
+  /**
+   * Gets the circuit state of a data source (or of one of its fallback endpoints,
+   * keyed 'source/fallback')
+   * @param {string} sourceName - Name of the data source
+   * @returns {{name: string, state: string, failures: number, openedAt: number|null, retryAt: number|null}}
+   *   Circuit status; sources that have not been requested yet are closed
+   */
+  getCircuitState(sourceName) {
+    return this.circuitBreakers[sourceName]?.getStatus() || {
+      name: sourceName,
+      state: CIRCUIT_STATES.CLOSED,
+      failures: 0,
+      openedAt: null,
+      retryAt: null
+    };
+  }
+
+  /**
+   * Gets the circuit state of every configured data source, e.g. for a status display
+   * @returns {Object<string, Object>} Circuit status (see getCircuitState) by source name
+   */
+  getCircuitStates() {
+    const states = {};
+    for (const sourceName of this.mcpConfig.getDataSourceNames()) {
+      states[sourceName] = this.getCircuitState(sourceName);
+    }
+    return states;
+  }
+
+  /**
+   * Gets the request metrics of a data source
+   * @param {string} sourceName - Name of the data source
+   * @returns {Object} Metrics (see FetchTelemetry.getMetrics); all zero before the first request
+   */
+  getMetrics(sourceName) {
+    return this.telemetry.getMetrics(sourceName);
+  }
+
+  /**
+   * Gets the request metrics of every configured data source
+   * @returns {Object<string, Object>} Metrics (see getMetrics) by source name
+   */
+  getAllMetrics() {
+    const metrics = {};
+    for (const sourceName of this.mcpConfig.getDataSourceNames()) {
+      metrics[sourceName] = this.getMetrics(sourceName);
+    }
+    return metrics;
+  }
+
+  /**
+   * Probes every configured data source: checks that the environment variables it
+   * references are set, then requests it, bypassing the cache
+   * @param {Object} [params] - Request inputs for the probes, e.g. a short time range
+   * @param {Object} [options] - Probe options
+   * @param {AbortSignal} [options.signal] - Cancels the probes
+   * @returns {Promise<Array<Object>>} Per source, in config order: { name, status ('ok',
+   *   'warning', 'failed' or 'skipped' for streaming sources), duration (ms), message
+   *   (with secrets redacted), missingVariables, error }
+   */
+  async preflight(params = {}, { signal } = {}) {
+    return Promise.all(this.mcpConfig.getDataSourceNames().map(async (sourceName) => {
+      const sourceConfig = this.mcpConfig.getDataSource(sourceName);
+      const missingVariables = this.envInterpolator.findMissing(sourceConfig);
+      const result = { name: sourceName, status: 'ok', duration: null, message: '', missingVariables, error: null };
+      const unset = missingVariables.length > 0 ? `; not set: ${missingVariables.join(', ')}` : '';
+
+      if (StreamingSource.isStreaming(sourceConfig)) {
+        return { ...result, status: 'skipped', message: `Streaming source, not probed${unset}` };
+      }
+
+      // A swept source is probed with its first combination
+      const [probe] = ParameterSweep.isSwept(sourceConfig) ? ParameterSweep.expand(sourceConfig.sweep) : [];
+
+      const started = Date.now();
+      try {
+        await this.fetchFromSource(sourceName, { ...params, ...probe?.params }, { bypassCache: true, signal });
+        result.duration = Date.now() - started;
+        result.status = unset ? 'warning' : 'ok';
+        result.message = `Responded in ${result.duration} ms${unset}`;
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        result.duration = Date.now() - started;
+        result.status = 'failed';
+        result.message = `${secretRedactor.redact(error.message)}${unset}`;
+        result.error = error;
+      }
+
+      return result;
+    }));
+  }
+
+  /**
+   * Gets or creates the circuit breaker of an endpoint, combining the global
+   * options.circuitBreaker settings with the endpoint's own overrides
+   * @param {string} sourceName - Key of the endpoint (the source name for its primary endpoint)
+   * @param {Object} sourceConfig - Endpoint configuration
+   * @returns {CircuitBreaker|null} The breaker, or null if disabled for this source
+   * @private
+   */
+  getCircuitBreaker(sourceName, sourceConfig) {
+    const settings = {
+      enabled: true,
+      ...this.mcpConfig.getConfig()?.options?.circuitBreaker,
+      ...sourceConfig.circuitBreaker
+    };
+
+    if (!settings.enabled) {
+      return null;
+    }
+
+    if (!this.circuitBreakers[sourceName]) {
+      this.circuitBreakers[sourceName] = new CircuitBreaker(sourceName, {
+        failureThreshold: settings.failureThreshold,
+        resetTimeout: settings.resetTimeout,
+        onStateChange: (status) => this.onCircuitStateChange?.(status)
+      });
+    }
+
+    return this.circuitBreakers[sourceName];
+  }
+
+  /**
+   * Gets the middleware chain for a source's requests
+   * @param {string} sourceName - Name of the data source
+   * @returns {Array<Object>} Built-in and registered middlewares in chain order
+   * @private
+   */
+  getMiddlewares(sourceName) {
+    const registered = this.middlewares
+      .filter(entry => entry.source === null || entry.source === sourceName)
+      .map(entry => entry.middleware);
+    const { telemetry, cache, rateLimit, graphQL, conditional } = this.builtInMiddlewares;
+
+    return [telemetry, cache, ...registered, rateLimit, graphQL, conditional];
+  }
+
+  /**
+   * Creates the middleware that counts every request's outcome, as the dashboard sees it
+   * @returns {Object} Middleware
+   * @private
    */
-  constructor(mcpConfig) {
-    this.mcpConfig = mcpConfig;
-    this.requestTimestamps = {}; // Track request timestamps per source for rate limiting
-    this.requestQueues = {}; // Queue for pending requests per source
+  createTelemetryMiddleware() {
+    return {
+      name: 'telemetry',
+      response: (response, request, { sourceName }) => {
+        this.telemetry.recordRequest(sourceName);
+        return response;
+      },
+      error: (error, request, { sourceName, signal }) => {
+        if (!signal.aborted) {
+          this.telemetry.recordRequest(sourceName, error);
+        }
+        return undefined;
+      }
+    };
   }
 
   /**
-   * Fetches data from a single data source
-   * @param {string} sourceName - Name of the data source (e.g., 'airQuality', 'cryptocurrency')
-   * @param {Object} params - Additional query parameters for the request
-   * @returns {Promise<Object>} The API response data
-   * @throws {Error} If the request fails after retries
+   * Creates the middleware that answers requests from the response cache and caches
+   * the responses of the rest of the chain
+   * @returns {Object} Middleware
+   * @private
    */
-  async fetchFromSource(sourceName, params = {}) {
-    const sourceConfig = this.mcpConfig.getDataSource(sourceName);
-    
-    if (!sourceConfig) {
-      throw new Error(`Data source '${sourceName}' not found in configuration`);
-    }
+  createCacheMiddleware() {
+    return {
+      name: 'cache',
+      request: async (request, { sourceName, sourceConfig, bypassCache }) => {
+        // While recording, every request goes out so that its response ends up in the fixtures
+        if (!this.getCacheSettings(sourceConfig).enabled || bypassCache || this.fixtures.recording) {
+          return request;
+        }
 
-    // Handle rate limiting before making the request
-    await this.handleRateLimit(sourceName);
+        const cached = await this.responseCache.get(ResponseCache.createKey(sourceName, request.url, request.options.body));
+        if (!cached) {
+          return request;
+        }
 
-    // Get global error handling config
-    const config = this.mcpConfig.getConfig();
-    const errorConfig = config.options?.errorHandling || {
-      maxRetries: 3,
-      retryDelay: 1000,
-      backoffMultiplier: 2
+        this.telemetry.recordCacheHit(sourceName);
+        return { ...request, response: { data: cached.data.data, headers: new Headers(cached.data.headers) } };
+      },
+      response: async (response, request, { sourceName, sourceConfig }) => {
+        const settings = this.getCacheSettings(sourceConfig);
+        if (settings.enabled) {
+          // Headers as a plain object, so the entry can be persisted in IndexedDB
+          const headers = Object.fromEntries(response.headers?.entries?.() || []);
+          await this.responseCache.set(
+            ResponseCache.createKey(sourceName, request.url, request.options.body),
+            { data: response.data, headers },
+            settings.ttl
+          );
+        }
+        return response;
+      }
     };
+  }
+
+  /**
+   * Creates the middleware that holds requests until the source's rate limit allows them;
+   * replayed responses cost nothing
+   * @returns {Object} Middleware
+   * @private
+   */
+  createRateLimitMiddleware() {
+    return {
+      name: 'rate-limit',
+      request: async (request, { sourceName, sourceConfig, endpoint, signal }) => {
+        if (this.fixtures.replaying) {
+          return request;
+        }
 
-    // Create fetch function with retry logic
-    const fetchFn = async () => {
-      // Build URL with query parameters
-      const url = this.buildUrl(sourceConfig, params);
-      
-      // Build request options
-      const options = this.buildRequestOptions(sourceConfig);
+        // Every endpoint has its own budget (a fallback takes the source's rateLimit unless it sets one)
+        const started = Date.now();
+        await abortable(this.handleRateLimit(endpoint.key, sourceConfig.rateLimit, signal), signal);
 
-      try {
-        const response = await fetch(url, options);
-
-        if (!response.ok) {
-          // Handle specific HTTP errors
-          if (response.status === 429) {
-            throw new RateLimitError(`Rate limit exceeded for ${sourceName}`);
-          } else if (response.status >= 500) {
-            throw new ServerError(`Server error (${response.status}) for ${sourceName}`);
-          } else if (response.status >= 400) {
-            throw new ClientError(`Client error (${response.status}) for ${sourceName}`);
+        const waited = Date.now() - started;
+        if (waited > 0) {
+          this.telemetry.recordRateLimitWait(sourceName, waited);
+        }
+        return request;
+      }
+    };
+  }
+
+  /**
+   * Creates the middleware that unwraps GraphQL responses. GraphQL reports failed queries
+   * in the body of a successful response; these are not retried.
+   * @returns {Object} Middleware
+   * @private
+   */
+  createGraphQLMiddleware() {
+    return {
+      name: 'graphql',
+      response: (response, request, { sourceName, sourceConfig }) => sourceConfig.kind === 'graphql'
+        ? { ...response, data: DataFetcherManager.unwrapGraphQLResponse(sourceName, response.data) }
+        : response
+    };
+  }
+
+  /**
+   * Creates the middleware that revalidates responses the API marked with an ETag or
+   * Last-Modified header: the request carries If-None-Match / If-Modified-Since, and a
+   * 304 Not Modified answer is served from the stored body, as a cache hit. It runs before
+   * GraphQL unwrapping, so the body is stored as the API sent it. Fixture recording and
+   * replay always use full responses.
+   * @returns {Object} Middleware
+   * @private
+   */
+  createConditionalRequestMiddleware() {
+    const isEnabled = (sourceConfig) => this.getConditionalSettings(sourceConfig).enabled
+      && !this.fixtures.recording
+      && !this.fixtures.replaying;
+    const keyOf = (sourceName, request) => ResponseCache.createKey(sourceName, request.url, request.options.body);
+
+    return {
+      name: 'conditional',
+      request: async (request, { sourceName, sourceConfig }) => {
+        const stored = isEnabled(sourceConfig) && await this.validatorCache.get(keyOf(sourceName, request));
+        if (!stored) {
+          return request;
+        }
+
+        const headers = { ...request.options.headers };
+        if (stored.data.etag) {
+          headers['If-None-Match'] = stored.data.etag;
+        }
+        if (stored.data.lastModified) {
+          headers['If-Modified-Since'] = stored.data.lastModified;
+        }
+        return { ...request, options: { ...request.options, headers } };
+      },
+      response: async (response, request, { sourceName, sourceConfig }) => {
+        if (!isEnabled(sourceConfig)) {
+          return response;
+        }
+
+        const { ttl } = this.getConditionalSettings(sourceConfig);
+        const key = keyOf(sourceName, request);
+
+        if (response.notModified) {
+          const stored = await this.validatorCache.get(key);
+          if (!stored) {
+            throw new ServerError(`${sourceName} answered 304 Not Modified, but its stored response has expired`);
           }
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+          // Headers of the 304 (e.g. a new rate limit) take precedence over the stored ones
+          const headers = { ...stored.data.headers, ...Object.fromEntries(response.headers?.entries?.() || []) };
+          await this.validatorCache.set(key, { ...stored.data, headers }, ttl);
+          this.telemetry.recordCacheHit(sourceName);
+          return { data: stored.data.data, headers: new Headers(headers) };
         }
 
-        const data = await response.json();
-        
-        // Record successful request timestamp
-        this.recordRequestTimestamp(sourceName);
-        
-        return data;
-      } catch (error) {
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          throw new NetworkError(`Network error while fetching from ${sourceName}: ${error.message}`);
+        const etag = response.headers?.get('ETag');
+        const lastModified = response.headers?.get('Last-Modified');
+        if (etag || lastModified) {
+          await this.validatorCache.set(key, {
+            etag,
+            lastModified,
+            data: response.data,
+            headers: Object.fromEntries(response.headers.entries())
+          }, ttl);
         }
-        throw error;
+        return response;
       }
     };
+  }
 
-    // Execute with retry logic
-    return await this.retryWithBackoff(
-      fetchFn,
-      errorConfig.maxRetries,
-      errorConfig.retryDelay,
-      errorConfig.backoffMultiplier
-    );
+  /**
+   * Combines the global cache options with a source's own overrides
+   * @param {Object} sourceConfig - Data source configuration
+   * @returns {{enabled: boolean, ttl: number}} Effective cache settings (ttl in seconds)
+   * @private
+   */
+  getCacheSettings(sourceConfig) {
+    const settings = {
+      enabled: false,
+      ttl: 300,
+      ...this.mcpConfig.getConfig()?.options?.cache,
+      ...sourceConfig.cache
+    };
+
+    return { enabled: settings.enabled === true && settings.ttl > 0, ttl: settings.ttl };
   }
 
   /**
-   * Fetches data from all configured data sources in parallel
-   * @param {Object} params - Query parameters to apply to all sources
-   * @returns {Promise<Object>} Object with source names as keys and response data as values
+   * Combines the global options.conditionalRequests with a source's own overrides
+   * @param {Object} sourceConfig - Data source configuration
+   * @returns {{enabled: boolean, ttl: number}} Effective settings (ttl in seconds); on by default
+   * @private
    */
-  async fetchAllSources(params = {}) {
-    const sourceNames = this.mcpConfig.getDataSourceNames();
-    
-    if (sourceNames.length === 0) {
-      throw new Error('No data sources configured');
-    }
+  getConditionalSettings(sourceConfig) {
+    const settings = {
+      enabled: true,
+      ttl: DEFAULT_CONDITIONAL_TTL,
+      ...this.mcpConfig.getConfig()?.options?.conditionalRequests,
+      ...sourceConfig.conditionalRequests
+    };
 
-    // Create fetch promises for all sources
-    const fetchPromises = sourceNames.map(async (sourceName) => {
-      try {
-        const data = await this.fetchFromSource(sourceName, params);
-        return { sourceName, data, error: null };
-      } catch (error) {
-        return { sourceName, data: null, error };
-      }
-    });
+    return { enabled: settings.enabled !== false && settings.ttl > 0, ttl: settings.ttl };
+  }
 
-    // Execute all fetches in parallel
-    const results = await Promise.all(fetchPromises);
+  /**
+   * Gets the per-attempt request timeout for a source
+   * @param {Object} sourceConfig - Data source configuration
+   * @returns {number} Timeout in milliseconds, or 0 for none
+   * @private
+   */
+  getTimeout(sourceConfig) {
+    return sourceConfig.timeout ?? this.mcpConfig.getConfig()?.options?.timeout ?? 0;
+  }
 
-    // Transform results into object format
-    const resultObject = {};
-    for (const result of results) {
-      resultObject[result.sourceName] = {
-        data: result.data,
-        error: result.error
-      };
-    }
+  /**
+   * Handles rate limiting for an endpoint: first any limit the API reported,
+   * then the endpoint's own rateLimit budget, which is shared with other tabs
+   * @param {string} sourceName - Key of the endpoint (the source name for its primary endpoint)
+   * @param {Object} [rateLimit] - The endpoint's rateLimit settings
+   * @param {AbortSignal} [signal] - Signal that cancels the request; a queued request leaves the queue
+   * @returns {Promise<void>} Resolves when the request can proceed (its slot is taken)
+   * @private
+   */
+  async handleRateLimit(sourceName, rateLimit, signal) {
+    // Honor what the API itself said about its limits first
+    await this.waitForServerRateLimit(sourceName);
 
-    return resultObject;
+    await this.rateLimiter.acquire(sourceName, rateLimit, signal);
   }
 
   /**
-   * Handles rate limiting for a data source
+   * Waits until the API's reported rate limit window resets, if its quota is used up
    * @param {string} sourceName - Name of the data source
    * @returns {Promise<void>} Resolves when the request can proceed
+   * @throws {RateLimitError} If the API asks us to wait longer than MAX_RETRY_WAIT_MS
    * @private
    */
-  async handleRateLimit(sourceName) {
-    const sourceConfig = this.mcpConfig.getDataSource(sourceName);
-    
-    if (!sourceConfig.rateLimit) {
-      return; // No rate limiting configured
+  async waitForServerRateLimit(sourceName) {
+    const limit = this.serverRateLimits[sourceName];
+
+    if (!limit || limit.remaining > 0 || limit.resetAt === null) {
+      return;
     }
 
-    const { requestsPerMinute, strategy } = sourceConfig.rateLimit;
-    const windowMs = 60000; // 1 minute in milliseconds
+    const waitTime = limit.resetAt - Date.now();
 
-    // Initialize tracking for this source if needed
-    if (!this.requestTimestamps[sourceName]) {
-      this.requestTimestamps[sourceName] = [];
+    if (waitTime > MAX_RETRY_WAIT_MS) {
+      throw new RateLimitError(
+        `Rate limit exceeded for ${sourceName}; the API asks to wait ${Math.ceil(waitTime / 1000)}s`,
+        waitTime
+      );
     }
 
-    // Clean up old timestamps outside the window
-    const now = Date.now();
-    this.requestTimestamps[sourceName] = this.requestTimestamps[sourceName].filter(
-      timestamp => now - timestamp < windowMs
-    );
-
-    // Check if we're at the rate limit
-    if (this.requestTimestamps[sourceName].length >= requestsPerMinute) {
-      if (strategy === 'throttle') {
-        // Throttle: wait until the oldest request falls outside the window
-        const oldestTimestamp = this.requestTimestamps[sourceName][0];
-        const waitTime = windowMs - (now - oldestTimestamp);
-        
-        if (waitTime > 0) {
-          await this.sleep(waitTime);
-        }
-        
-        // Clean up again after waiting
-        const newNow = Date.now();
-        this.requestTimestamps[sourceName] = this.requestTimestamps[sourceName].filter(
-          timestamp => newNow - timestamp < windowMs
-        );
-      } else if (strategy === 'queue') {
-        // Queue: wait for a slot to become available
-        const oldestTimestamp = this.requestTimestamps[sourceName][0];
-        const waitTime = windowMs - (now - oldestTimestamp) + 100; // Add small buffer
-        
-        if (waitTime > 0) {
-          await this.sleep(waitTime);
-        }
-        
-        // Clean up again after waiting
-        const newNow = Date.now();
-        this.requestTimestamps[sourceName] = this.requestTimestamps[sourceName].filter(
-          timestamp => newNow - timestamp < windowMs
-        );
-      }
+    if (waitTime > 0) {
+      await this.sleep(waitTime);
     }
+
+    delete this.serverRateLimits[sourceName];
   }
 
   /**
-   * Records a request timestamp for rate limiting
+   * Remembers the rate limit state an API reported in its response headers
+   * (X-RateLimit-Remaining / X-RateLimit-Reset, or Retry-After on a refused request)
    * @param {string} sourceName - Name of the data source
+   * @param {Response} response - Fetch response
+   * @param {number|null} retryAfter - Parsed Retry-After delay in milliseconds
    * @private
    */
-  recordRequestTimestamp(sourceName) {
-    if (!this.requestTimestamps[sourceName]) {
-      this.requestTimestamps[sourceName] = [];
+  recordServerRateLimit(sourceName, response, retryAfter) {
+    if (response.status === 429 && retryAfter !== null) {
+      this.serverRateLimits[sourceName] = { remaining: 0, resetAt: Date.now() + retryAfter };
+      return;
+    }
+
+    const remaining = Number.parseInt(response.headers?.get('X-RateLimit-Remaining'), 10);
+    if (Number.isNaN(remaining)) {
+      return;
     }
-    this.requestTimestamps[sourceName].push(Date.now());
+
+    this.serverRateLimits[sourceName] = {
+      remaining,
+      resetAt: parseRateLimitReset(response.headers.get('X-RateLimit-Reset'))
+    };
   }
 
   /**
-   * Retries a function with exponential backoff
+   * Retries a function with exponential backoff. Each delay is randomized
+   * (jitter) so that clients do not retry in lockstep, and a Retry-After sent
+   * by the API takes precedence over the computed delay.
    * @param {Function} fn - The async function to retry
    * @param {number} maxRetries - Maximum number of retry attempts
    * @param {number} initialDelay - Initial delay in milliseconds
    * @param {number} backoffMultiplier - Multiplier for exponential backoff
+   * @param {AbortSignal} [signal] - Stops retrying (and waiting) once aborted
+   * @param {Function} [onRetry] - Called with (error, wait in ms) before each retry
    * @returns {Promise<any>} The result of the function
    * @throws {Error} If all retries fail
    */
-  async retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000, backoffMultiplier = 2) {
+  async retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000, backoffMultiplier = 2, signal = undefined, onRetry = undefined) {
     let lastError;
     let delay = initialDelay;
 
@@ -237,13 +1317,34 @@ export class DataFetcherManager {
           throw error;
         }
 
+        // Don't retry a source whose circuit is open, credentials that cannot be obtained,
+        // a body in the wrong format or a missing fixture
+        if (error instanceof CircuitOpenError
+          || error instanceof AuthenticationError
+          || error instanceof ResponseParseError
+          || error instanceof FixtureNotFoundError) {
+          throw error;
+        }
+
+        // Don't retry a cancelled request
+        if (signal?.aborted) {
+          throw error;
+        }
+
         // If this was the last attempt, throw the error
         if (attempt === maxRetries) {
           break;
         }
 
+        // Prefer the API's Retry-After; give up if it asks for longer than we would wait
+        const wait = error.retryAfter ?? withJitter(delay);
+        if (wait > MAX_RETRY_WAIT_MS) {
+          throw error;
+        }
+
         // Wait before retrying
-        await this.sleep(delay);
+        onRetry?.(error, wait);
+        await abortable(this.sleep(wait), signal);
         
         // Increase delay for next attempt (exponential backoff)
         delay *= backoffMultiplier;
@@ -253,104 +1354,221 @@ export class DataFetcherManager {
     throw lastError;
   }
 
+  /**
+   * Maps dashboard inputs to the parameter names and formats a source expects.
+   *
+   * Each `paramMapping` entry names an API parameter and where its value comes from:
+   *   "start_date": { "from": "timeRange.start", "format": "iso-date" }
+   * or, without formatting, simply "start_date": "timeRange.start".
+   * Scalar inputs are passed through unchanged; object inputs are only used via mappings.
+   * @param {Object} sourceConfig - Data source configuration
+   * @param {Object} inputs - Request inputs, e.g. { timeRange: { start, end } }
+   * @returns {Object} Request parameters for this source
+   * @private
+   */
+  resolveParams(sourceConfig, inputs = {}) {
+    const params = {};
+
+    for (const [key, value] of Object.entries(inputs)) {
+      if (value === null || typeof value !== 'object') {
+        params[key] = value;
+      }
+    }
+
+    for (const [param, mapping] of Object.entries(sourceConfig.paramMapping || {})) {
+      const { from, format = 'raw', default: defaultValue } = typeof mapping === 'string'
+        ? { from: mapping }
+        : mapping;
+
+      let value = from.split('.').reduce(
+        (current, key) => (current === null || current === undefined ? undefined : current[key]),
+        inputs
+      );
+
+      if (value === undefined || value === null) {
+        value = defaultValue;
+      }
+
+      if (value !== undefined && value !== null) {
+        params[param] = this.formatParamValue(value, format);
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Formats a mapped input value for an API
+   * @param {number|string|Date} value - Input value; times may be ms timestamps, Dates or date strings
+   * @param {string} format - 'raw', 'iso-date' (YYYY-MM-DD), 'iso-datetime', 'epoch-seconds' or 'epoch-ms'
+   * @returns {string|number} Formatted value
+   * @private
+   */
+  formatParamValue(value, format) {
+    if (format === 'raw') {
+      return value;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new TemplateError(`Cannot format '${value}' as ${format}: not a valid time`);
+    }
+
+    switch (format) {
+      case 'iso-date':
+        return date.toISOString().split('T')[0];
+      case 'iso-datetime':
+        return date.toISOString();
+      case 'epoch-seconds':
+        return Math.floor(date.getTime() / 1000);
+      case 'epoch-ms':
+        return date.getTime();
+      default:
+        throw new TemplateError(`Unknown parameter format: ${format}`);
+    }
+  }
+
   /**
    * Builds the complete URL with query parameters
    * @param {Object} sourceConfig - Data source configuration
    * @param {Object} params - Additional query parameters
+   * @param {Set<string>} [bodyParams] - Params already sent in the request body
    * @returns {string} The complete URL
    * @private
    */
-  buildUrl(sourceConfig, params) {
-    const url = new URL(sourceConfig.endpoint);
-    
+  buildUrl(sourceConfig, params, bodyParams = new Set()) {
     // Merge default params with provided params
     const allParams = {
       ...sourceConfig.defaultParams,
       ...params
     };
 
+    // Fill {placeholders} in the endpoint path; those params are not repeated in the query
+    const { endpoint, usedParams } = this.expandEndpointTemplate(sourceConfig, allParams);
+    const url = new URL(endpoint);
+
     // Add query parameters
     for (const [key, value] of Object.entries(allParams)) {
-      if (value !== undefined && value !== null) {
+      if (value !== undefined && value !== null && !usedParams.has(key) && !bodyParams.has(key)) {
         url.searchParams.append(key, value);
       }
     }
 
-    // Handle authentication if it's a query parameter
-    if (sourceConfig.authentication?.type === 'query_param') {
-      const authKey = sourceConfig.authentication.key;
-      let authValue = sourceConfig.authentication.value;
-      
-      // Replace environment variable placeholders
-      if (authValue && authValue.startsWith('${') && authValue.endsWith('}')) {
-        const envVar = authValue.slice(2, -1);
-        authValue = this.getEnvVariable(envVar);
-      }
-      
-      if (authValue) {
-        url.searchParams.append(authKey, authValue);
+    // Credentials are added per attempt by the Authenticator
+    return url.toString();
+  }
+
+  /**
+   * Expands {placeholder} segments in an endpoint template from request params,
+   * e.g. "https://api.frankfurter.app/{start_date}..{end_date}"
+   * @param {Object} sourceConfig - Data source configuration
+   * @param {Object} params - Merged request parameters
+   * @returns {{endpoint: string, usedParams: Set<string>}} The expanded endpoint and the params it consumed
+   * @throws {TemplateError} If a placeholder has no value
+   * @private
+   */
+  expandEndpointTemplate(sourceConfig, params) {
+    const missing = [];
+    const usedParams = new Set();
+
+    const endpoint = sourceConfig.endpoint.replace(ENDPOINT_PLACEHOLDER, (match, name) => {
+      const value = params[name];
+
+      if (value === undefined || value === null || value === '') {
+        missing.push(name);
+        return match;
       }
+
+      usedParams.add(name);
+      return encodeURIComponent(String(value));
+    });
+
+    if (missing.length > 0) {
+      throw new TemplateError(
+        `Endpoint for '${sourceConfig.name}' has unfilled placeholders: ${missing.map(name => `{${name}}`).join(', ')}`,
+        missing
+      );
     }
 
-    return url.toString();
+    return { endpoint, usedParams };
+  }
+
+  /**
+   * Builds the request body from a source's `body` template, or the query document
+   * of a GraphQL source. ${param} placeholders are filled from the request params
+   * before ${VAR} references are resolved from the environment; a string that is
+   * only a placeholder, e.g. "${limit}", takes the param's value with its type.
+   * @param {Object} configuredSource - Data source configuration before interpolation
+   * @param {Object} params - Merged request parameters
+   * @returns {{body: string|undefined, usedParams: Set<string>}} The serialized body
+   *   (undefined if the source sends none) and the params it consumed
+   * @private
+   */
+  buildBody(configuredSource, params) {
+    const usedParams = new Set();
+    let template;
+
+    if (configuredSource.kind === 'graphql') {
+      template = {
+        query: configuredSource.query,
+        variables: configuredSource.variables || {},
+        ...(configuredSource.operationName && { operationName: configuredSource.operationName })
+      };
+    } else if (configuredSource.body !== undefined && configuredSource.body !== null) {
+      template = configuredSource.body;
+    } else {
+      return { body: undefined, usedParams };
+    }
+
+    const filled = this.envInterpolator.interpolate(fillBodyTemplate(template, params, usedParams));
+    return { body: typeof filled === 'string' ? filled : JSON.stringify(filled), usedParams };
   }
 
   /**
    * Builds request options including headers
    * @param {Object} sourceConfig - Data source configuration
+   * @param {string} [body] - Serialized request body
    * @returns {Object} Fetch options object
    * @private
    */
-  buildRequestOptions(sourceConfig) {
+  buildRequestOptions(sourceConfig, body) {
+    // Credentials are added per attempt by the Authenticator
     const options = {
       method: sourceConfig.method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...sourceConfig.headers
       }
     };
 
-    // Handle header-based authentication
-    if (sourceConfig.authentication?.type === 'header') {
-      const authKey = sourceConfig.authentication.key;
-      let authValue = sourceConfig.authentication.value;
-      
-      // Replace environment variable placeholders
-      if (authValue && authValue.startsWith('${') && authValue.endsWith('}')) {
-        const envVar = authValue.slice(2, -1);
-        authValue = this.getEnvVariable(envVar);
-      }
-      
-      if (authValue) {
-        options.headers[authKey] = authValue;
-      }
+    if (body !== undefined) {
+      options.body = body;
     }
 
     return options;
   }
 
   /**
-   * Gets an environment variable value
-   * @param {string} name - Environment variable name
-   * @returns {string|undefined} The environment variable value
+   * Extracts the data of a GraphQL response
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} response - Parsed response body: { data, errors }
+   * @returns {any} The response's data
+   * @throws {GraphQLError} If the response lists errors or has no data
    * @private
    */
-  getEnvVariable(name) {
-    // In browser environment, check window object or import.meta.env
-    if (typeof window !== 'undefined' && window.ENV) {
-      return window.ENV[name];
+  static unwrapGraphQLResponse(sourceName, response) {
+    const errors = Array.isArray(response?.errors) ? response.errors : [];
+
+    if (errors.length > 0) {
+      const messages = errors.map(error => error?.message || 'Unknown error');
+      throw new GraphQLError(`GraphQL query to ${sourceName} failed: ${messages.join('; ')}`, errors);
     }
-    
-    if (typeof import.meta !== 'undefined' && import.meta.env) {
-      // Try with VITE_ prefix first (Vite convention)
-      const viteKey = `VITE_${name}`;
-      if (import.meta.env[viteKey]) {
-        return import.meta.env[viteKey];
-      }
-      // Try without prefix
-      return import.meta.env[name];
+
+    if (response?.data === undefined || response.data === null) {
+      throw new GraphQLError(`GraphQL response from ${sourceName} has no data`);
     }
-    
-    return undefined;
+
+    return response.data;
   }
 
   /**
@@ -373,22 +1591,175 @@ export class NetworkError extends Error {
 }
 
 export class ServerError extends Error {
-  constructor(message) {
+  constructor(message, retryAfter = null) {
     super(message);
     this.name = 'ServerError';
+    this.retryAfter = retryAfter;
   }
 }
 
 export class ClientError extends Error {
-  constructor(message) {
+  constructor(message, status = null) {
     super(message);
     this.name = 'ClientError';
+    this.status = status;
   }
 }
 
 export class RateLimitError extends ClientError {
-  constructor(message) {
-    super(message);
+  constructor(message, retryAfter = null) {
+    super(message, 429);
     this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class GraphQLError extends ClientError {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'GraphQLError';
+    this.errors = errors;
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(message, timeout) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+export class TemplateError extends Error {
+  constructor(message, missingParams = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.missingParams = missingParams;
+  }
+}
+
+/**
+ * Fills the ${param} placeholders of a body template
+ * @param {any} template - String, array or object template (not modified)
+ * @param {Object} params - Request parameters
+ * @param {Set<string>} usedParams - Collects the names of the params filled in
+ * @returns {any} A copy with placeholders replaced; placeholders without a param are left
+ *   for the environment
+ */
+function fillBodyTemplate(template, params, usedParams) {
+  const hasParam = (name) => params[name] !== undefined && params[name] !== null;
+
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_BODY_PLACEHOLDER);
+    if (whole && hasParam(whole[1])) {
+      usedParams.add(whole[1]);
+      return escapeEnvReferences(params[whole[1]]);
+    }
+
+    return template.replace(BODY_PLACEHOLDER, (match, escaped, name) => {
+      if (escaped || !hasParam(name)) {
+        return match;
+      }
+
+      usedParams.add(name);
+      return escapeEnvReferences(String(params[name]));
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => fillBodyTemplate(item, params, usedParams));
+  }
+
+  if (template && typeof template === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(template)) {
+      result[key] = fillBodyTemplate(item, params, usedParams);
+    }
+    return result;
+  }
+
+  return template;
+}
+
+/**
+ * Escapes ${...} in a param value, so user input is never resolved as an environment variable
+ * @param {any} value - Param value
+ * @returns {any} The value, with "${" turned into "$${" if it is a string
+ */
+function escapeEnvReferences(value) {
+  return typeof value === 'string' ? value.replaceAll('${', '$${') : value;
+}
+
+/**
+ * Returns the reason a signal was aborted, as an error
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The abort reason, or a DOMException named AbortError
+ */
+function abortReason(signal) {
+  return signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+}
+
+/**
+ * Rejects as soon as a signal is aborted, even if the promise itself cannot be cancelled
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Signal to watch
+ * @returns {Promise} Settles like the promise, or rejects with the abort reason
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} header - Header value, e.g. "120" or "Wed, 21 Oct 2026 07:28:00 GMT"
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+
+  if (/^\s*\d+(\.\d+)?\s*$/.test(header)) {
+    return Number(header) * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Parses an X-RateLimit-Reset header. APIs send either a Unix time in seconds
+ * or the number of seconds until the window resets.
+ * @param {string|null} header - Header value
+ * @returns {number|null} Reset time as a ms timestamp, or null if absent or unparseable
+ */
+function parseRateLimitReset(header) {
+  const value = Number.parseFloat(header);
+
+  if (Number.isNaN(value)) {
+    return null;
   }
+
+  // Values this large are Unix times; a delay of over 31 years is not plausible
+  return value > 1e9 ? value * 1000 : Date.now() + value * 1000;
+}
+
+/**
+ * Randomizes a backoff delay to between half and all of its value
+ * @param {number} delay - Computed delay in milliseconds
+ * @returns {number} Delay to wait
+ */
+function withJitter(delay) {
+  return delay * (0.5 + Math.random() * 0.5);
 }
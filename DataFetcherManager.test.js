@@ -0,0 +1,908 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DataFetcherManager, TemplateError, TimeoutError, ServerError, ClientError, GraphQLError } from '../src/DataFetcherManager.js';
+import { CircuitOpenError } from '../src/CircuitBreaker.js';
+import { EnvInterpolator } from '../src/EnvInterpolator.js';
+import { SecretRedactor } from '../src/SecretRedactor.js';
+import { ResponseCache } from '../src/ResponseCache.js';
+import { Authenticator, AuthenticationError } from '../src/Authenticator.js';
+import { ResponseParseError } from '../src/ResponseParsers.js';
+import { FixtureStore, FixtureNotFoundError } from '../src/FixtureStore.js';
+
+/**
+ * Minimal stand-in for MCPConfigParser backed by a plain config object
+ */
+const createMockConfig = (dataSources, options = {}) => ({
+  getDataSource: (name) => dataSources[name] || null,
+  getDataSourceNames: () => Object.keys(dataSources),
+  getConfig: () => ({ mcpVersion: '1.1', projectName: 'test', dataSources, options })
+});
+
+const createSource = (overrides = {}) => ({
+  name: 'Test Source',
+  endpoint: 'https://api.example.com/data',
+  method: 'GET',
+  transformation: { timestampField: 'ts', valueField: 'val' },
+  ...overrides
+});
+
+const jsonResponse = (body, init = {}) => ({
+  ok: (init.status || 200) < 400,
+  status: init.status || 200,
+  statusText: init.statusText || 'OK',
+  headers: new Headers(init.headers || {}),
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('DataFetcherManager', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn(async () => jsonResponse({ ok: true }));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('buildUrl', () => {
+    let fetcher;
+
+    beforeEach(() => {
+      fetcher = new DataFetcherManager(createMockConfig({}));
+    });
+
+    it('should append default and request params as query parameters', () => {
+      const url = fetcher.buildUrl(createSource({ defaultParams: { from: 'EUR' } }), { to: 'USD' });
+      expect(url).toBe('https://api.example.com/data?from=EUR&to=USD');
+    });
+
+    it('should fill endpoint placeholders and not repeat them in the query', () => {
+      const source = createSource({
+        endpoint: 'https://api.frankfurter.app/{start_date}..{end_date}',
+        defaultParams: { from: 'EUR', to: 'USD' }
+      });
+
+      const url = fetcher.buildUrl(source, { start_date: '2024-01-01', end_date: '2024-01-31' });
+      expect(url).toBe('https://api.frankfurter.app/2024-01-01..2024-01-31?from=EUR&to=USD');
+    });
+
+    it('should encode placeholder values', () => {
+      const source = createSource({ endpoint: 'https://api.example.com/items/{id}' });
+      expect(fetcher.buildUrl(source, { id: 'a/b c' })).toBe('https://api.example.com/items/a%2Fb%20c');
+    });
+
+    it('should throw a TemplateError listing unfilled placeholders', () => {
+      const source = createSource({ endpoint: 'https://api.example.com/{start_date}..{end_date}' });
+
+      try {
+        fetcher.buildUrl(source, { start_date: '2024-01-01' });
+        expect.unreachable();
+      } catch (error) {
+        expect(error).toBeInstanceOf(TemplateError);
+        expect(error.missingParams).toEqual(['end_date']);
+        expect(error.message).toContain('{end_date}');
+      }
+    });
+  });
+
+  describe('resolveParams', () => {
+    let fetcher;
+    const timeRange = { start: Date.UTC(2024, 0, 1, 12), end: Date.UTC(2024, 0, 31, 12) };
+
+    beforeEach(() => {
+      fetcher = new DataFetcherManager(createMockConfig({}));
+    });
+
+    it('should map and format inputs per the source paramMapping', () => {
+      const source = createSource({
+        paramMapping: {
+          start_date: { from: 'timeRange.start', format: 'iso-date' },
+          end: { from: 'timeRange.end', format: 'epoch-seconds' },
+          startMs: 'timeRange.start'
+        }
+      });
+
+      expect(fetcher.resolveParams(source, { timeRange })).toEqual({
+        start_date: '2024-01-01',
+        end: Date.UTC(2024, 0, 31, 12) / 1000,
+        startMs: timeRange.start
+      });
+    });
+
+    it('should only send mapped params, leaving defaultParams intact', () => {
+      const source = createSource({
+        defaultParams: { from: 'EUR', to: 'USD' },
+        paramMapping: { start_date: { from: 'timeRange.start', format: 'iso-date' } }
+      });
+
+      const url = fetcher.buildUrl(source, fetcher.resolveParams(source, { timeRange }));
+      expect(url).toBe('https://api.example.com/data?from=EUR&to=USD&start_date=2024-01-01');
+    });
+
+    it('should pass scalar inputs through and fall back to mapping defaults', () => {
+      const source = createSource({
+        paramMapping: { interval: { from: 'granularity', default: 'daily' } }
+      });
+
+      expect(fetcher.resolveParams(source, { timeRange, symbol: 'AAPL' })).toEqual({
+        symbol: 'AAPL',
+        interval: 'daily'
+      });
+    });
+
+    it('should throw a TemplateError for values that are not times', () => {
+      const source = createSource({ paramMapping: { start: { from: 'start', format: 'iso-date' } } });
+      expect(() => fetcher.resolveParams(source, { start: 'soon' })).toThrow(TemplateError);
+    });
+  });
+
+  describe('fetchFromSource', () => {
+    it('should not send a request or retry when a placeholder is unfilled', async () => {
+      const fetcher = new DataFetcherManager(createMockConfig({
+        currency: createSource({ endpoint: 'https://api.example.com/{start_date}' })
+      }));
+
+      await expect(fetcher.fetchFromSource('currency')).rejects.toBeInstanceOf(TemplateError);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should interpolate environment variables into the request', async () => {
+      const fetcher = new DataFetcherManager(createMockConfig({
+        weather: createSource({
+          endpoint: '${API_BASE:-https://api.example.com}/data',
+          defaultParams: { units: '${UNITS:-metric}' },
+          headers: { 'X-Client': '${CLIENT_ID}' },
+          authentication: { type: 'query_param', key: 'appid', value: '${WEATHER_KEY}' }
+        })
+      }), {
+        envInterpolator: new EnvInterpolator({
+          env: { CLIENT_ID: 'dashboard', WEATHER_KEY: 'w-1234' },
+          redactor: new SecretRedactor()
+        })
+      });
+
+      await fetcher.fetchFromSource('weather');
+
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://api.example.com/data?units=metric&appid=w-1234');
+      expect(options.headers['X-Client']).toBe('dashboard');
+    });
+
+    it('should renew a rejected OAuth2 token and try once more', async () => {
+      let issued = 0;
+      const authenticator = new Authenticator({
+        fetch: async () => jsonResponse({ access_token: `token-${++issued}`, expires_in: 3600 })
+      });
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse({}, { status: 401 }))
+        .mockResolvedValueOnce(jsonResponse({ value: 1 }));
+      const fetcher = new DataFetcherManager(createMockConfig({
+        treasury: createSource({
+          authentication: {
+            type: 'oauth2_client_credentials',
+            tokenUrl: 'https://auth.example.com/token',
+            clientId: 'dashboard',
+            clientSecret: 'secret'
+          }
+        })
+      }), { authenticator });
+
+      expect(await fetcher.fetchFromSource('treasury')).toEqual({ value: 1 });
+      expect(fetchMock.mock.calls.map(([, options]) => options.headers.Authorization))
+        .toEqual(['Bearer token-1', 'Bearer token-2']);
+    });
+
+    it('should not retry when the token endpoint refuses the client', async () => {
+      const tokenFetch = vi.fn(async () => jsonResponse({ error: 'invalid_client' }, { status: 401 }));
+      const fetcher = new DataFetcherManager(createMockConfig({
+        treasury: createSource({
+          authentication: {
+            type: 'oauth2_client_credentials',
+            tokenUrl: 'https://auth.example.com/token',
+            clientId: 'dashboard',
+            clientSecret: 'wrong'
+          }
+        })
+      }), { authenticator: new Authenticator({ fetch: tokenFetch }) });
+      fetcher.sleep = vi.fn(async () => {});
+
+      await expect(fetcher.fetchFromSource('treasury')).rejects.toBeInstanceOf(AuthenticationError);
+      expect(tokenFetch).toHaveBeenCalledTimes(1);
+      expect(fetcher.sleep).not.toHaveBeenCalled();
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should sign every retry anew with a fresh timestamp', async () => {
+      let clock = Date.UTC(2024, 0, 1);
+      const authenticator = new Authenticator({ now: () => clock });
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse({}, { status: 503 }))
+        .mockResolvedValueOnce(jsonResponse({ value: 1 }));
+      const fetcher = new DataFetcherManager(createMockConfig({
+        treasury: createSource({ authentication: { type: 'hmac', keyId: 'dashboard', secret: 'secret' } })
+      }, {
+        errorHandling: { maxRetries: 1, retryDelay: 4000, backoffMultiplier: 1 }
+      }), { authenticator });
+      fetcher.sleep = vi.fn(async (ms) => { clock += ms; });
+
+      expect(await fetcher.fetchFromSource('treasury')).toEqual({ value: 1 });
+      const [first, second] = fetchMock.mock.calls.map(([, options]) => options.headers);
+      expect(Number(second['X-Timestamp'])).toBeGreaterThan(Number(first['X-Timestamp']));
+      expect(second['X-Signature']).not.toBe(first['X-Signature']);
+    });
+
+    describe('response cache', () => {
+      const cacheOptions = { cache: { enabled: true, ttl: 300 } };
+
+      it('should serve repeated requests from the cache', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({ weather: createSource() }, cacheOptions));
+
+        await fetcher.fetchFromSource('weather', { q: 1 });
+        const data = await fetcher.fetchFromSource('weather', { q: 1 });
+        await fetcher.fetchFromSource('weather', { q: 2 });
+
+        expect(data).toEqual({ ok: true });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      });
+
+      it('should refetch and update the cache when bypassing it', async () => {
+        const responseCache = new ResponseCache();
+        const fetcher = new DataFetcherManager(createMockConfig({ weather: createSource() }, cacheOptions), { responseCache });
+
+        await fetcher.fetchFromSource('weather');
+        fetchMock.mockResolvedValueOnce(jsonResponse({ ok: 'fresh' }));
+        await fetcher.fetchFromSource('weather', {}, { bypassCache: true });
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(await fetcher.fetchFromSource('weather')).toEqual({ ok: 'fresh' });
+      });
+
+      it('should honor per-source cache overrides', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({
+          live: createSource({ cache: { enabled: false } })
+        }, cacheOptions));
+
+        await fetcher.fetchFromSource('live');
+        await fetcher.fetchFromSource('live');
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe('in-flight requests', () => {
+      /**
+       * Makes fetch hang until the returned function is called with a body
+       */
+      const holdFetch = () => {
+        let release;
+        fetchMock.mockImplementation(() => new Promise(resolve => {
+          release = (body) => resolve(jsonResponse(body));
+        }));
+        return (body) => release(body);
+      };
+
+      it('should send identical concurrent requests once', async () => {
+        const release = holdFetch();
+        const fetcher = new DataFetcherManager(createMockConfig({ weather: createSource() }));
+
+        const first = fetcher.fetchFromSource('weather', { q: 1 });
+        const second = fetcher.fetchFromSource('weather', { q: 1 });
+        await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+        release({ value: 42 });
+
+        expect(await first).toEqual({ value: 42 });
+        expect(await second).toEqual({ value: 42 });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(fetcher.inFlightRequests.size).toBe(0);
+      });
+
+      it('should not let a request that bypasses the cache join one served from it', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({ weather: createSource() }, {
+          cache: { enabled: true, ttl: 300 }
+        }));
+        fetchMock.mockResolvedValueOnce(jsonResponse({ value: 1 }));
+        await fetcher.fetchFromSource('weather', { q: 1 });
+
+        fetchMock.mockResolvedValueOnce(jsonResponse({ value: 2 }));
+        const cached = fetcher.fetchFromSource('weather', { q: 1 });
+        const fresh = fetcher.fetchFromSource('weather', { q: 1 }, { bypassCache: true });
+
+        expect(await cached).toEqual({ value: 1 });
+        expect(await fresh).toEqual({ value: 2 });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      });
+
+      it('should reject an aborted caller without cancelling the request for others', async () => {
+        const release = holdFetch();
+        const fetcher = new DataFetcherManager(createMockConfig({ weather: createSource() }));
+        const controller = new AbortController();
+
+        const aborted = fetcher.fetchFromSource('weather', {}, { signal: controller.signal });
+        const other = fetcher.fetchFromSource('weather');
+        await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+
+        controller.abort();
+        await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+
+        expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(false);
+        release({ value: 1 });
+        expect(await other).toEqual({ value: 1 });
+      });
+
+      it('should cancel the request when its only caller aborts', async () => {
+        holdFetch();
+        const fetcher = new DataFetcherManager(createMockConfig({ weather: createSource() }));
+        const controller = new AbortController();
+
+        const request = fetcher.fetchFromSource('weather', {}, { signal: controller.signal });
+        await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+        controller.abort();
+
+        await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+        expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+      });
+
+      it('should fail slow attempts with a TimeoutError after retrying', async () => {
+        fetchMock.mockImplementation(() => new Promise(() => {}));
+        const fetcher = new DataFetcherManager(createMockConfig(
+          { slow: createSource({ timeout: 10 }) },
+          { errorHandling: { maxRetries: 1, retryDelay: 1, backoffMultiplier: 1 } }
+        ));
+
+        const error = await fetcher.fetchFromSource('slow').catch(caught => caught);
+
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.message).toBe('Request to slow timed out after 10ms');
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe('rate limits and circuit breaking', () => {
+      const createFetcher = (source = createSource(), options = {}, fetcherOptions = {}) => {
+        const fetcher = new DataFetcherManager(createMockConfig({ api: source }, {
+          errorHandling: { maxRetries: 2, retryDelay: 1, backoffMultiplier: 1 },
+          ...options
+        }), fetcherOptions);
+        fetcher.sleep = vi.fn(async () => {});
+        return fetcher;
+      };
+
+      it('should wait as long as Retry-After asks before retrying', async () => {
+        fetchMock
+          .mockResolvedValueOnce(jsonResponse({}, { status: 429, headers: { 'Retry-After': '2' } }))
+          .mockResolvedValueOnce(jsonResponse({ value: 1 }));
+        const fetcher = createFetcher();
+
+        expect(await fetcher.fetchFromSource('api')).toEqual({ value: 1 });
+        expect(fetcher.sleep).toHaveBeenCalledWith(2000);
+      });
+
+      it('should give up instead of waiting for a long Retry-After', async () => {
+        fetchMock.mockResolvedValue(jsonResponse({}, { status: 503, headers: { 'Retry-After': '3600' } }));
+        const fetcher = createFetcher();
+
+        const error = await fetcher.fetchFromSource('api').catch(caught => caught);
+
+        expect(error).toBeInstanceOf(ServerError);
+        expect(error.retryAfter).toBe(3600000);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+      });
+
+      it('should hold requests until an exhausted X-RateLimit window resets', async () => {
+        fetchMock.mockResolvedValueOnce(jsonResponse({}, {
+          headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '30' }
+        }));
+        const fetcher = createFetcher();
+
+        await fetcher.fetchFromSource('api');
+        expect(fetcher.sleep).not.toHaveBeenCalled();
+
+        await fetcher.fetchFromSource('api');
+        const [waited] = fetcher.sleep.mock.calls[0];
+        expect(waited).toBeGreaterThan(29000);
+        expect(waited).toBeLessThanOrEqual(30000);
+      });
+
+      it('should open the circuit after repeated failures and stop sending requests', async () => {
+        fetchMock.mockResolvedValue(jsonResponse({}, { status: 500 }));
+        const onCircuitStateChange = vi.fn();
+        const fetcher = createFetcher(
+          createSource({ circuitBreaker: { failureThreshold: 3 } }),
+          { circuitBreaker: { failureThreshold: 10, resetTimeout: 60000 } },
+          { onCircuitStateChange }
+        );
+
+        await expect(fetcher.fetchFromSource('api')).rejects.toBeInstanceOf(ServerError);
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+
+        await expect(fetcher.fetchFromSource('api')).rejects.toBeInstanceOf(CircuitOpenError);
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+        expect(fetcher.getCircuitStates().api).toMatchObject({ state: 'open', failures: 3 });
+        expect(onCircuitStateChange).toHaveBeenCalledWith(expect.objectContaining({ name: 'api', state: 'open' }));
+      });
+
+      it('should not count client errors against the circuit', async () => {
+        fetchMock.mockResolvedValue(jsonResponse({}, { status: 404 }));
+        const fetcher = createFetcher(createSource({ circuitBreaker: { failureThreshold: 1 } }));
+
+        await expect(fetcher.fetchFromSource('api')).rejects.toBeInstanceOf(ClientError);
+        await expect(fetcher.fetchFromSource('api')).rejects.toBeInstanceOf(ClientError);
+        expect(fetcher.getCircuitState('api').state).toBe('closed');
+      });
+    });
+
+    describe('pagination', () => {
+      it('should follow pages and concatenate their records', async () => {
+        fetchMock
+          .mockResolvedValueOnce(jsonResponse({ data: [1, 2], next: 'c2' }))
+          .mockResolvedValueOnce(jsonResponse({ data: [3], next: null }));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          feed: createSource({ pagination: { style: 'cursor', cursorPath: 'next', recordsPath: 'data' } })
+        }));
+
+        const data = await fetcher.fetchFromSource('feed');
+
+        expect(data.data).toEqual([1, 2, 3]);
+        expect(fetchMock.mock.calls[1][0]).toBe('https://api.example.com/data?cursor=c2');
+      });
+
+      it('should stop at maxPages and count every page against the rate limit', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        fetchMock.mockImplementation(async () => jsonResponse([1, 2]));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          feed: createSource({
+            pagination: { style: 'page', maxPages: 3 },
+            rateLimit: { requestsPerMinute: 60, strategy: 'throttle' }
+          })
+        }));
+
+        const data = await fetcher.fetchFromSource('feed');
+
+        expect(data).toHaveLength(6);
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+        expect(fetcher.rateLimiter.getTimestamps('feed')).toHaveLength(3);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('after 3 pages'));
+        warn.mockRestore();
+      });
+    });
+
+    describe('request bodies', () => {
+      it('should fill the body template and keep the types of whole-value placeholders', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({
+          labor: createSource({
+            method: 'POST',
+            defaultParams: { limit: 50 },
+            body: { seriesid: ['CUUR0000SA0'], startyear: '${start_year}', label: 'from ${start_year}', limit: '${limit}', note: '$${literal}' }
+          })
+        }), {
+          envInterpolator: new EnvInterpolator({ env: {}, redactor: new SecretRedactor() })
+        });
+
+        await fetcher.fetchFromSource('labor', { start_year: '2020', region: 'US' });
+
+        const [url, options] = fetchMock.mock.calls[0];
+        expect(url).toBe('https://api.example.com/data?region=US');
+        expect(JSON.parse(options.body)).toEqual({
+          seriesid: ['CUUR0000SA0'],
+          startyear: '2020',
+          label: 'from 2020',
+          limit: 50,
+          note: '${literal}'
+        });
+      });
+
+      it('should send GraphQL queries with variables and unwrap their data', async () => {
+        fetchMock.mockResolvedValueOnce(jsonResponse({ data: { readings: [{ ts: 1, val: 2 }] } }));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          sensors: createSource({
+            kind: 'graphql',
+            method: 'POST',
+            query: 'query Readings($from: String!) { readings(from: $from) { ts val } }',
+            variables: { from: '${start_date}' }
+          })
+        }));
+
+        const data = await fetcher.fetchFromSource('sensors', { start_date: '2024-01-01' });
+
+        expect(data).toEqual({ readings: [{ ts: 1, val: 2 }] });
+        const [url, options] = fetchMock.mock.calls[0];
+        expect(url).toBe('https://api.example.com/data');
+        expect(JSON.parse(options.body).variables).toEqual({ from: '2024-01-01' });
+      });
+
+      it('should turn GraphQL errors into a GraphQLError without retrying', async () => {
+        fetchMock.mockResolvedValue(jsonResponse({ data: null, errors: [{ message: 'Unknown field "val"' }] }));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          sensors: createSource({ kind: 'graphql', method: 'POST', query: '{ readings { val } }' })
+        }));
+
+        const error = await fetcher.fetchFromSource('sensors').catch(caught => caught);
+
+        expect(error).toBeInstanceOf(GraphQLError);
+        expect(error.message).toContain('Unknown field "val"');
+        expect(error.errors).toHaveLength(1);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(fetcher.getCircuitState('sensors').state).toBe('closed');
+      });
+
+      it('should cache responses to different bodies separately', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({
+          labor: createSource({ method: 'POST', body: { year: '${year}' } })
+        }, { cache: { enabled: true, ttl: 300 } }));
+
+        await fetcher.fetchFromSource('labor', { year: 2020 });
+        await fetcher.fetchFromSource('labor', { year: 2021 });
+        await fetcher.fetchFromSource('labor', { year: 2020 });
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe('response formats', () => {
+      const textResponse = (text, contentType) => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: new Headers({ 'Content-Type': contentType }),
+        json: async () => JSON.parse(text),
+        text: async () => text
+      });
+
+      it('should parse CSV responses recognized by their Content-Type', async () => {
+        fetchMock.mockResolvedValueOnce(textResponse('date,rate\n2024-01-02,1.09\n', 'text/csv; charset=utf-8'));
+        const fetcher = new DataFetcherManager(createMockConfig({ rates: createSource() }));
+
+        expect(await fetcher.fetchFromSource('rates')).toEqual([{ date: '2024-01-02', rate: '1.09' }]);
+      });
+
+      it('should parse the configured format and not retry a malformed body', async () => {
+        fetchMock.mockResolvedValue(textResponse('<obs><row date="2024-01-02">1.09</row>', 'text/plain'));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          rates: createSource({ responseFormat: { type: 'xml' } })
+        }));
+
+        await expect(fetcher.fetchFromSource('rates')).rejects.toBeInstanceOf(ResponseParseError);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('streaming sources', () => {
+      const createStreamSource = () => createSource({
+        kind: 'websocket',
+        endpoint: 'wss://stream.example.com/ws',
+        method: undefined,
+        defaultParams: { channel: 'ticker' },
+        authentication: { type: 'query_param', key: 'token', value: 's-1234' }
+      });
+
+      it('should leave streaming sources out of fetchAllSources', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({ prices: createStreamSource(), rates: createSource() }));
+
+        const results = await fetcher.fetchAllSources();
+
+        expect(Object.keys(results)).toEqual(['rates']);
+        await expect(fetcher.fetchFromSource('prices')).rejects.toThrow('is a streaming source');
+      });
+
+      it('should open streams with their params and query credentials', async () => {
+        const sockets = [];
+        class RecordingSocket {
+          constructor(url) {
+            this.url = url;
+            sockets.push(this);
+          }
+          addEventListener() {}
+          close() {}
+        }
+        const fetcher = new DataFetcherManager(createMockConfig({ prices: createStreamSource() }));
+
+        const stream = await fetcher.openStream('prices', { WebSocket: RecordingSocket });
+
+        expect(sockets[0].url).toBe('wss://stream.example.com/ws?channel=ticker&token=s-1234');
+        expect(fetcher.getStream('prices')).toBe(stream);
+        fetcher.closeStreams();
+        expect(stream.getStatus().state).toBe('closed');
+        expect(fetcher.getStream('prices')).toBeNull();
+      });
+    });
+
+    describe('fixtures', () => {
+      const createKeyedSource = () => createSource({
+        authentication: { type: 'query_param', key: 'appid', value: 'k-5678' }
+      });
+
+      it('should record responses without credentials and replay them with no network', async () => {
+        fetchMock.mockResolvedValue(jsonResponse({ rates: [1.09] }, { headers: { 'Content-Type': 'application/json' } }));
+        let saved = null;
+        const recorder = new DataFetcherManager(createMockConfig({ rates: createKeyedSource() }), {
+          fixtures: new FixtureStore({ mode: 'record', write: async (path, text) => { saved = text; } })
+        });
+
+        await recorder.fetchFromSource('rates', { base: 'EUR' });
+        await recorder.saveFixtures();
+
+        expect(fetchMock.mock.calls[0][0]).toBe('https://api.example.com/data?base=EUR&appid=k-5678');
+        expect(saved).not.toContain('k-5678');
+        const fixtures = JSON.parse(saved);
+        expect(fixtures.entries[0]).toMatchObject({
+          source: 'rates',
+          method: 'GET',
+          url: 'https://api.example.com/data?base=EUR&appid=[REDACTED]',
+          status: 200,
+          headers: { 'content-type': 'application/json' }
+        });
+
+        fetchMock.mockRejectedValue(new TypeError('fetch failed'));
+        const player = new DataFetcherManager(createMockConfig({ rates: createKeyedSource() }), {
+          fixtures: new FixtureStore({ mode: 'replay', fixtures })
+        });
+
+        expect(await player.fetchFromSource('rates', { base: 'EUR' })).toEqual({ rates: [1.09] });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+      });
+
+      it('should fail without retrying when a replayed request was never recorded', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({ rates: createKeyedSource() }), {
+          fixtures: new FixtureStore({ mode: 'replay', fixtures: { entries: [] } })
+        });
+        const replay = vi.spyOn(fetcher.fixtures, 'replay');
+
+        await expect(fetcher.fetchFromSource('rates', { base: 'USD' })).rejects.toBeInstanceOf(FixtureNotFoundError);
+        expect(replay).toHaveBeenCalledTimes(1);
+        expect(fetchMock).not.toHaveBeenCalled();
+      });
+
+      it('should take the fixtures mode from the config options', () => {
+        const fetcher = new DataFetcherManager(createMockConfig({}, { fixtures: { mode: 'replay', path: '/offline.json' } }));
+
+        expect(fetcher.fixtures.replaying).toBe(true);
+        expect(fetcher.fixtures.path).toBe('/offline.json');
+      });
+    });
+
+    describe('middlewares', () => {
+      it('should run global and per-source middlewares before credentials are added', async () => {
+        fetchMock.mockResolvedValue(jsonResponse({ data: [{ ts: 1, val: 2 }] }));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          rates: createSource({ authentication: { type: 'query_param', key: 'appid', value: 'k-5678' } }),
+          other: createSource({ endpoint: 'https://other.example.com/data' })
+        }));
+        fetcher.use({
+          name: 'client-id',
+          request: request => ({ ...request, options: { ...request.options, headers: { ...request.options.headers, 'X-Client': 'dashboard' } } })
+        });
+        const removeEnvelope = fetcher.use({ response: page => ({ ...page, data: page.data.data }) }, { source: 'rates' });
+
+        expect(await fetcher.fetchFromSource('rates')).toEqual([{ ts: 1, val: 2 }]);
+        expect(await fetcher.fetchFromSource('other')).toEqual({ data: [{ ts: 1, val: 2 }] });
+        removeEnvelope();
+        expect(await fetcher.fetchFromSource('rates', { q: 1 })).toEqual({ data: [{ ts: 1, val: 2 }] });
+
+        const [url, options] = fetchMock.mock.calls[0];
+        expect(url).toBe('https://api.example.com/data?appid=k-5678');
+        expect(options.headers['X-Client']).toBe('dashboard');
+      });
+
+      it('should cache what the middlewares return and let error interceptors recover', async () => {
+        fetchMock
+          .mockResolvedValueOnce(jsonResponse({ value: 1 }))
+          .mockResolvedValue(jsonResponse({}, { status: 404 }));
+        const unwrap = vi.fn(page => ({ ...page, data: page.data.value }));
+        const fetcher = new DataFetcherManager(createMockConfig({ api: createSource() }, { cache: { enabled: true, ttl: 60 } }), {
+          middlewares: [
+            { response: unwrap },
+            { error: error => error.status === 404 ? { data: { value: 0 }, headers: new Headers() } : undefined }
+          ]
+        });
+
+        expect(await fetcher.fetchFromSource('api')).toBe(1);
+        expect(await fetcher.fetchFromSource('api')).toBe(1);
+        expect(await fetcher.fetchFromSource('api', {}, { bypassCache: true })).toBe(0);
+
+        expect(unwrap).toHaveBeenCalledTimes(2);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe('telemetry', () => {
+      it('should record attempts, retries, failures by class and cache hits per source', async () => {
+        fetchMock
+          .mockResolvedValueOnce(jsonResponse({}, { status: 503 }))
+          .mockResolvedValueOnce(jsonResponse({ value: 1 }))
+          .mockResolvedValue(jsonResponse({}, { status: 404 }));
+        const fetcher = new DataFetcherManager(createMockConfig({ api: createSource() }, {
+          cache: { enabled: true, ttl: 60 },
+          errorHandling: { maxRetries: 1, retryDelay: 1, backoffMultiplier: 1 }
+        }));
+        fetcher.sleep = vi.fn(async () => {});
+
+        await fetcher.fetchFromSource('api');
+        await fetcher.fetchFromSource('api');
+        await fetcher.fetchFromSource('api', { q: 1 }).catch(() => {});
+
+        expect(fetcher.getAllMetrics().api).toMatchObject({
+          requests: 3,
+          successes: 2,
+          failures: 1,
+          errors: { ClientError: 1 },
+          cacheHits: 1,
+          attempts: 3,
+          failedAttempts: 2,
+          retries: 1,
+          bytes: '{"value":1}'.length,
+          latency: { samples: 3 }
+        });
+      });
+
+      it('should preflight every source and report unset variables and failures', async () => {
+        fetchMock.mockImplementation(async (url) => url.startsWith('https://down.example.com')
+          ? jsonResponse({}, { status: 401 })
+          : jsonResponse({ ok: true }));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          weather: createSource({ authentication: { type: 'query_param', key: 'appid', value: '${WEATHER_KEY}' } }),
+          down: createSource({ endpoint: 'https://down.example.com/data' }),
+          prices: createSource({ kind: 'websocket', endpoint: 'wss://stream.example.com/ws' })
+        }), { envInterpolator: new EnvInterpolator({ env: {}, redactor: new SecretRedactor() }) });
+
+        const results = await fetcher.preflight();
+
+        expect(results.map(({ name, status }) => `${name}:${status}`)).toEqual(['weather:warning', 'down:failed', 'prices:skipped']);
+        expect(results[0].missingVariables).toEqual(['WEATHER_KEY']);
+        expect(results[0].message).toMatch(/^Responded in \d+ ms; not set: WEATHER_KEY$/);
+        expect(results[1].error).toBeInstanceOf(ClientError);
+      });
+    });
+
+    describe('conditional requests', () => {
+      it('should revalidate with If-None-Match and reuse the stored body on 304', async () => {
+        fetchMock
+          .mockResolvedValueOnce(jsonResponse({ value: 1 }, { headers: { ETag: '"v1"' } }))
+          .mockResolvedValue(jsonResponse(null, { status: 304, statusText: 'Not Modified', headers: { ETag: '"v1"' } }));
+        const fetcher = new DataFetcherManager(createMockConfig({ api: createSource() }));
+
+        expect(await fetcher.fetchFromSource('api')).toEqual({ value: 1 });
+        expect(await fetcher.fetchFromSource('api')).toEqual({ value: 1 });
+
+        expect(fetchMock.mock.calls[0][1].headers['If-None-Match']).toBeUndefined();
+        expect(fetchMock.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+        expect(fetcher.getMetrics('api')).toMatchObject({ requests: 2, successes: 2, cacheHits: 1, attempts: 2 });
+      });
+
+      it('should send If-Modified-Since unless a source turns conditional requests off', async () => {
+        const lastModified = 'Mon, 01 Jan 2024 00:00:00 GMT';
+        fetchMock.mockImplementation(async () => jsonResponse({ value: 1 }, { headers: { 'Last-Modified': lastModified } }));
+        const fetcher = new DataFetcherManager(createMockConfig({
+          history: createSource(),
+          live: createSource({ endpoint: 'https://live.example.com/data', conditionalRequests: { enabled: false } })
+        }));
+
+        await fetcher.fetchFromSource('history');
+        await fetcher.fetchFromSource('history');
+        await fetcher.fetchFromSource('live');
+        await fetcher.fetchFromSource('live');
+
+        expect(fetchMock.mock.calls[1][1].headers['If-Modified-Since']).toBe(lastModified);
+        expect(fetchMock.mock.calls[3][1].headers['If-Modified-Since']).toBeUndefined();
+      });
+    });
+
+    describe('fallback endpoints', () => {
+      const createMirroredSource = () => createSource({
+        authentication: { type: 'query_param', key: 'appid', value: 'primary-key' },
+        paramMapping: { from: { from: 'timeRange.start', format: 'epoch-seconds' } },
+        fallbackEndpoints: [
+          {
+            name: 'mirror',
+            endpoint: 'https://mirror.example.com/data',
+            authentication: { type: 'bearer', token: 'mirror-token' },
+            paramMapping: { since: { from: 'timeRange.start', format: 'iso-date' } }
+          }
+        ]
+      });
+
+      it('should fail over to a fallback with its own auth and param mapping, and record it', async () => {
+        fetchMock.mockImplementation(async (url) => url.startsWith('https://api.example.com')
+          ? jsonResponse({}, { status: 503 })
+          : jsonResponse({ value: 1 }));
+        const fetcher = new DataFetcherManager(createMockConfig({ api: createMirroredSource() }, {
+          errorHandling: { maxRetries: 0, retryDelay: 1, backoffMultiplier: 1 }
+        }));
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const results = await fetcher.fetchAllSources({ timeRange: { start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 0, 2) } });
+
+        expect(results.api.data).toEqual({ value: 1 });
+        expect(results.api.endpoint).toMatchObject({ name: 'mirror', fallback: true });
+        const [url, options] = fetchMock.mock.calls[1];
+        expect(url).toBe('https://mirror.example.com/data?since=2024-01-01');
+        expect(options.headers.Authorization).toBe('Bearer mirror-token');
+        expect(fetcher.getCircuitState('api').failures).toBe(1);
+        expect(fetcher.getCircuitState('api/mirror').failures).toBe(0);
+      });
+
+      it('should not fail over on client errors and throw the primary error when every endpoint fails', async () => {
+        const fetcher = new DataFetcherManager(createMockConfig({ api: createMirroredSource() }, {
+          errorHandling: { maxRetries: 0, retryDelay: 1, backoffMultiplier: 1 }
+        }));
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        fetchMock.mockResolvedValue(jsonResponse({}, { status: 404 }));
+        await expect(fetcher.fetchFromSource('api')).rejects.toBeInstanceOf(ClientError);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        fetchMock.mockReset();
+        fetchMock.mockImplementation(async (url) => jsonResponse({}, { status: url.startsWith('https://api.example.com') ? 502 : 500 }));
+        await expect(fetcher.fetchFromSource('api')).rejects.toThrow('Server error (502) for api');
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(fetcher.getServingEndpoint('api')).toBeNull();
+      });
+    });
+
+    it('should backfill long windows in chunks and report progress', async () => {
+      const DAY = 24 * 60 * 60 * 1000;
+      fetchMock.mockImplementation(async (url) => {
+        const day = new URL(url).searchParams.get('start_date');
+        return jsonResponse({ rates: { [day]: { USD: 1 } } });
+      });
+      const fetcher = new DataFetcherManager(createMockConfig({
+        currency: createSource({
+          maxRangePerRequest: 48,
+          paramMapping: { start_date: { from: 'timeRange.start', format: 'iso-date' } }
+        }),
+        other: createSource()
+      }));
+      const progress = [];
+
+      const results = await fetcher.fetchAllSources(
+        { timeRange: { start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 0, 1) + 5 * DAY } },
+        { onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`) }
+      );
+
+      expect(Object.keys(results.currency.data.rates)).toEqual(['2024-01-01', '2024-01-03', '2024-01-05']);
+      expect(fetchMock).toHaveBeenCalledTimes(4);
+      expect(progress).toHaveLength(4);
+      expect(progress[progress.length - 1]).toBe('4/4');
+    });
+
+    it('should request a swept source once per combination and isolate a failed one', async () => {
+      fetchMock.mockImplementation(async (url) => {
+        const to = new URL(url).searchParams.get('to');
+        return to === 'JPY' ? jsonResponse({}, { status: 404 }) : jsonResponse({ rates: { '2024-01-01': { [to]: 1 } } });
+      });
+      const fetcher = new DataFetcherManager(createMockConfig({
+        currency: createSource({ defaultParams: { from: 'EUR' }, sweep: { to: ['USD', 'GBP', 'JPY'] } }),
+        other: createSource()
+      }, {
+        errorHandling: { maxRetries: 0, retryDelay: 1, backoffMultiplier: 1 }
+      }));
+      const progress = [];
+
+      const results = await fetcher.fetchAllSources({}, {
+        onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`)
+      });
+
+      expect(results.currency.error).toBeNull();
+      expect(results.currency.sweep.map(({ label, params }) => ({ label, params }))).toEqual([
+        { label: 'USD', params: { to: 'USD' } },
+        { label: 'GBP', params: { to: 'GBP' } },
+        { label: 'JPY', params: { to: 'JPY' } }
+      ]);
+      expect(results.currency.sweep[1].data.rates['2024-01-01']).toEqual({ GBP: 1 });
+      expect(results.currency.sweep[2].error).toBeInstanceOf(ClientError);
+      expect(fetchMock.mock.calls.map(([url]) => url)).toContain('https://api.example.com/data?from=EUR&to=GBP');
+      expect(fetchMock).toHaveBeenCalledTimes(4);
+      expect(progress[progress.length - 1]).toBe('4/4');
+    });
+
+    it('should return the parsed JSON body', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({ rates: { '2024-01-01': { USD: 1.1 } } }));
+      const fetcher = new DataFetcherManager(createMockConfig({ currency: createSource() }));
+
+      const data = await fetcher.fetchFromSource('currency');
+      expect(data.rates['2024-01-01'].USD).toBe(1.1);
+    });
+  });
+});
@@ -210,13 +210,17 @@ export class DataNormalizer {
   /**
    * Normalizes Frankfurter Currency API response
    * @param {Object} rawData - Raw API response from Frankfurter
-   * @param {Object} transformConfig - Transformation configuration from MCP config
+   * @param {Object} transformConfig - Transformation configuration from MCP config; a
+   *   valueField of 'rates.GBP' picks the GBP rate (default USD)
    * @returns {Object} Normalized time series object
    */
   normalizeCurrency(rawData, transformConfig = {}) {
+    const currency = String(transformConfig.valueField || 'rates.USD').split('.').pop();
+    const unit = transformConfig.unit || currency;
+
     if (!rawData || !rawData.rates) {
       console.error('Currency data missing or invalid:', rawData);
-      return this.createEmptyTimeSeries('Currency', 'USD');
+      return this.createEmptyTimeSeries('Currency', unit);
     }
 
     const dataPoints = [];
@@ -224,12 +228,12 @@ export class DataNormalizer {
 
     // Frankfurter returns rates as an object with dates as keys
     for (const [dateStr, rateObj] of Object.entries(rates)) {
-      if (!rateObj || typeof rateObj.USD === 'undefined') {
+      if (!rateObj || typeof rateObj[currency] === 'undefined') {
         continue;
       }
 
       const timestamp = new Date(dateStr + 'T12:00:00Z').getTime();
-      const rate = rateObj.USD;
+      const rate = rateObj[currency];
 
       dataPoints.push({
         timestamp: timestamp,
@@ -241,14 +245,14 @@ export class DataNormalizer {
 
     if (dataPoints.length === 0) {
       console.warn('No valid currency data points found');
-      return this.createEmptyTimeSeries('Currency', 'USD');
+      return this.createEmptyTimeSeries('Currency', unit);
     }
 
     dataPoints.sort((a, b) => a.timestamp - b.timestamp);
     this.limitDataPoints(dataPoints, 100);
 
     const values = dataPoints.map(dp => dp.value);
-    const metadata = this.calculateMetadata(values, 'USD');
+    const metadata = this.calculateMetadata(values, unit);
 
     if (transformConfig.normalize && dataPoints.length > 0) {
       const min = metadata.min;
@@ -292,20 +296,15 @@ export class DataNormalizer {
         continue;
       }
 
-      // Extract value and timestamp using key paths
-      const value = this.extractValue(item, valueKey);
-      const timestamp = this.extractValue(item, timestampKey);
+      // Extract value and timestamp using key paths; CSV and XML fields arrive as strings
+      const value = this.toNumber(this.extractValue(item, valueKey));
+      const timestampMs = this.toTimestamp(this.extractValue(item, timestampKey));
 
-      if (value === null || timestamp === null) {
+      if (value === null || timestampMs === null) {
         // Skip items where extraction failed
         continue;
       }
 
-      // Ensure timestamp is in milliseconds
-      const timestampMs = typeof timestamp === 'number' && timestamp < 10000000000
-        ? timestamp * 1000
-        : timestamp;
-
       dataPoints.push({
         timestamp: timestampMs,
         value: value,
@@ -437,6 +436,49 @@ export class DataNormalizer {
     return current !== undefined ? current : null;
   }
 
+  /**
+   * Converts an extracted value to a number
+   * @param {any} value - Number or numeric string
+   * @returns {number|null} The number, or null if the value is not numeric
+   * @private
+   */
+  toNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    return null;
+  }
+
+  /**
+   * Converts an extracted timestamp to milliseconds
+   * @param {any} timestamp - Unix time in seconds or milliseconds (number or numeric string),
+   *   date string or Date
+   * @returns {number|null} Milliseconds since the epoch, or null if the value is not a time
+   * @private
+   */
+  toTimestamp(timestamp) {
+    if (timestamp instanceof Date) {
+      return Number.isNaN(timestamp.getTime()) ? null : timestamp.getTime();
+    }
+
+    const number = this.toNumber(timestamp);
+    if (number !== null) {
+      // Ensure timestamp is in milliseconds
+      return number < 10000000000 ? number * 1000 : number;
+    }
+
+    if (typeof timestamp === 'string') {
+      const parsed = Date.parse(timestamp);
+      return Number.isNaN(parsed) ? null : parsed;
+    }
+
+    return null;
+  }
+
   /**
    * Calculates metadata for a set of values
    * @param {number[]} values - Array of numeric values
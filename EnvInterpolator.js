@@ -0,0 +1,167 @@
+/**
+ * EnvInterpolator - Fills ${VAR} references in configuration values
+ *
+ * Any string in a data source (endpoint, defaultParams, headers,
+ * authentication, ...) may reference environment variables:
+ *
+ *   "${OPENWEATHER_API_KEY}"            value of the variable ('' if unset)
+ *   "${API_BASE:-https://example.com}"  value, or the default if unset or empty
+ *   "$${NOT_A_VARIABLE}"                a literal "${NOT_A_VARIABLE}"
+ *
+ * Values resolved inside `authentication`, and values of variables listed in
+ * the config's `options.secrets`, are registered with the SecretRedactor so
+ * they never show up in logs or the UI. Sources are interpolated when a
+ * request is built, so the parsed configuration (and anything saved from it)
+ * keeps the references rather than the secrets.
+ *
+ * @example
+ * const interpolator = new EnvInterpolator({ secrets: ['PARTNER_TOKEN'] });
+ * const source = interpolator.interpolateSource(mcpConfig.getDataSource('weather'));
+ * console.log(source.authentication.value); // the API key, now also redacted from logs
+ */
+
+import { secretRedactor } from './SecretRedactor.js';
+
+const ENV_REFERENCE = /\$(\$)?\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+export class EnvInterpolator {
+  /**
+   * Creates a new EnvInterpolator instance
+   * @param {Object} options - Interpolator options
+   * @param {Array<string>} [options.secrets] - Variable names whose values are secret
+   * @param {Function|Object} [options.env] - Variable lookup: a function (name) => value or a
+   *   plain object (defaults to window.ENV / import.meta.env)
+   * @param {SecretRedactor} [options.redactor] - Redactor that secrets are registered with
+   */
+  constructor(options = {}) {
+    this.secrets = new Set(options.secrets || []);
+    this.redactor = options.redactor || secretRedactor;
+
+    const env = options.env || EnvInterpolator.getEnvVariable;
+    this.lookup = typeof env === 'function' ? env : (name) => env[name];
+  }
+
+  /**
+   * Interpolates every string in a value
+   * @param {any} value - String, array or object to interpolate (not modified)
+   * @param {Object} [options] - Interpolation options
+   * @param {boolean} [options.secret=false] - Treat every resolved value as a secret
+   * @returns {any} A copy with references replaced
+   */
+  interpolate(value, { secret = false } = {}) {
+    if (typeof value === 'string') {
+      return this.interpolateString(value, secret);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolate(item, { secret }));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.interpolate(item, { secret });
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Interpolates a data source configuration, treating its authentication as secret
+   * @param {Object} sourceConfig - Data source configuration (not modified)
+   * @returns {Object} A copy ready to build requests from
+   */
+  interpolateSource(sourceConfig) {
+    const { authentication, ...rest } = sourceConfig;
+    const result = this.interpolate(rest);
+
+    if (authentication) {
+      result.authentication = this.interpolate(authentication, { secret: true });
+
+      if (authentication.type === 'query_param') {
+        // The key is the query parameter the secret travels in, e.g. appid
+        this.redactor.addSensitiveName(result.authentication.key);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Lists the variables a value references that are not set and have no default
+   * @param {any} value - String, array or object to check, e.g. a data source
+   * @returns {Array<string>} Names of the missing variables, sorted
+   */
+  findMissing(value) {
+    const missing = new Set();
+
+    const visit = (item) => {
+      if (typeof item === 'string') {
+        for (const [, escaped, name, defaultValue] of item.matchAll(ENV_REFERENCE)) {
+          const resolved = this.lookup(name);
+          if (!escaped && defaultValue === undefined && (resolved === undefined || resolved === null || resolved === '')) {
+            missing.add(name);
+          }
+        }
+      } else if (item && typeof item === 'object') {
+        Object.values(item).forEach(visit);
+      }
+    };
+    visit(value);
+
+    return [...missing].sort();
+  }
+
+  /**
+   * Replaces the references in a single string
+   * @param {string} text - Text that may contain references
+   * @param {boolean} secret - Whether every resolved value is a secret
+   * @returns {string} Interpolated text
+   * @private
+   */
+  interpolateString(text, secret) {
+    return text.replace(ENV_REFERENCE, (match, escaped, name, defaultValue) => {
+      if (escaped) {
+        return match.slice(1);
+      }
+
+      let value = this.lookup(name);
+      if (value === undefined || value === null || value === '') {
+        value = defaultValue ?? '';
+      }
+      value = String(value);
+
+      if (secret || this.secrets.has(name)) {
+        this.redactor.addSecret(value);
+      }
+
+      return value;
+    });
+  }
+
+  /**
+   * Gets an environment variable value
+   * @param {string} name - Environment variable name
+   * @returns {string|undefined} The environment variable value
+   */
+  static getEnvVariable(name) {
+    // In browser environment, check window object or import.meta.env
+    if (typeof window !== 'undefined' && window.ENV) {
+      return window.ENV[name];
+    }
+
+    if (typeof import.meta !== 'undefined' && import.meta.env) {
+      // Try with VITE_ prefix first (Vite convention)
+      const viteKey = `VITE_${name}`;
+      if (import.meta.env[viteKey]) {
+        return import.meta.env[viteKey];
+      }
+      // Try without prefix
+      return import.meta.env[name];
+    }
+
+    return undefined;
+  }
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { EnvInterpolator } from '../src/EnvInterpolator.js';
+import { SecretRedactor } from '../src/SecretRedactor.js';
+
+describe('EnvInterpolator', () => {
+  let redactor;
+  let interpolator;
+
+  beforeEach(() => {
+    redactor = new SecretRedactor();
+    interpolator = new EnvInterpolator({
+      env: { API_BASE: 'https://staging.example.com', API_KEY: 'key-1234', PARTNER_TOKEN: 'tok-5678', EMPTY: '' },
+      secrets: ['PARTNER_TOKEN'],
+      redactor
+    });
+  });
+
+  it('should interpolate references anywhere in a string', () => {
+    expect(interpolator.interpolate('${API_BASE}/v1/items')).toBe('https://staging.example.com/v1/items');
+  });
+
+  it('should use defaults for unset or empty variables and leave escaped references alone', () => {
+    expect(interpolator.interpolate('${MISSING:-https://example.com}/v1')).toBe('https://example.com/v1');
+    expect(interpolator.interpolate('${EMPTY:-fallback}')).toBe('fallback');
+    expect(interpolator.interpolate('${MISSING}')).toBe('');
+    expect(interpolator.interpolate('$${API_KEY}')).toBe('${API_KEY}');
+  });
+
+  it('should interpolate nested values without modifying the input', () => {
+    const input = { defaultParams: { region: '${REGION:-eu}' }, tags: ['${API_BASE}'], retries: 3 };
+
+    expect(interpolator.interpolate(input)).toEqual({
+      defaultParams: { region: 'eu' },
+      tags: ['https://staging.example.com'],
+      retries: 3
+    });
+    expect(input.defaultParams.region).toBe('${REGION:-eu}');
+  });
+
+  it('should register authentication values and listed variables as secrets', () => {
+    const source = interpolator.interpolateSource({
+      endpoint: '${API_BASE}/data',
+      headers: { 'X-Partner': '${PARTNER_TOKEN}' },
+      authentication: { type: 'query_param', key: 'k', value: '${API_KEY}' }
+    });
+
+    expect(source.authentication.value).toBe('key-1234');
+    expect(source.headers['X-Partner']).toBe('tok-5678');
+    expect(redactor.redact('key-1234 tok-5678')).toBe('[REDACTED] [REDACTED]');
+    // Non-secret values stay readable
+    expect(redactor.redact(source.endpoint)).toBe('https://staging.example.com/data');
+    // The auth key becomes a sensitive query parameter
+    expect(redactor.redact('/data?k=other')).toBe('/data?k=[REDACTED]');
+  });
+
+  it('should list referenced variables that are unset and have no default', () => {
+    const source = {
+      endpoint: '${API_BASE}/v1',
+      defaultParams: { region: '${REGION:-eu}', literal: '$${NOT_A_VAR}' },
+      authentication: { type: 'query_param', key: 'appid', value: '${WEATHER_KEY}' },
+      headers: { 'X-Empty': '${EMPTY}', 'X-Also': '${WEATHER_KEY}' }
+    };
+
+    expect(interpolator.findMissing(source)).toEqual(['EMPTY', 'WEATHER_KEY']);
+  });
+});
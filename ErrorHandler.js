@@ -22,7 +22,13 @@
  */
 
 // Import custom error classes from DataFetcherManager
-import { NetworkError, ServerError, ClientError, RateLimitError } from './DataFetcherManager.js';
+import { NetworkError, ServerError, ClientError, RateLimitError, GraphQLError, TemplateError, TimeoutError } from './DataFetcherManager.js';
+import { CircuitOpenError } from './CircuitBreaker.js';
+import { AuthenticationError } from './Authenticator.js';
+import { ResponseParseError } from './ResponseParsers.js';
+import { StreamError } from './StreamingSource.js';
+import { FixtureNotFoundError } from './FixtureStore.js';
+import { secretRedactor } from './SecretRedactor.js';
 
 /**
  * Custom error class for validation errors
@@ -68,7 +74,7 @@ export class ErrorHandler {
     const errorInfo = {
       type: this.categorizeError(error),
       message: this.getUserMessage(error),
-      technical: error.message,
+      technical: secretRedactor.redact(error.message),
       context: context,
       timestamp: Date.now()
     };
@@ -81,10 +87,19 @@ export class ErrorHandler {
   /**
    * Categorizes an error into a specific type
    * @param {Error} error - The error to categorize
-   * @returns {string} Error category ('network', 'server', 'client', 'rate-limit', 'validation', 'configuration', 'visualization', 'unknown')
+   * @returns {string} Error category ('network', 'timeout', 'server', 'client', 'rate-limit', 'circuit-open', 'authentication', 'validation', 'configuration', 'visualization', 'unknown')
    */
   static categorizeError(error) {
-    if (error instanceof NetworkError) {
+    if (error instanceof CircuitOpenError) {
+      return 'circuit-open';
+    }
+    if (error instanceof AuthenticationError) {
+      return 'authentication';
+    }
+    if (error instanceof TimeoutError) {
+      return 'timeout';
+    }
+    if (error instanceof NetworkError || error instanceof StreamError) {
       return 'network';
     }
     if (error instanceof ServerError) {
@@ -96,10 +111,10 @@ export class ErrorHandler {
     if (error instanceof ClientError) {
       return 'client';
     }
-    if (error instanceof ValidationError) {
+    if (error instanceof ValidationError || error instanceof ResponseParseError) {
       return 'validation';
     }
-    if (error instanceof ConfigError) {
+    if (error instanceof ConfigError || error instanceof TemplateError || error instanceof FixtureNotFoundError) {
       return 'configuration';
     }
     if (error instanceof VisualizationError) {
@@ -137,8 +152,18 @@ export class ErrorHandler {
       'ServerError': 'The data service is temporarily unavailable. Please try again later.',
       'ClientError': 'There was a problem with the request. Please check your settings.',
       'RateLimitError': 'Rate limit exceeded. Please wait a moment before refreshing.',
+      'GraphQLError': 'The data source rejected its query. Please check the query in your .kiro file.',
+      'TimeoutError': 'The data source took too long to respond. Please try again.',
+      'StreamError': 'Lost the connection to a live data source. The chart shows the data received so far.',
+      'AuthenticationError': 'Could not sign in to a data source. Please check its credentials in your .kiro file.',
+      'CircuitOpenError': 'The data source is failing repeatedly and has been paused. It will be retried automatically shortly.',
       'ValidationError': 'Received invalid data from the API. Please try again later.',
+      'ResponseParseError': 'A data source sent data in an unexpected format. Please check its responseFormat in your .kiro file.',
       'ConfigError': 'Configuration error. Please check your .kiro file.',
+      'ConfigParseError': 'Configuration file has a syntax error. Please check your .kiro file.',
+      'ConfigValidationError': 'Configuration error. Please check your .kiro file.',
+      'TemplateError': 'A data source endpoint is missing a required parameter. Please check your .kiro file.',
+      'FixtureNotFoundError': 'No recorded response for this request. Record the fixtures again or turn off replay mode.',
       'VisualizationError': 'Unable to display the chart. Please refresh the page.'
     };
     
@@ -175,7 +200,7 @@ export class ErrorHandler {
   }
 
   /**
-   * Logs error information to the console
+   * Logs error information to the console, with registered secrets redacted
    * @param {Object} errorInfo - Error information object
    * @private
    */
@@ -187,10 +212,10 @@ export class ErrorHandler {
       errorInfo.technical
     ].join(' ');
     
-    console.error(logMessage);
+    console.error(secretRedactor.redact(logMessage));
     
     // Log full error info object for debugging
-    console.error('Error details:', errorInfo);
+    console.error('Error details:', secretRedactor.redactValue(errorInfo));
   }
 
   /**
@@ -201,7 +226,7 @@ export class ErrorHandler {
   static formatForDisplay(errorInfo) {
     return `
       <div class="error-message">
-        <strong>Error:</strong> ${this.escapeHtml(errorInfo.message)}
+        <strong>Error:</strong> ${this.escapeHtml(secretRedactor.redact(errorInfo.message))}
       </div>
     `;
   }
@@ -224,8 +249,8 @@ export class ErrorHandler {
    * @returns {boolean} True if the error is retryable
    */
   static isRetryable(error) {
-    // Network errors and server errors are retryable
-    if (error instanceof NetworkError || error instanceof ServerError) {
+    // Network errors, timeouts and server errors are retryable
+    if (error instanceof NetworkError || error instanceof TimeoutError || error instanceof ServerError) {
       return true;
     }
     
@@ -234,13 +259,19 @@ export class ErrorHandler {
       return true;
     }
     
+    // A paused source is retried by its circuit breaker, not by the caller
+    if (error instanceof CircuitOpenError) {
+      return false;
+    }
+
     // Client errors (except rate limit) are not retryable
     if (error instanceof ClientError) {
       return false;
     }
     
-    // Configuration and validation errors are not retryable
-    if (error instanceof ConfigError || error instanceof ValidationError) {
+    // Configuration, validation and credential errors are not retryable
+    if (error instanceof ConfigError || error instanceof ValidationError || error instanceof TemplateError ||
+        error instanceof AuthenticationError || error instanceof ResponseParseError || error instanceof FixtureNotFoundError) {
       return false;
     }
     
@@ -254,6 +285,16 @@ export class ErrorHandler {
     return false;
   }
 
+  /**
+   * Checks if an error only means the operation was cancelled, e.g. a refresh
+   * superseded by a newer one. Such errors should not be shown to the user.
+   * @param {Error} error - The error to check
+   * @returns {boolean} True if the error is an abort
+   */
+  static isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+
   /**
    * Creates a standardized error response object
    * @param {string} type - Error type
@@ -275,4 +316,4 @@ export class ErrorHandler {
 }
 
 // Export error classes for use in other modules
-export { NetworkError, ServerError, ClientError, RateLimitError };
+export { NetworkError, ServerError, ClientError, RateLimitError, GraphQLError, TemplateError, TimeoutError, CircuitOpenError, AuthenticationError, ResponseParseError, StreamError, FixtureNotFoundError };
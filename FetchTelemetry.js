@@ -0,0 +1,202 @@
+/**
+ * FetchTelemetry - Collects per-source request metrics for the health panel
+ *
+ * Two levels are counted:
+ *   requests  what the dashboard asked for: one per page, including pages served
+ *             from the cache. Successes and failures (by error class) are counted
+ *             after retries, as the dashboard saw them.
+ *   attempts  what was sent to the API, including retries. Latency percentiles and
+ *             bytes received are measured per attempt.
+ *
+ * Latency percentiles are computed from the latest `maxSamples` attempts.
+ * Cancelled requests are not counted.
+ *
+ * @example
+ * const telemetry = new FetchTelemetry();
+ * telemetry.recordAttempt('weather', { duration: 120, bytes: 2048 });
+ * telemetry.recordRequest('weather');
+ * telemetry.getMetrics('weather').latency.p95; // 120
+ */
+
+import { secretRedactor } from './SecretRedactor.js';
+
+const DEFAULT_MAX_SAMPLES = 200;
+
+const PERCENTILES = [50, 90, 95, 99];
+
+export class FetchTelemetry {
+  /**
+   * Creates a new FetchTelemetry instance
+   * @param {Object} options - Telemetry options
+   * @param {number} [options.maxSamples=200] - Latency samples kept per source
+   * @param {Function} [options.now] - Clock in milliseconds (defaults to Date.now)
+   * @param {SecretRedactor} [options.redactor] - Redactor for the last error message
+   */
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples ?? DEFAULT_MAX_SAMPLES;
+    this.now = options.now || Date.now;
+    this.redactor = options.redactor || secretRedactor;
+    this.sources = {}; // Counters per source, created on first use
+  }
+
+  /**
+   * Records the outcome of a request after retries (or its cache hit)
+   * @param {string} sourceName - Name of the data source
+   * @param {Error} [error] - Why the request failed; omit for a success
+   */
+  recordRequest(sourceName, error = null) {
+    const stats = this.getStats(sourceName);
+    stats.requests++;
+
+    if (!error) {
+      stats.successes++;
+      stats.lastSuccessAt = this.now();
+      return;
+    }
+
+    const type = FetchTelemetry.getErrorType(error);
+    stats.failures++;
+    stats.errors[type] = (stats.errors[type] || 0) + 1;
+    stats.lastError = { type, message: this.redactor.redact(error.message), at: this.now() };
+  }
+
+  /**
+   * Records one request sent to the API
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} attempt - The attempt
+   * @param {number} attempt.duration - Milliseconds until the response was read (or the attempt failed)
+   * @param {number} [attempt.bytes=0] - Size of the response body
+   * @param {Error} [attempt.error] - Why the attempt failed
+   */
+  recordAttempt(sourceName, { duration, bytes = 0, error = null }) {
+    const stats = this.getStats(sourceName);
+    stats.attempts++;
+    stats.bytes += bytes;
+    if (error) {
+      stats.failedAttempts++;
+    }
+
+    stats.latencies.push(duration);
+    if (stats.latencies.length > this.maxSamples) {
+      stats.latencies.shift();
+    }
+  }
+
+  /**
+   * Records that a failed attempt is retried
+   * @param {string} sourceName - Name of the data source
+   */
+  recordRetry(sourceName) {
+    this.getStats(sourceName).retries++;
+  }
+
+  /**
+   * Records time a request was held back by a rate limit
+   * @param {string} sourceName - Name of the data source
+   * @param {number} duration - Milliseconds waited
+   */
+  recordRateLimitWait(sourceName, duration) {
+    const stats = this.getStats(sourceName);
+    stats.rateLimitWaits++;
+    stats.rateLimitWaitTime += duration;
+  }
+
+  /**
+   * Records a request answered from the response cache
+   * @param {string} sourceName - Name of the data source
+   */
+  recordCacheHit(sourceName) {
+    this.getStats(sourceName).cacheHits++;
+  }
+
+  /**
+   * Gets the metrics of a source
+   * @param {string} sourceName - Name of the data source
+   * @returns {Object} { name, requests, successes, failures, errors, cacheHits, attempts,
+   *   failedAttempts, retries, rateLimitWaits, rateLimitWaitTime, bytes, latency:
+   *   { samples, p50, p90, p95, p99, max }, lastSuccessAt, lastError }; times in ms
+   */
+  getMetrics(sourceName) {
+    const { latencies, errors, ...counters } = this.getStats(sourceName);
+    const sorted = [...latencies].sort((a, b) => a - b);
+
+    const latency = { samples: sorted.length };
+    for (const percentile of PERCENTILES) {
+      latency[`p${percentile}`] = FetchTelemetry.percentile(sorted, percentile);
+    }
+    latency.max = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+
+    return { name: sourceName, ...counters, errors: { ...errors }, latency };
+  }
+
+  /**
+   * Gets the metrics of every source that has been requested
+   * @returns {Object<string, Object>} Metrics by source name (see getMetrics)
+   */
+  getAllMetrics() {
+    const metrics = {};
+    for (const sourceName of Object.keys(this.sources)) {
+      metrics[sourceName] = this.getMetrics(sourceName);
+    }
+    return metrics;
+  }
+
+  /**
+   * Forgets the metrics of one source, or of all sources
+   * @param {string} [sourceName] - Name of the data source (default: all)
+   */
+  reset(sourceName) {
+    if (sourceName === undefined) {
+      this.sources = {};
+    } else {
+      delete this.sources[sourceName];
+    }
+  }
+
+  /**
+   * Gets the value below which a percentage of the samples fall (nearest rank)
+   * @param {Array<number>} sorted - Samples in ascending order
+   * @param {number} percentile - Percentile between 0 and 100
+   * @returns {number|null} The percentile, or null without samples
+   */
+  static percentile(sorted, percentile) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+  }
+
+  /**
+   * Gets the error class an error is counted under
+   * @param {Error} error - The error
+   * @returns {string} Error class name, e.g. 'ServerError'
+   */
+  static getErrorType(error) {
+    return error?.name && error.name !== 'Error' ? error.name : error?.constructor?.name || 'Error';
+  }
+
+  /**
+   * Gets the counters of a source, creating them on first use
+   * @private
+   */
+  getStats(sourceName) {
+    this.sources[sourceName] ??= {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      errors: {},
+      cacheHits: 0,
+      attempts: 0,
+      failedAttempts: 0,
+      retries: 0,
+      rateLimitWaits: 0,
+      rateLimitWaitTime: 0,
+      bytes: 0,
+      latencies: [],
+      lastSuccessAt: null,
+      lastError: null
+    };
+    return this.sources[sourceName];
+  }
+}
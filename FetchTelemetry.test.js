@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { FetchTelemetry } from '../src/FetchTelemetry.js';
+import { SecretRedactor } from '../src/SecretRedactor.js';
+
+class ServerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServerError';
+  }
+}
+
+describe('FetchTelemetry', () => {
+  it('should compute nearest-rank latency percentiles over the latest samples', () => {
+    const telemetry = new FetchTelemetry({ maxSamples: 100 });
+    for (let duration = 1; duration <= 120; duration++) {
+      telemetry.recordAttempt('api', { duration, bytes: 10 });
+    }
+
+    const { latency, attempts, bytes } = telemetry.getMetrics('api');
+
+    expect(latency).toEqual({ samples: 100, p50: 70, p90: 110, p95: 115, p99: 119, max: 120 });
+    expect(attempts).toBe(120);
+    expect(bytes).toBe(1200);
+  });
+
+  it('should count request outcomes by error class and keep the last error redacted', () => {
+    const redactor = new SecretRedactor();
+    redactor.addSecret('key-1234');
+    const telemetry = new FetchTelemetry({ redactor, now: () => 5000 });
+
+    telemetry.recordRequest('api');
+    telemetry.recordRequest('api', new ServerError('Server error (503) for api'));
+    telemetry.recordRequest('api', new ServerError('Server error (502) for api'));
+    telemetry.recordRequest('api', new TypeError('bad key-1234'));
+
+    expect(telemetry.getMetrics('api')).toMatchObject({
+      requests: 4,
+      successes: 1,
+      failures: 3,
+      errors: { ServerError: 2, TypeError: 1 },
+      lastSuccessAt: 5000,
+      lastError: { type: 'TypeError', message: 'bad [REDACTED]', at: 5000 }
+    });
+  });
+
+  it('should count retries, rate limit waits and cache hits', () => {
+    const telemetry = new FetchTelemetry();
+
+    telemetry.recordRetry('api');
+    telemetry.recordRateLimitWait('api', 1500);
+    telemetry.recordRateLimitWait('api', 500);
+    telemetry.recordCacheHit('api');
+
+    expect(telemetry.getMetrics('api')).toMatchObject({ retries: 1, rateLimitWaits: 2, rateLimitWaitTime: 2000, cacheHits: 1 });
+  });
+
+  it('should report empty metrics for unknown sources and forget reset ones', () => {
+    const telemetry = new FetchTelemetry();
+    telemetry.recordRequest('a');
+    telemetry.recordRequest('b');
+
+    telemetry.reset('a');
+
+    expect(Object.keys(telemetry.getAllMetrics())).toEqual(['b']);
+    expect(telemetry.getMetrics('a')).toMatchObject({ requests: 0, latency: { samples: 0, p50: null, max: null } });
+    telemetry.reset();
+    expect(telemetry.getAllMetrics()).toEqual({});
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * FixtureStore - Records API responses to a fixture file and replays them offline
+ *
+ * Modes:
+ *   off     requests go to the network (the default)
+ *   record  requests go to the network, and every response (status, headers and
+ *           body) is kept; save() writes them to the fixture file
+ *   replay  requests are answered from the fixture file; nothing is sent
+ *
+ * Responses are filed under the request method, the URL without credentials and
+ * the body, with secrets redacted, so a recording can be committed and replayed
+ * without any API keys. Identical requests recorded more than once (e.g. a 503
+ * followed by a 200) are replayed in the same order, the last one repeating.
+ *
+ * @example
+ * // options.fixtures in the config, or ?fixtures=replay in the dashboard URL
+ * const fixtures = new FixtureStore({ mode: 'replay', path: '/fixtures.json' });
+ * const response = await fixtures.fetch(url, { method: 'GET' }, {
+ *   sourceName: 'weather',
+ *   key: FixtureStore.createKey('GET', url)
+ * });
+ */
+
+import { secretRedactor } from './SecretRedactor.js';
+
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+const FIXTURE_FILE_VERSION = 1;
+
+/**
+ * Error thrown in replay mode when no response was recorded for a request
+ */
+export class FixtureNotFoundError extends Error {
+  /**
+   * @param {string} message - Description of the request
+   * @param {string} key - Fixture key of the request
+   */
+  constructor(message, key) {
+    super(message);
+    this.name = 'FixtureNotFoundError';
+    this.key = key;
+  }
+}
+
+export class FixtureStore {
+  /**
+   * Creates a new FixtureStore instance
+   * @param {Object} options - Fixture options
+   * @param {string} [options.mode='off'] - 'off', 'record' or 'replay'
+   * @param {string} [options.path='/fixtures.json'] - Fixture file to replay from and save to
+   * @param {Object} [options.fixtures] - Already loaded fixture file contents (skips reading path)
+   * @param {Function} [options.read] - async (path) => fixture file contents, as text or object
+   *   (defaults to fetching the path)
+   * @param {Function} [options.write] - async (path, text) => void (defaults to a download in
+   *   the browser and a file write under Node)
+   * @param {SecretRedactor} [options.redactor] - Redactor applied to everything recorded
+   * @throws {Error} If the mode is unknown
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'off';
+    if (!FIXTURE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown fixtures mode '${this.mode}' (expected one of: ${FIXTURE_MODES.join(', ')})`);
+    }
+
+    this.path = options.path || '/fixtures.json';
+    this.read = options.read || readFixtureFile;
+    this.write = options.write || writeFixtureFile;
+    this.redactor = options.redactor || secretRedactor;
+
+    this.entries = new Map(); // Recorded responses by fixture key, oldest first
+    this.replayed = new Map(); // How many responses of each key have been replayed
+    this.loading = null;
+
+    if (options.fixtures) {
+      this.addEntries(options.fixtures);
+      this.loading = Promise.resolve();
+    }
+  }
+
+  /**
+   * Whether responses are being recorded
+   * @returns {boolean}
+   */
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  /**
+   * Whether responses are served from fixtures
+   * @returns {boolean}
+   */
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Builds the fixture key of a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL without credentials
+   * @param {string} [body] - Serialized request body
+   * @param {SecretRedactor} [redactor] - Redactor for secrets in the URL and body
+   * @returns {string} Fixture key
+   */
+  static createKey(method, url, body, redactor = secretRedactor) {
+    const key = `${(method || 'GET').toUpperCase()} ${redactor.redact(url)}`;
+    return body === undefined || body === null ? key : `${key} ${redactor.redact(String(body))}`;
+  }
+
+  /**
+   * Sends a request according to the mode, with the signature of fetch plus the request's identity
+   * @param {string} url - Request URL, with credentials
+   * @param {Object} init - Fetch options
+   * @param {{sourceName: string, key: string}} request - Data source name and fixture key
+   * @returns {Promise<Object>} The response (a recorded copy when recording or replaying)
+   * @throws {FixtureNotFoundError} In replay mode, if the request was not recorded
+   */
+  async fetch(url, init, { sourceName, key }) {
+    if (this.replaying) {
+      return this.replay(sourceName, key);
+    }
+
+    const response = await fetch(url, init);
+    if (!this.recording) {
+      return response;
+    }
+
+    const entry = {
+      key,
+      source: sourceName,
+      method: (init.method || 'GET').toUpperCase(),
+      url: this.redactor.redact(url),
+      status: response.status,
+      statusText: response.statusText || '',
+      headers: this.recordHeaders(response.headers),
+      body: this.redactor.redact(await response.text())
+    };
+    this.addEntries({ entries: [entry] });
+
+    return toResponse(entry);
+  }
+
+  /**
+   * Gets the recorded entries in the fixture file format
+   * @returns {{version: number, recordedAt: string, entries: Array<Object>}}
+   */
+  toJSON() {
+    return {
+      version: FIXTURE_FILE_VERSION,
+      recordedAt: new Date().toISOString(),
+      entries: [...this.entries.values()].flat()
+    };
+  }
+
+  /**
+   * Writes the recorded entries to the fixture file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await this.write(this.path, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+  }
+
+  /**
+   * Answers a request from the recorded entries
+   * @private
+   */
+  async replay(sourceName, key) {
+    this.loading ??= this.load();
+    await this.loading;
+
+    const entries = this.entries.get(key);
+    if (!entries) {
+      throw new FixtureNotFoundError(`No recorded response for ${sourceName}: ${key}`, key);
+    }
+
+    const count = this.replayed.get(key) || 0;
+    this.replayed.set(key, count + 1);
+    return toResponse(entries[Math.min(count, entries.length - 1)]);
+  }
+
+  /**
+   * Reads the fixture file
+   * @private
+   */
+  async load() {
+    let contents;
+    try {
+      contents = await this.read(this.path);
+    } catch (error) {
+      throw new Error(`Failed to load fixtures from ${this.path}: ${error.message}`);
+    }
+
+    this.addEntries(typeof contents === 'string' ? JSON.parse(contents) : contents);
+  }
+
+  /**
+   * Files entries from a fixture file under their keys
+   * @private
+   */
+  addEntries(fixtures) {
+    for (const entry of fixtures.entries || []) {
+      if (!this.entries.has(entry.key)) {
+        this.entries.set(entry.key, []);
+      }
+      this.entries.get(entry.key).push(entry);
+    }
+  }
+
+  /**
+   * Copies response headers, leaving out cookies and redacting secrets
+   * @private
+   */
+  recordHeaders(headers) {
+    const recorded = {};
+    for (const [name, value] of headers || []) {
+      if (name.toLowerCase() !== 'set-cookie') {
+        recorded[name] = this.redactor.redact(value);
+      }
+    }
+    return recorded;
+  }
+}
+
+/**
+ * Builds a fetch-like response from a recorded entry
+ * @param {Object} entry - Recorded entry
+ * @returns {Object} Response with ok, status, statusText, headers, json() and text()
+ */
+function toResponse(entry) {
+  return {
+    ok: entry.status >= 200 && entry.status < 300,
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: new Headers(entry.headers),
+    json: async () => JSON.parse(entry.body),
+    text: async () => entry.body
+  };
+}
+
+/**
+ * Fetches a fixture file from the web server
+ * @param {string} path - Fixture file path
+ * @returns {Promise<string>} File contents
+ */
+async function readFixtureFile(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Saves a fixture file: as a download in the browser, to disk under Node
+ * @param {string} path - Fixture file path
+ * @param {string} text - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFixtureFile(path, text) {
+  if (typeof document !== 'undefined') {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    link.download = path.split('/').pop() || 'fixtures.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    return;
+  }
+
+  // Imported lazily so browser bundles never pull in Node built-ins
+  const { writeFile } = await import('node:fs/promises');
+  await writeFile(path, text, 'utf8');
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FixtureStore, FixtureNotFoundError } from '../src/FixtureStore.js';
+import { SecretRedactor } from '../src/SecretRedactor.js';
+
+const textResponse = (body, status = 200, headers = {}) => ({
+  ok: status < 400,
+  status,
+  statusText: status < 400 ? 'OK' : 'Service Unavailable',
+  headers: new Headers(headers),
+  text: async () => body
+});
+
+describe('FixtureStore', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should key requests by method, redacted URL and body', () => {
+    const redactor = new SecretRedactor();
+    redactor.addSecret('s3cr3t-value');
+
+    expect(FixtureStore.createKey('get', 'https://api.example.com/data?appid=abc&q=1', undefined, redactor))
+      .toBe('GET https://api.example.com/data?appid=[REDACTED]&q=1');
+    expect(FixtureStore.createKey('POST', 'https://api.example.com/graphql', '{"key":"s3cr3t-value"}', redactor))
+      .toBe('POST https://api.example.com/graphql {"key":"[REDACTED]"}');
+  });
+
+  it('should record status, headers and body with secrets and cookies left out', async () => {
+    const redactor = new SecretRedactor();
+    redactor.addSecret('tok-98765');
+    fetchMock.mockResolvedValue(textResponse('{"echo":"tok-98765","v":1}', 200, {
+      'Content-Type': 'application/json',
+      'Set-Cookie': 'session=abc',
+      'X-Debug': 'Bearer tok-98765'
+    }));
+    const write = vi.fn(async () => {});
+    const store = new FixtureStore({ mode: 'record', path: 'fixtures.json', write, redactor });
+
+    const response = await store.fetch('https://api.example.com/data?token=tok-98765', { method: 'GET' }, {
+      sourceName: 'data',
+      key: 'GET https://api.example.com/data?token=[REDACTED]'
+    });
+    await store.save();
+
+    expect(await response.json()).toEqual({ echo: '[REDACTED]', v: 1 });
+    const [path, text] = write.mock.calls[0];
+    expect(path).toBe('fixtures.json');
+    expect(text).not.toContain('tok-98765');
+    expect(JSON.parse(text)).toMatchObject({
+      version: 1,
+      entries: [{
+        key: 'GET https://api.example.com/data?token=[REDACTED]',
+        source: 'data',
+        url: 'https://api.example.com/data?token=[REDACTED]',
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json', 'x-debug': 'Bearer [REDACTED]' }
+      }]
+    });
+  });
+
+  it('should replay repeated requests in recorded order and repeat the last response', async () => {
+    const key = 'GET https://api.example.com/data';
+    const store = new FixtureStore({
+      mode: 'replay',
+      fixtures: {
+        entries: [
+          { key, status: 503, statusText: 'Service Unavailable', headers: {}, body: '' },
+          { key, status: 200, statusText: 'OK', headers: { 'content-type': 'text/csv' }, body: 'a,b\n1,2' }
+        ]
+      }
+    });
+    const request = { sourceName: 'data', key };
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await store.fetch('https://api.example.com/data', {}, request)).status);
+    }
+    const last = await store.fetch('https://api.example.com/data', {}, request);
+
+    expect(statuses).toEqual([503, 200, 200]);
+    expect(last.headers.get('Content-Type')).toBe('text/csv');
+    expect(await last.text()).toBe('a,b\n1,2');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should load the fixture file once and reject requests it does not contain', async () => {
+    const read = vi.fn(async () => JSON.stringify({ version: 1, entries: [] }));
+    const store = new FixtureStore({ mode: 'replay', path: '/offline.json', read });
+    const request = { sourceName: 'data', key: 'GET https://api.example.com/missing' };
+
+    await expect(store.fetch('https://api.example.com/missing', {}, request)).rejects.toBeInstanceOf(FixtureNotFoundError);
+    await expect(store.fetch('https://api.example.com/missing', {}, request)).rejects.toThrow('No recorded response for data');
+    expect(read).toHaveBeenCalledTimes(1);
+    expect(read).toHaveBeenCalledWith('/offline.json');
+  });
+
+  it('should pass requests straight through when off and reject unknown modes', async () => {
+    const response = textResponse('{}');
+    fetchMock.mockResolvedValue(response);
+
+    expect(await new FixtureStore().fetch('https://api.example.com/data', {}, { sourceName: 'data', key: 'x' })).toBe(response);
+    expect(() => new FixtureStore({ mode: 'rewind' })).toThrow("Unknown fixtures mode 'rewind'");
+  });
+});
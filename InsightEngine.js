@@ -13,6 +13,14 @@
  * console.log(insights.correlation); // { coefficient: 0.23, strength: 'weak', direction: 'positive' }
  * console.log(insights.trends); // { source1: 'increasing', source2: 'stable' }
  * console.log(insights.spikes); // Array of detected spikes
+ *
+ * // When a source failed to load, the other one is still analyzed
+ * const partial = insightEngine.analyzeData(null, cryptoSeries, { unavailable: ['Air Quality'] });
+ * console.log(partial.summary); // '... Air Quality could not be loaded, so ...'
+ *
+ * // Compare the series of a swept source, e.g. one per city
+ * insightEngine.generateSweepInsight('Weather', [newYork, london, tokyo]);
+ * // 'Across Weather: New York and London are increasing; Tokyo is stable.'
  */
 export class InsightEngine {
   /**
@@ -26,13 +34,20 @@ export class InsightEngine {
 
   /**
    * Analyzes two time series datasets and generates comprehensive insights
-   * @param {Object} series1 - First normalized time series object
-   * @param {Object} series2 - Second normalized time series object
+   * @param {Object|null} series1 - First normalized time series object (null if it could not be loaded)
+   * @param {Object|null} series2 - Second normalized time series object (null if it could not be loaded)
+   * @param {Object} [options] - Analysis options
+   * @param {Array<string>} [options.unavailable] - Names of sources that could not be loaded,
+   *   mentioned in the summary
+   * @param {Array<string>} [options.stale] - Names of sources whose series is left over from an
+   *   earlier refresh, mentioned in the summary
    * @returns {Object} Analysis results with trends, spikes, correlation, and summary
    */
-  analyzeData(series1, series2) {
+  analyzeData(series1, series2, options = {}) {
+    const notes = { unavailable: options.unavailable || [], stale: options.stale || [] };
+
     if (!series1 || !series2) {
-      return this.createEmptyAnalysis();
+      return this.analyzeSingleSeries(series1 ? 'source1' : 'source2', series1 || series2, notes);
     }
 
     // Detect trends in both series
@@ -62,10 +77,72 @@ export class InsightEngine {
       },
       spikes: [...spikes1, ...spikes2],
       correlation,
-      summary
+      summary: this.appendSourceNotes(summary, notes)
     };
   }
 
+  /**
+   * Analyzes the one series that could be loaded: its trend and spikes, without a correlation
+   * @param {string} key - 'source1' or 'source2', the position of the series
+   * @param {Object|null} series - The series, or null if neither source could be loaded
+   * @param {Object} notes - { unavailable, stale } source names for the summary
+   * @returns {Object} Analysis results; the trend of a missing source is null
+   * @private
+   */
+  analyzeSingleSeries(key, series, notes) {
+    const analysis = this.createEmptyAnalysis();
+
+    if (!series) {
+      analysis.trends = { source1: null, source2: null };
+      if (notes.unavailable.length > 0) {
+        analysis.summary = `${formatNames(notes.unavailable)} could not be loaded, so there is no data to analyze.`;
+      }
+      return analysis;
+    }
+
+    const name = series.sourceName || 'The dataset';
+    const trend = this.detectTrends(series);
+    const spikes = this.detectSpikes(series, this.spikeThreshold);
+
+    const insights = [
+      trend === 'stable'
+        ? `${name} shows a stable pattern over the observed period.`
+        : `${name} is ${trend}.`
+    ];
+
+    const spikeText = this.generateSpikeInsight(spikes);
+    if (spikeText) {
+      insights.push(spikeText);
+    }
+
+    const missing = notes.unavailable.length > 0 ? formatNames(notes.unavailable) : 'The other dataset';
+    insights.push(`${missing} could not be loaded, so no correlation with ${name} was calculated.`);
+
+    analysis.trends = key === 'source1'
+      ? { source1: trend, source2: null }
+      : { source1: null, source2: trend };
+    analysis.spikes = spikes;
+    analysis.summary = this.appendSourceNotes(insights.join(' '), notes);
+
+    return analysis;
+  }
+
+  /**
+   * Adds a note about sources shown with data from an earlier refresh
+   * @param {string} summary - Insight text
+   * @param {Object} notes - { unavailable, stale } source names
+   * @returns {string} The insight text with the note
+   * @private
+   */
+  appendSourceNotes(summary, { stale }) {
+    if (stale.length === 0) {
+      return summary;
+    }
+
+    const verb = stale.length === 1 ? 'shows' : 'show';
+    return `${summary} ${formatNames(stale)} ${verb} data from an earlier refresh because the latest request failed.`;
+  }
+
   /**
    * Detects the overall trend in a time series
    * @param {Object} series - Normalized time series object
@@ -299,6 +376,31 @@ export class InsightEngine {
     return insights.join(' ');
   }
 
+  /**
+   * Compares the trends of the series a swept source produced, one per combination
+   * @param {string} sourceName - Name of the swept source
+   * @param {Array<Object>} seriesList - Its series; each is named by its label, or else its sourceName
+   * @returns {string} Insight text, or '' without series
+   */
+  generateSweepInsight(sourceName, seriesList) {
+    if (!seriesList || seriesList.length === 0) {
+      return '';
+    }
+
+    // Group the labels by trend, in the order the trends first appear
+    const byTrend = new Map();
+    for (const series of seriesList) {
+      const trend = this.detectTrends(series);
+      if (!byTrend.has(trend)) {
+        byTrend.set(trend, []);
+      }
+      byTrend.get(trend).push(series.label || series.sourceName);
+    }
+
+    const parts = [...byTrend].map(([trend, names]) => `${formatNames(names)} ${names.length === 1 ? 'is' : 'are'} ${trend}`);
+    return `Across ${sourceName}: ${parts.join('; ')}.`;
+  }
+
   /**
    * Generates insight text about trends
    * @param {Object} series1 - First time series
@@ -446,3 +548,14 @@ export class InsightEngine {
     };
   }
 }
+
+/**
+ * Joins source names for a sentence: 'A', 'A and B', 'A, B and C'
+ * @param {Array<string>} names - Source names
+ * @returns {string} The names as a list
+ */
+function formatNames(names) {
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { InsightEngine } from '../src/InsightEngine.js';
+
+const createSeries = (sourceName, values) => ({
+  sourceName,
+  dataPoints: values.map((value, index) => ({
+    timestamp: Date.UTC(2024, 0, 1, index),
+    value,
+    originalValue: value
+  })),
+  metadata: { unit: '' }
+});
+
+describe('InsightEngine', () => {
+  it('should analyze the loaded series and name the source that is missing', () => {
+    const engine = new InsightEngine();
+    const crypto = createSeries('Bitcoin Price', [100, 110, 120, 130, 140, 150]);
+
+    const insights = engine.analyzeData(null, crypto, { unavailable: ['Air Quality'] });
+
+    expect(insights.trends).toEqual({ source1: null, source2: 'increasing' });
+    expect(insights.correlation.strength).toBe('none');
+    expect(insights.summary).toContain('Bitcoin Price is increasing.');
+    expect(insights.summary).toContain('Air Quality could not be loaded, so no correlation with Bitcoin Price was calculated.');
+  });
+
+  it('should say when no source could be loaded', () => {
+    const engine = new InsightEngine();
+
+    const insights = engine.analyzeData(null, null, { unavailable: ['Air Quality', 'Bitcoin Price'] });
+
+    expect(insights.trends).toEqual({ source1: null, source2: null });
+    expect(insights.summary).toBe('Air Quality and Bitcoin Price could not be loaded, so there is no data to analyze.');
+  });
+
+  it('should mention sources shown with data from an earlier refresh', () => {
+    const engine = new InsightEngine();
+    const air = createSeries('Air Quality', [40, 42, 41, 40, 42, 41]);
+    const crypto = createSeries('Bitcoin Price', [100, 101, 100, 101, 100, 101]);
+
+    const insights = engine.analyzeData(air, crypto, { stale: ['Air Quality'] });
+
+    expect(insights.summary).toMatch(/Air Quality shows data from an earlier refresh because the latest request failed\.$/);
+  });
+
+  it('should group the series of a sweep by trend', () => {
+    const engine = new InsightEngine();
+    const seriesList = [
+      { ...createSeries('Weather (New York)', [10, 12, 14, 16, 18, 20]), label: 'New York' },
+      { ...createSeries('Weather (London)', [8, 10, 12, 14, 16, 18]), label: 'London' },
+      { ...createSeries('Weather (Tokyo)', [20, 20, 20, 20, 20, 20]), label: 'Tokyo' }
+    ];
+
+    expect(engine.generateSweepInsight('Weather', seriesList))
+      .toBe('Across Weather: New York and London are increasing; Tokyo is stable.');
+    expect(engine.generateSweepInsight('Weather', [])).toBe('');
+  });
+});
@@ -0,0 +1,423 @@
+/**
+ * JSONCParser - String-aware reader for JSON with comments (JSONC)
+ *
+ * This class tokenizes configuration text character by character so that
+ * comment markers inside string values (such as the `//` in an endpoint URL)
+ * are never mistaken for comments. It accepts line comments, block comments
+ * and trailing commas, and reports syntax errors with line and column.
+ *
+ * @example
+ * const config = JSONCParser.parse(`{
+ *   // Open-Meteo archive endpoint
+ *   "endpoint": "https://archive-api.open-meteo.com/v1/archive",
+ *   "method": "GET", // trailing commas are allowed
+ * }`);
+ * console.log(config.endpoint); // 'https://archive-api.open-meteo.com/v1/archive'
+ */
+
+import { ConfigError } from './ErrorHandler.js';
+
+/**
+ * Error thrown when configuration text cannot be parsed
+ */
+export class ConfigParseError extends ConfigError {
+  /**
+   * @param {string} message - Description of the problem, including its position
+   * @param {Object} position - Location of the problem in the source text
+   * @param {number} position.line - 1-based line number
+   * @param {number} position.column - 1-based column number
+   * @param {number} position.offset - 0-based character offset
+   */
+  constructor(message, { line, column, offset }) {
+    super(message);
+    this.name = 'ConfigParseError';
+    this.line = line;
+    this.column = column;
+    this.offset = offset;
+  }
+}
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  'b': '\b',
+  'f': '\f',
+  'n': '\n',
+  'r': '\r',
+  't': '\t'
+};
+
+export class JSONCParser {
+  /**
+   * Parses JSONC text into a JavaScript value
+   * @param {string} text - JSON text, optionally containing comments and trailing commas
+   * @returns {any} The parsed value
+   * @throws {ConfigParseError} If the text is not valid JSONC
+   */
+  static parse(text) {
+    return new JSONCParser(text).parseDocument();
+  }
+
+  /**
+   * Removes comments from JSONC text without touching string contents.
+   * Comments are replaced by whitespace so line and column positions are preserved.
+   * @param {string} text - JSONC text
+   * @returns {string} Text with every comment blanked out
+   * @throws {ConfigParseError} If a string or block comment is not terminated
+   */
+  static stripComments(text) {
+    const parser = new JSONCParser(text);
+    let result = '';
+    let copiedUpTo = 0;
+
+    while (parser.pos < text.length) {
+      const char = text[parser.pos];
+
+      if (char === '"') {
+        parser.readString();
+      } else if (char === '/' && (text[parser.pos + 1] === '/' || text[parser.pos + 1] === '*')) {
+        const start = parser.pos;
+        parser.skipComment();
+        result += text.slice(copiedUpTo, start) + text.slice(start, parser.pos).replace(/[^\r\n]/g, ' ');
+        copiedUpTo = parser.pos;
+      } else {
+        parser.pos++;
+      }
+    }
+
+    return result + text.slice(copiedUpTo);
+  }
+
+  /**
+   * Creates a parser over a single document
+   * @param {string} text - Source text
+   */
+  constructor(text) {
+    if (typeof text !== 'string') {
+      throw new TypeError('JSONCParser expects a string');
+    }
+
+    this.text = text;
+    // Skip a leading byte order mark, which editors on Windows like to add
+    this.pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  }
+
+  /**
+   * Parses the whole document, requiring exactly one top-level value
+   * @returns {any} The parsed value
+   * @private
+   */
+  parseDocument() {
+    this.skipWhitespaceAndComments();
+
+    if (this.pos >= this.text.length) {
+      this.fail('Unexpected end of input, expected a value');
+    }
+
+    const value = this.parseValue();
+    this.skipWhitespaceAndComments();
+
+    if (this.pos < this.text.length) {
+      this.fail(`Unexpected ${this.describeCurrent()} after end of document`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Parses any JSON value at the current position
+   * @returns {any} The parsed value
+   * @private
+   */
+  parseValue() {
+    const char = this.text[this.pos];
+
+    switch (char) {
+      case '{':
+        return this.parseObject();
+      case '[':
+        return this.parseArray();
+      case '"':
+        return this.readString();
+      case 't':
+        return this.readLiteral('true', true);
+      case 'f':
+        return this.readLiteral('false', false);
+      case 'n':
+        return this.readLiteral('null', null);
+      default:
+        if (char === '-' || (char >= '0' && char <= '9')) {
+          return this.readNumber();
+        }
+        this.fail(`Unexpected ${this.describeCurrent()}, expected a value`);
+    }
+  }
+
+  /**
+   * Parses an object, allowing a trailing comma before the closing brace
+   * @returns {Object} The parsed object
+   * @private
+   */
+  parseObject() {
+    const result = {};
+    this.pos++; // Consume '{'
+    this.skipWhitespaceAndComments();
+
+    while (this.text[this.pos] !== '}') {
+      if (this.text[this.pos] !== '"') {
+        this.fail(`Unexpected ${this.describeCurrent()}, expected a property name or '}'`);
+      }
+
+      const key = this.readString();
+      this.skipWhitespaceAndComments();
+      this.expect(':', `after property name "${key}"`);
+      this.skipWhitespaceAndComments();
+
+      const value = this.parseValue();
+
+      // Define rather than assign so a "__proto__" key stays an ordinary property
+      Object.defineProperty(result, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+
+      this.skipWhitespaceAndComments();
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+        this.skipWhitespaceAndComments();
+      } else if (this.text[this.pos] !== '}') {
+        this.fail(`Unexpected ${this.describeCurrent()}, expected ',' or '}'`);
+      }
+    }
+
+    this.pos++; // Consume '}'
+    return result;
+  }
+
+  /**
+   * Parses an array, allowing a trailing comma before the closing bracket
+   * @returns {Array} The parsed array
+   * @private
+   */
+  parseArray() {
+    const result = [];
+    this.pos++; // Consume '['
+    this.skipWhitespaceAndComments();
+
+    while (this.text[this.pos] !== ']') {
+      if (this.pos >= this.text.length) {
+        this.fail("Unexpected end of input, expected a value or ']'");
+      }
+
+      result.push(this.parseValue());
+      this.skipWhitespaceAndComments();
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+        this.skipWhitespaceAndComments();
+      } else if (this.text[this.pos] !== ']') {
+        this.fail(`Unexpected ${this.describeCurrent()}, expected ',' or ']'`);
+      }
+    }
+
+    this.pos++; // Consume ']'
+    return result;
+  }
+
+  /**
+   * Reads a double-quoted string, decoding escape sequences
+   * @returns {string} The decoded string
+   * @private
+   */
+  readString() {
+    const start = this.pos;
+    let result = '';
+    this.pos++; // Consume opening quote
+
+    while (true) {
+      if (this.pos >= this.text.length) {
+        this.fail('Unterminated string', start);
+      }
+
+      const char = this.text[this.pos];
+
+      if (char === '"') {
+        this.pos++;
+        return result;
+      }
+
+      if (char === '\n' || char === '\r') {
+        this.fail('Unterminated string', start);
+      }
+
+      if (char < ' ') {
+        this.fail('Control character in string must be escaped');
+      }
+
+      if (char === '\\') {
+        const escape = this.text[this.pos + 1];
+
+        if (escape === 'u') {
+          const hex = this.text.slice(this.pos + 2, this.pos + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            this.fail('Invalid unicode escape sequence');
+          }
+          result += String.fromCharCode(parseInt(hex, 16));
+          this.pos += 6;
+        } else if (escape !== undefined && ESCAPES[escape] !== undefined) {
+          result += ESCAPES[escape];
+          this.pos += 2;
+        } else {
+          this.fail(`Invalid escape sequence '\\${escape ?? ''}'`);
+        }
+        continue;
+      }
+
+      result += char;
+      this.pos++;
+    }
+  }
+
+  /**
+   * Reads a JSON number
+   * @returns {number} The parsed number
+   * @private
+   */
+  readNumber() {
+    NUMBER_PATTERN.lastIndex = this.pos;
+    const match = NUMBER_PATTERN.exec(this.text);
+
+    if (!match) {
+      this.fail(`Invalid number`);
+    }
+
+    this.pos += match[0].length;
+
+    // Reject things like "01" or "1.2.3" that the pattern only partially consumed
+    const next = this.text[this.pos];
+    if (next !== undefined && /[0-9A-Za-z_.]/.test(next)) {
+      this.fail('Invalid number');
+    }
+
+    return Number(match[0]);
+  }
+
+  /**
+   * Reads one of the keyword literals true, false or null
+   * @param {string} literal - Expected literal text
+   * @param {any} value - Value the literal represents
+   * @returns {any} The literal's value
+   * @private
+   */
+  readLiteral(literal, value) {
+    if (this.text.startsWith(literal, this.pos) && !/[A-Za-z0-9_]/.test(this.text[this.pos + literal.length] ?? '')) {
+      this.pos += literal.length;
+      return value;
+    }
+
+    this.fail(`Unexpected ${this.describeCurrent()}, expected a value`);
+  }
+
+  /**
+   * Skips whitespace, line comments and block comments
+   * @private
+   */
+  skipWhitespaceAndComments() {
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+        this.pos++;
+      } else if (char === '/' && (this.text[this.pos + 1] === '/' || this.text[this.pos + 1] === '*')) {
+        this.skipComment();
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Skips a single comment starting at the current position
+   * @private
+   */
+  skipComment() {
+    const start = this.pos;
+
+    if (this.text[this.pos + 1] === '/') {
+      while (this.pos < this.text.length && this.text[this.pos] !== '\n' && this.text[this.pos] !== '\r') {
+        this.pos++;
+      }
+      return;
+    }
+
+    const end = this.text.indexOf('*/', this.pos + 2);
+    if (end === -1) {
+      this.fail('Unterminated block comment', start);
+    }
+    this.pos = end + 2;
+  }
+
+  /**
+   * Consumes an expected punctuation character
+   * @param {string} char - Expected character
+   * @param {string} context - Description used in the error message
+   * @private
+   */
+  expect(char, context) {
+    if (this.text[this.pos] !== char) {
+      this.fail(`Expected '${char}' ${context} but found ${this.describeCurrent()}`);
+    }
+    this.pos++;
+  }
+
+  /**
+   * Describes the character at the current position for error messages
+   * @returns {string} Human-readable description
+   * @private
+   */
+  describeCurrent() {
+    if (this.pos >= this.text.length) {
+      return 'end of input';
+    }
+    return `character '${this.text[this.pos]}'`;
+  }
+
+  /**
+   * Converts a character offset into a 1-based line and column
+   * @param {number} offset - Character offset
+   * @returns {{line: number, column: number}} Position
+   * @private
+   */
+  getPosition(offset) {
+    let line = 1;
+    let lineStart = 0;
+
+    for (let i = 0; i < offset && i < this.text.length; i++) {
+      const char = this.text[i];
+      if (char === '\n' || (char === '\r' && this.text[i + 1] !== '\n')) {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+
+    return { line, column: offset - lineStart + 1 };
+  }
+
+  /**
+   * Throws a ConfigParseError at the given offset
+   * @param {string} reason - Description of the problem
+   * @param {number} offset - Character offset of the problem (defaults to current position)
+   * @throws {ConfigParseError} Always
+   * @private
+   */
+  fail(reason, offset = this.pos) {
+    const { line, column } = this.getPosition(offset);
+    throw new ConfigParseError(`${reason} at line ${line}, column ${column}`, { line, column, offset });
+  }
+}
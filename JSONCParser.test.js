@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { JSONCParser, ConfigParseError } from '../src/JSONCParser.js';
+
+describe('JSONCParser', () => {
+  describe('parse', () => {
+    it('should parse plain JSON the same way as JSON.parse', () => {
+      const text = '{"a": 1, "b": [true, false, null], "c": {"d": "e\\n"}, "f": -1.5e3}';
+      expect(JSONCParser.parse(text)).toEqual(JSON.parse(text));
+    });
+
+    it('should keep URLs containing // intact when comments are present', () => {
+      const text = `{
+        // Weather source
+        "endpoint": "https://archive-api.open-meteo.com/v1/archive", // trailing note
+        "method": "GET"
+      }`;
+      const config = JSONCParser.parse(text);
+      expect(config.endpoint).toBe('https://archive-api.open-meteo.com/v1/archive');
+      expect(config.method).toBe('GET');
+    });
+
+    it('should ignore block comments and keep comment markers inside strings', () => {
+      const text = '{ /* header */ "pattern": "/* not a comment */", "n": /* inline */ 2 }';
+      expect(JSONCParser.parse(text)).toEqual({ pattern: '/* not a comment */', n: 2 });
+    });
+
+    it('should accept trailing commas in objects and arrays', () => {
+      expect(JSONCParser.parse('{ "list": [1, 2, 3,], "x": 1, }')).toEqual({ list: [1, 2, 3], x: 1 });
+    });
+
+    it('should skip a leading byte order mark', () => {
+      expect(JSONCParser.parse('﻿{"a": 1}')).toEqual({ a: 1 });
+    });
+
+    it('should treat __proto__ as an ordinary key', () => {
+      const result = JSONCParser.parse('{"__proto__": {"polluted": true}}');
+      expect(Object.keys(result)).toEqual(['__proto__']);
+      expect({}.polluted).toBeUndefined();
+    });
+
+    it('should report line and column for a missing comma', () => {
+      const text = '{\n  "a": 1\n  "b": 2\n}';
+      try {
+        JSONCParser.parse(text);
+        expect.unreachable();
+      } catch (error) {
+        expect(error).toBeInstanceOf(ConfigParseError);
+        expect(error.line).toBe(3);
+        expect(error.column).toBe(3);
+        expect(error.message).toContain("expected ',' or '}'");
+      }
+    });
+
+    it('should report unterminated strings at their opening quote', () => {
+      expect(() => JSONCParser.parse('{\n "a": "oops\n}')).toThrow('Unterminated string at line 2, column 7');
+    });
+
+    it('should report unterminated block comments', () => {
+      expect(() => JSONCParser.parse('{ /* never closed')).toThrow('Unterminated block comment at line 1, column 3');
+    });
+
+    it('should reject content after the top-level value', () => {
+      expect(() => JSONCParser.parse('{} {}')).toThrow('after end of document');
+    });
+
+    it('should reject invalid numbers and literals', () => {
+      expect(() => JSONCParser.parse('[01]')).toThrow('Invalid number');
+      expect(() => JSONCParser.parse('[tru]')).toThrow("Unexpected character 't'");
+    });
+  });
+
+  describe('stripComments', () => {
+    it('should blank out comments while preserving strings and line positions', () => {
+      const text = '{\n  "url": "http://x.test/a", // note\n  /* b */ "k": 1\n}';
+      const stripped = JSONCParser.stripComments(text);
+      expect(stripped.split('\n')).toHaveLength(4);
+      expect(stripped).toContain('"http://x.test/a"');
+      expect(stripped).not.toContain('note');
+      expect(JSON.parse(stripped)).toEqual({ url: 'http://x.test/a', k: 1 });
+    });
+  });
+});
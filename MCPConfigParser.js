@@ -9,64 +9,176 @@
  * await parser.loadConfig();
  * const airQualityConfig = parser.getDataSource('airQuality');
  * console.log(airQualityConfig.endpoint);
+ *
+ * @example
+ * // Run headlessly from an object, or from YAML on disk under Node
+ * const inline = MCPConfigParser.fromObject(configObject);
+ * const fromDisk = new MCPConfigParser('config.yaml', { loader: new FileSystemConfigLoader() });
+ *
+ * @example
+ * // Merge config.dev.json on top of config.json and trace a value back to its file
+ * const parser = new MCPConfigParser('/config.json', { environment: 'dev' });
+ * await parser.loadConfig();
+ * console.log(parser.getValueSource('dataSources.weather.endpoint')); // '/config.dev.json'
  */
+import { JSONCParser } from './JSONCParser.js';
+import { ConfigValidator, ConfigValidationError } from './ConfigValidator.js';
+import { ConfigResolver } from './ConfigResolver.js';
+import { ConfigMigrator } from './ConfigMigrator.js';
+import { FetchConfigLoader, InlineConfigLoader, ConfigFormats } from './ConfigLoaders.js';
+
 export class MCPConfigParser {
   /**
    * Creates a new MCPConfigParser instance
    * @param {string} configPath - Path to the .kiro configuration file
+   * @param {Object} options - Parser options
+   * @param {string} [options.environment] - Environment overlay to merge (e.g. 'dev' loads config.dev.json on top)
+   * @param {ConfigMigrator} [options.migrator] - Migrator used to upgrade older config versions
+   * @param {Object} [options.loader] - Loader used to read config files (defaults to fetch)
    */
-  constructor(configPath) {
+  constructor(configPath, options = {}) {
     this.configPath = configPath;
+    this.loader = options.loader || new FetchConfigLoader();
+    this.environment = options.environment || null;
+    this.migrator = options.migrator || new ConfigMigrator();
     this.config = null;
+    this.provenance = {};
+    this.migrationReport = null;
+    this.validationReport = null;
   }
 
   /**
-   * Loads and parses the MCP configuration file
-   * @returns {Promise<Object>} The parsed configuration object
-   * @throws {Error} If the file cannot be loaded or parsed
+   * Creates a parser for a configuration object held in memory, e.g. in tests or scripts
+   * @param {Object} config - Configuration object
+   * @param {Object} options - Same options as the constructor (loader is ignored)
+   * @returns {MCPConfigParser} Parser ready for loadConfig()
+   */
+  static fromObject(config, options = {}) {
+    const path = 'inline.json';
+    return new MCPConfigParser(path, {
+      ...options,
+      loader: new InlineConfigLoader({ [path]: config })
+    });
+  }
+
+  /**
+   * Loads, resolves and validates the MCP configuration file.
+   * `$include`/`$ref` directives, the environment overlay and source templates
+   * are all resolved before validation.
+   * @returns {Promise<Object>} The resolved configuration object
+   * @throws {Error} If a file cannot be loaded or parsed, or the result is invalid
    */
   async loadConfig() {
-    try {
-      const response = await fetch(this.configPath);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to load config file: ${response.status} ${response.statusText}`);
-      }
-      
-      const configText = await response.text();
-      
-      // Remove comments from JSON (since .kiro file contains comments)
-      const cleanedConfig = this.removeComments(configText);
-      
-      // Parse the JSON
-      this.config = JSON.parse(cleanedConfig);
-      
-      // Validate the configuration
-      this.validateConfig();
-      
-      return this.config;
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`Invalid JSON in config file: ${error.message}`);
+    const resolver = new ConfigResolver({
+      readDocument: (path) => this.readConfigFile(path)
+    });
+
+    const { config, provenance } = await resolver.resolve(this.configPath, {
+      environment: this.environment
+    });
+
+    // Upgrade configs written for an older mcpVersion to the current format
+    const { config: migratedConfig, report } = this.migrator.migrate(config);
+
+    this.config = migratedConfig;
+    this.migrationReport = report;
+    this.provenance = this.applyMigrationProvenance(provenance, report);
+
+    if (report.migrated) {
+      console.info(
+        `Config migrated from mcpVersion ${report.fromVersion} to ${report.toVersion} ` +
+        `(${report.changes.length} changes). Use emitMigratedConfig() to save the upgraded file.`
+      );
+    }
+
+    // Validate the configuration
+    this.validateConfig();
+
+    return this.config;
+  }
+
+  /**
+   * Reads and parses a single configuration file through the configured loader
+   * @param {string} path - Path of the file
+   * @returns {Promise<any>} The parsed document
+   * @throws {Error} If the file cannot be loaded or parsed
+   * @private
+   */
+  async readConfigFile(path) {
+    const content = await this.loader.read(path);
+
+    // Loaders may hand back an already-parsed document (e.g. inline configs)
+    if (typeof content !== 'string') {
+      return content;
+    }
+
+    return ConfigFormats.parse(content, path);
+  }
+
+  /**
+   * Updates value origins to reflect the edits made by migrations
+   * @param {Object<string, string>} provenance - Origins before migration
+   * @param {Object} report - Migration report
+   * @returns {Object<string, string>} Origins after migration
+   * @private
+   */
+  applyMigrationProvenance(provenance, report) {
+    const result = { ...provenance };
+    const isUnder = (path, prefix) => path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`);
+
+    for (const change of report.changes) {
+      if (change.action === 'renamed') {
+        for (const path of Object.keys(result)) {
+          if (isUnder(path, change.path)) {
+            result[change.to + path.slice(change.path.length)] = result[path];
+            delete result[path];
+          }
+        }
+      } else {
+        for (const path of Object.keys(result)) {
+          if (isUnder(path, change.path)) {
+            delete result[path];
+          }
+        }
+        if (change.action !== 'removed') {
+          result[change.path] = `migration ${change.step}`;
+        }
       }
-      throw error;
     }
+
+    return result;
+  }
+
+  /**
+   * Gets the report from the most recent migration
+   * @returns {Object|null} Report with fromVersion, toVersion, migrated, steps and changes,
+   *   or null if no config has been loaded
+   */
+  getMigrationReport() {
+    return this.migrationReport;
+  }
+
+  /**
+   * Serializes the loaded configuration in its migrated form, ready to replace the old file.
+   * Includes, overlays and templates are emitted already resolved.
+   * @returns {string} Pretty-printed JSON text
+   */
+  emitMigratedConfig() {
+    if (!this.config) {
+      throw new Error('Configuration not loaded. Call loadConfig() first.');
+    }
+
+    return ConfigMigrator.serialize(this.config);
   }
 
   /**
    * Removes comments from JSON text
    * @param {string} text - JSON text with comments
-   * @returns {string} JSON text without comments
+   * @returns {string} JSON text without comments; string values are left untouched
    * @private
    */
   removeComments(text) {
-    // Remove single-line comments (// ...)
-    let cleaned = text.replace(/\/\/.*$/gm, '');
-    
-    // Remove multi-line comments (/* ... */)
-    cleaned = cleaned.replace(/\/\*[\s\S]*?\*\//g, '');
-    
-    return cleaned;
+    return JSONCParser.stripComments(text);
   }
 
   /**
@@ -87,92 +199,54 @@ export class MCPConfigParser {
   }
 
   /**
-   * Validates the loaded configuration structure
-   * @throws {Error} If the configuration is invalid
+   * Validates the loaded configuration against the config schema.
+   * Every violation is collected before throwing; unknown fields are logged as warnings.
+   * @returns {Object} Validation report with errors (empty) and warnings
+   * @throws {ConfigValidationError} If the configuration is invalid
    */
   validateConfig() {
     if (!this.config) {
       throw new Error('No configuration loaded');
     }
 
-    // Check for required top-level fields
-    if (!this.config.mcpVersion) {
-      throw new Error('Missing required field: mcpVersion');
-    }
+    const report = ConfigValidator.validate(this.config);
+    this.validationReport = report;
 
-    if (!this.config.projectName) {
-      throw new Error('Missing required field: projectName');
+    if (!report.valid) {
+      throw new ConfigValidationError(report);
     }
 
-    if (!this.config.dataSources) {
-      throw new Error('Missing required field: dataSources');
+    for (const warning of report.warnings) {
+      console.warn(`Config warning at ${warning.path}: ${warning.message}`);
     }
 
-    // Validate that we have at least one data source
-    const sourceNames = Object.keys(this.config.dataSources);
-    if (sourceNames.length === 0) {
-      throw new Error('Configuration must contain at least one data source');
-    }
-
-    // Validate each data source
-    for (const sourceName of sourceNames) {
-      this.validateDataSource(sourceName, this.config.dataSources[sourceName]);
-    }
+    return report;
   }
 
   /**
    * Validates a single data source configuration
    * @param {string} sourceName - Name of the data source
    * @param {Object} source - Data source configuration object
-   * @throws {Error} If the data source configuration is invalid
+   * @returns {Object} Validation report with errors (empty) and warnings
+   * @throws {ConfigValidationError} If the data source configuration is invalid
    * @private
    */
   validateDataSource(sourceName, source) {
-    const requiredFields = ['name', 'endpoint', 'method', 'transformation'];
-    
-    for (const field of requiredFields) {
-      if (!source[field]) {
-        throw new Error(`Data source '${sourceName}' missing required field: ${field}`);
-      }
-    }
-
-    // Validate method is a valid HTTP method
-    const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
-    if (!validMethods.includes(source.method.toUpperCase())) {
-      throw new Error(`Data source '${sourceName}' has invalid method: ${source.method}`);
-    }
+    const report = ConfigValidator.validateDataSource(sourceName, source);
 
-    // Validate transformation object
-    if (!source.transformation.timestampField) {
-      throw new Error(`Data source '${sourceName}' transformation missing required field: timestampField`);
-    }
-
-    if (!source.transformation.valueField) {
-      throw new Error(`Data source '${sourceName}' transformation missing required field: valueField`);
-    }
-
-    // Validate authentication if present
-    if (source.authentication) {
-      if (!source.authentication.type) {
-        throw new Error(`Data source '${sourceName}' authentication missing required field: type`);
-      }
+    if (!report.valid) {
+      throw new ConfigValidationError(report);
     }
 
-    // Validate rate limit if present
-    if (source.rateLimit) {
-      if (!source.rateLimit.requestsPerMinute) {
-        throw new Error(`Data source '${sourceName}' rateLimit missing required field: requestsPerMinute`);
-      }
-      
-      if (!source.rateLimit.strategy) {
-        throw new Error(`Data source '${sourceName}' rateLimit missing required field: strategy`);
-      }
+    return report;
+  }
 
-      const validStrategies = ['throttle', 'queue'];
-      if (!validStrategies.includes(source.rateLimit.strategy)) {
-        throw new Error(`Data source '${sourceName}' rateLimit has invalid strategy: ${source.rateLimit.strategy}`);
-      }
-    }
+  /**
+   * Gets the report from the most recent validateConfig() call
+   * @returns {Object|null} Validation report with errors and warnings, or null if not validated yet
+   */
+  getValidationReport() {
+    return this.validationReport;
   }
 
   /**
@@ -189,9 +263,39 @@ export class MCPConfigParser {
 
   /**
    * Gets the entire configuration object
-   * @returns {Object|null} The configuration object or null if not loaded
+   * @returns {Object|null} The fully resolved configuration object or null if not loaded
    */
   getConfig() {
     return this.config;
   }
+
+  /**
+   * Gets the origin of every value in the resolved configuration
+   * @returns {Object<string, string>} Map from JSON path (e.g. 'dataSources.weather.endpoint')
+   *   to the file, and template if any, that supplied the value
+   */
+  getProvenance() {
+    return this.provenance;
+  }
+
+  /**
+   * Gets where a value in the resolved configuration came from
+   * @param {string} path - JSON path such as 'dataSources.weather.defaultParams.latitude'
+   * @returns {string|string[]|null} Origin of a single value, the distinct origins of
+   *   everything under an object path, or null if the path is unknown
+   */
+  getValueSource(path) {
+    if (this.provenance[path]) {
+      return this.provenance[path];
+    }
+
+    const origins = new Set();
+    for (const [valuePath, origin] of Object.entries(this.provenance)) {
+      if (valuePath.startsWith(`${path}.`) || valuePath.startsWith(`${path}[`)) {
+        origins.add(origin);
+      }
+    }
+
+    return origins.size > 0 ? [...origins] : null;
+  }
 }
@@ -1,5 +1,6 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { MCPConfigParser } from '../src/MCPConfigParser.js';
+import { CURRENT_MCP_VERSION } from '../src/ConfigMigrator.js';
 
 describe('MCPConfigParser', () => {
   let parser;
@@ -37,6 +38,13 @@ describe('MCPConfigParser', () => {
       const cleaned = parser.removeComments(text);
       expect(cleaned).not.toContain('/* multi');
     });
+
+    it('should not treat // inside string values as a comment', () => {
+      const text = '{\n  "endpoint": "https://api.example.com/v1" // comment\n}';
+      const cleaned = parser.removeComments(text);
+      expect(cleaned).toContain('"https://api.example.com/v1"');
+      expect(cleaned).not.toContain('// comment');
+    });
   });
 
   describe('validateDataSource', () => {
@@ -164,4 +172,160 @@ describe('MCPConfigParser', () => {
       expect(() => parser.validateConfig()).toThrow('must contain at least one data source');
     });
   });
+
+  describe('loadConfig', () => {
+    const mockConfigFiles = (files) => {
+      vi.stubGlobal('fetch', vi.fn(async (path) => {
+        if (!(path in files)) {
+          return { ok: false, status: 404, statusText: 'Not Found', text: async () => '' };
+        }
+        const text = typeof files[path] === 'string' ? files[path] : JSON.stringify(files[path]);
+        return { ok: true, status: 200, statusText: 'OK', text: async () => text };
+      }));
+    };
+
+    const mockConfigText = (text) => mockConfigFiles({ '/.kiro': text });
+
+    const source = (overrides = {}) => ({
+      name: 'Weather',
+      endpoint: 'https://archive-api.open-meteo.com/v1/archive',
+      method: 'GET',
+      transformation: { timestampField: 'hourly.time', valueField: 'hourly.temperature_2m' },
+      ...overrides
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should load a commented config without corrupting endpoint URLs', async () => {
+      mockConfigText(`{
+        // Project settings
+        "mcpVersion": "1.0",
+        "projectName": "test",
+        "dataSources": {
+          "weather": {
+            "name": "Weather",
+            "endpoint": "https://archive-api.open-meteo.com/v1/archive", // archive API
+            "method": "GET",
+            "transformation": { "timestampField": "t", "valueField": "v", },
+          },
+        },
+      }`);
+
+      const config = await parser.loadConfig();
+      expect(config.dataSources.weather.endpoint).toBe('https://archive-api.open-meteo.com/v1/archive');
+    });
+
+    it('should report the line and column of a syntax error', async () => {
+      mockConfigText('{\n  "mcpVersion": "1.0"\n  "projectName": "test"\n}');
+      await expect(parser.loadConfig()).rejects.toThrow('Invalid JSON in config file /.kiro: Unexpected character \'"\', expected \',\' or \'}\' at line 3, column 3');
+    });
+
+    it('should merge $include files, letting the including object win', async () => {
+      mockConfigFiles({
+        '/config/main.json': {
+          $include: 'shared/base.json',
+          projectName: 'main',
+          dataSources: { weather: { $ref: 'shared/sources.json#/weather', description: 'Local' } }
+        },
+        '/config/shared/base.json': { mcpVersion: '1.0', projectName: 'base', options: { defaultTimeRange: 24 } },
+        '/config/shared/sources.json': { weather: source({ description: 'Shared' }) }
+      });
+
+      parser = new MCPConfigParser('/config/main.json');
+      const config = await parser.loadConfig();
+
+      expect(config.projectName).toBe('main');
+      expect(config.options.defaultTimeRange).toBe(24);
+      expect(config.dataSources.weather.description).toBe('Local');
+      expect(config.dataSources.weather.endpoint).toBe('https://archive-api.open-meteo.com/v1/archive');
+      expect(config.$include).toBeUndefined();
+      expect(parser.getValueSource('options.defaultTimeRange')).toBe('/config/shared/base.json');
+      expect(parser.getValueSource('dataSources.weather.endpoint')).toBe('/config/shared/sources.json');
+      expect(parser.getValueSource('dataSources.weather.description')).toBe('/config/main.json');
+    });
+
+    it('should merge the environment overlay on top of the main file', async () => {
+      mockConfigFiles({
+        '/config.json?v=1': { mcpVersion: CURRENT_MCP_VERSION, projectName: 'test', dataSources: { weather: source() } },
+        '/config.dev.json?v=1': { dataSources: { weather: { endpoint: 'http://localhost:8080/archive' } } }
+      });
+
+      parser = new MCPConfigParser('/config.json?v=1', { environment: 'dev' });
+      const config = await parser.loadConfig();
+
+      expect(config.dataSources.weather.endpoint).toBe('http://localhost:8080/archive');
+      expect(config.dataSources.weather.method).toBe('GET');
+      expect(parser.getValueSource('dataSources.weather.endpoint')).toBe('/config.dev.json?v=1');
+      expect(parser.getValueSource('dataSources.weather')).toEqual(['/config.json?v=1', '/config.dev.json?v=1']);
+    });
+
+    it('should let data sources extend templates and override defaultParams', async () => {
+      mockConfigFiles({
+        '/.kiro': {
+          mcpVersion: '1.0',
+          projectName: 'test',
+          templates: {
+            openMeteo: { ...source(), defaultParams: { hourly: 'temperature_2m', latitude: '40.7128' } }
+          },
+          dataSources: {
+            london: { extends: 'openMeteo', name: 'London', defaultParams: { latitude: '51.5072' } }
+          }
+        }
+      });
+
+      const config = await parser.loadConfig();
+
+      expect(config.templates).toBeUndefined();
+      expect(config.dataSources.london.extends).toBeUndefined();
+      expect(config.dataSources.london.name).toBe('London');
+      expect(config.dataSources.london.defaultParams).toEqual({ hourly: 'temperature_2m', latitude: '51.5072' });
+      expect(parser.getValueSource('dataSources.london.defaultParams.hourly')).toBe("/.kiro (template 'openMeteo')");
+      expect(parser.getValueSource('dataSources.london.defaultParams.latitude')).toBe('/.kiro');
+    });
+
+    it('should reject unknown templates and circular includes', async () => {
+      mockConfigFiles({
+        '/.kiro': { mcpVersion: '1.0', projectName: 'test', dataSources: { a: { extends: 'missing' } } }
+      });
+      await expect(parser.loadConfig()).rejects.toThrow("Unknown template 'missing' referenced at dataSources.a.extends");
+
+      mockConfigFiles({
+        '/a.json': { $include: 'b.json' },
+        '/b.json': { $include: 'a.json' }
+      });
+      await expect(new MCPConfigParser('/a.json').loadConfig()).rejects.toThrow('Circular config reference: /a.json -> /b.json -> /a.json');
+    });
+  
+    it('should migrate a 1.0 config to the current version and report the changes', async () => {
+      mockConfigFiles({
+        '/.kiro': {
+          mcpVersion: '1.0',
+          projectName: 'test',
+          dataSources: { weather: source({ method: 'get' }) }
+        }
+      });
+
+      const config = await parser.loadConfig();
+      const report = parser.getMigrationReport();
+
+      expect(config.mcpVersion).toBe(CURRENT_MCP_VERSION);
+      expect(config.dataSources.weather.method).toBe('GET');
+      expect(config.dataSources.weather.authentication).toEqual({ type: 'none' });
+      expect(report.migrated).toBe(true);
+      expect(report.fromVersion).toBe('1.0');
+      expect(report.changes.map(change => change.path)).toContain('dataSources.weather.authentication');
+      expect(parser.getValueSource('dataSources.weather.method')).toBe('migration 1.0 -> 1.1');
+      expect(JSON.parse(parser.emitMigratedConfig())).toEqual(config);
+    });
+
+    it('should reject configs newer than the parser supports', async () => {
+      mockConfigFiles({
+        '/.kiro': { mcpVersion: '99.0', projectName: 'test', dataSources: { weather: source() } }
+      });
+
+      await expect(parser.loadConfig()).rejects.toThrow('newer than the supported version');
+    });
+  });
 });
@@ -0,0 +1,203 @@
+/**
+ * Paginator - Follows paged API responses described by a source's `pagination` block
+ *
+ * Supported styles:
+ *   page    ?page=1, ?page=2, ...            (pageParam, startPage, pageSize/pageSizeParam)
+ *   offset  ?offset=0&limit=100, ...         (offsetParam, limitParam, limit)
+ *   cursor  ?cursor=<token from response>    (cursorParam, cursorPath)
+ *   link    the rel="next" URL of the HTTP Link header
+ *
+ * Records are read from `recordsPath` (or the response itself when it is an
+ * array). The combined result keeps the shape of the first response, with
+ * the records of every page concatenated in place, so the source's
+ * transformation paths work the same as for an unpaged API.
+ *
+ * @example
+ * // "pagination": { "style": "cursor", "cursorParam": "after", "cursorPath": "meta.next", "recordsPath": "data" }
+ * let url = Paginator.getFirstPageUrl(baseUrl, pagination);
+ * const pages = [];
+ * while (url) {
+ *   const page = await get(url); // { data, headers }
+ *   pages.push(page.data);
+ *   url = Paginator.getNextPageUrl(url, pagination, page, pages.length);
+ * }
+ * const combined = Paginator.combine(pages, pagination);
+ */
+
+export const DEFAULT_MAX_PAGES = 10;
+
+export class Paginator {
+  /**
+   * Adds the parameters for the first page to a URL
+   * @param {string} url - Request URL without paging parameters
+   * @param {Object} pagination - Source pagination settings
+   * @returns {string} URL of the first page
+   */
+  static getFirstPageUrl(url, pagination) {
+    switch (pagination.style) {
+      case 'page': {
+        const params = { [pagination.pageParam || 'page']: pagination.startPage ?? 1 };
+        if (pagination.pageSizeParam) {
+          params[pagination.pageSizeParam] = pagination.pageSize;
+        }
+        return Paginator.withParams(url, params);
+      }
+      case 'offset':
+        return Paginator.withParams(url, {
+          [pagination.offsetParam || 'offset']: 0,
+          [pagination.limitParam || 'limit']: pagination.limit
+        });
+      default:
+        return url;
+    }
+  }
+
+  /**
+   * Works out the URL of the page after the one just received
+   * @param {string} url - URL of the page just received
+   * @param {Object} pagination - Source pagination settings
+   * @param {{data: any, headers: Headers}} page - Response body and headers of that page
+   * @param {number} pageCount - Number of pages received so far
+   * @returns {string|null} URL of the next page, or null if this was the last one
+   */
+  static getNextPageUrl(url, pagination, page, pageCount) {
+    const records = Paginator.getRecords(page.data, pagination);
+
+    switch (pagination.style) {
+      case 'page': {
+        if (records.length === 0 || (pagination.pageSize && records.length < pagination.pageSize)) {
+          return null;
+        }
+        const pageParam = pagination.pageParam || 'page';
+        return Paginator.withParams(url, { [pageParam]: (pagination.startPage ?? 1) + pageCount });
+      }
+
+      case 'offset': {
+        if (records.length === 0 || (pagination.limit && records.length < pagination.limit)) {
+          return null;
+        }
+        const offsetParam = pagination.offsetParam || 'offset';
+        const offset = Number(new URL(url).searchParams.get(offsetParam)) || 0;
+        return Paginator.withParams(url, { [offsetParam]: offset + records.length });
+      }
+
+      case 'cursor': {
+        const cursor = getPath(page.data, pagination.cursorPath);
+        if (cursor === undefined || cursor === null || cursor === '') {
+          return null;
+        }
+        return Paginator.withParams(url, { [pagination.cursorParam || 'cursor']: cursor });
+      }
+
+      case 'link': {
+        const next = Paginator.parseLinkHeader(page.headers?.get('Link'))?.next;
+        return next ? new URL(next, url).toString() : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Gets the records of one page
+   * @param {any} data - Page response body
+   * @param {Object} pagination - Source pagination settings
+   * @returns {Array} Records on the page (empty if none were found)
+   */
+  static getRecords(data, pagination) {
+    const records = pagination.recordsPath ? getPath(data, pagination.recordsPath) : data;
+    return Array.isArray(records) ? records : [];
+  }
+
+  /**
+   * Combines pages into one response with every page's records
+   * @param {Array<any>} pages - Page response bodies, in order
+   * @param {Object} pagination - Source pagination settings
+   * @returns {any} The first page with its records replaced by those of all pages
+   */
+  static combine(pages, pagination) {
+    const records = pages.flatMap(page => Paginator.getRecords(page, pagination));
+
+    if (!pagination.recordsPath) {
+      return records;
+    }
+
+    const combined = structuredClone(pages[0]);
+    setPath(combined, pagination.recordsPath, records);
+    return combined;
+  }
+
+  /**
+   * Parses an RFC 8288 Link header
+   * @param {string|null} header - Header value, e.g. '<https://api.example.com/items?page=2>; rel="next"'
+   * @returns {Object<string, string>} URLs by relation type
+   */
+  static parseLinkHeader(header) {
+    const links = {};
+
+    for (const part of (header || '').split(/,(?=\s*<)/)) {
+      const match = part.match(/<([^>]*)>(.*)/);
+      if (!match) {
+        continue;
+      }
+
+      const rel = match[2].match(/;\s*rel="?([^";]+)"?/i)?.[1];
+      for (const relation of rel ? rel.trim().split(/\s+/) : []) {
+        links[relation.toLowerCase()] = match[1];
+      }
+    }
+
+    return links;
+  }
+
+  /**
+   * Sets query parameters on a URL, skipping missing values
+   * @private
+   */
+  static withParams(url, params) {
+    const result = new URL(url);
+
+    for (const [name, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        result.searchParams.set(name, value);
+      }
+    }
+
+    return result.toString();
+  }
+}
+
+/**
+ * Reads a dot-separated path such as "meta.next_cursor"
+ * @param {any} value - Object to read from
+ * @param {string} path - Dot-separated path
+ * @returns {any} Value at the path, or undefined
+ */
+function getPath(value, path) {
+  return path.split('.').reduce(
+    (current, key) => (current === null || current === undefined ? undefined : current[key]),
+    value
+  );
+}
+
+/**
+ * Writes a value at a dot-separated path, creating objects along the way
+ * @param {Object} target - Object to write to
+ * @param {string} path - Dot-separated path
+ * @param {any} value - Value to write
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let current = target;
+
+  for (const key of keys) {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+
+  current[last] = value;
+}
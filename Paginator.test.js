@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { Paginator } from '../src/Paginator.js';
+
+describe('Paginator', () => {
+  const base = 'https://api.example.com/items?symbol=BTC';
+  const page = (data, headers = {}) => ({ data, headers: new Headers(headers) });
+
+  it('should walk page numbers until a short page', () => {
+    const pagination = { style: 'page', pageParam: 'p', pageSizeParam: 'per_page', pageSize: 2 };
+
+    const first = Paginator.getFirstPageUrl(base, pagination);
+    expect(first).toBe('https://api.example.com/items?symbol=BTC&p=1&per_page=2');
+
+    const second = Paginator.getNextPageUrl(first, pagination, page([1, 2]), 1);
+    expect(second).toBe('https://api.example.com/items?symbol=BTC&p=2&per_page=2');
+    expect(Paginator.getNextPageUrl(second, pagination, page([3]), 2)).toBeNull();
+  });
+
+  it('should advance offsets by the number of records received', () => {
+    const pagination = { style: 'offset', limit: 2, recordsPath: 'results' };
+
+    const first = Paginator.getFirstPageUrl(base, pagination);
+    const second = Paginator.getNextPageUrl(first, pagination, page({ results: [1, 2] }), 1);
+
+    expect(new URL(second).searchParams.get('offset')).toBe('2');
+    expect(Paginator.getNextPageUrl(second, pagination, page({ results: [] }), 2)).toBeNull();
+  });
+
+  it('should follow cursors from the response body', () => {
+    const pagination = { style: 'cursor', cursorParam: 'after', cursorPath: 'meta.next', recordsPath: 'data' };
+
+    const next = Paginator.getNextPageUrl(base, pagination, page({ data: [1], meta: { next: 'abc' } }), 1);
+    expect(next).toBe('https://api.example.com/items?symbol=BTC&after=abc');
+    expect(Paginator.getNextPageUrl(next, pagination, page({ data: [2], meta: { next: null } }), 2)).toBeNull();
+  });
+
+  it('should follow rel="next" Link headers', () => {
+    const headers = { Link: '</items?page=3>; rel="next", <https://api.example.com/items?page=1>; rel="first prev"' };
+
+    expect(Paginator.getNextPageUrl(base, { style: 'link' }, page([1], headers), 1))
+      .toBe('https://api.example.com/items?page=3');
+    expect(Paginator.getNextPageUrl(base, { style: 'link' }, page([1]), 1)).toBeNull();
+    expect(Paginator.parseLinkHeader(headers.Link).prev).toBe('https://api.example.com/items?page=1');
+  });
+
+  it('should combine pages into the shape of the first response', () => {
+    const pages = [
+      { meta: { total: 3 }, data: { points: [1, 2] } },
+      { meta: { total: 3 }, data: { points: [3] } }
+    ];
+
+    expect(Paginator.combine(pages, { style: 'page', recordsPath: 'data.points' }))
+      .toEqual({ meta: { total: 3 }, data: { points: [1, 2, 3] } });
+    expect(Paginator.combine([[1], [2, 3]], { style: 'link' })).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * ParameterSweep - Fans one data source out over a list of parameter values
+ *
+ * A data source with a `sweep` is requested once per combination of values,
+ * and each response becomes its own labelled series. A sweep is either a list
+ * of parameter sets, each with an optional label:
+ *
+ *   "sweep": [
+ *     { "label": "New York", "latitude": "40.7128", "longitude": "-74.0060" },
+ *     { "label": "London", "latitude": "51.5074", "longitude": "-0.1278" }
+ *   ]
+ *
+ * or lists of values per parameter, combined with each other:
+ *
+ *   "sweep": { "to": ["USD", "GBP", "JPY"] }
+ *
+ * The values are request params, so they override `defaultParams` and can fill
+ * endpoint placeholders. `{param}` placeholders in the source's transformation
+ * (e.g. "valueField": "rates.{to}") are filled per combination as well.
+ *
+ * @example
+ * for (const { label, params } of ParameterSweep.expand(source.sweep)) {
+ *   const data = await fetcher.fetchFromSource('currency', { ...inputs, ...params });
+ *   const transformation = ParameterSweep.resolveTransformation(source.transformation, params);
+ *   console.log(label, data, transformation.valueField); // 'GBP', {...}, 'rates.GBP'
+ * }
+ */
+
+// Matches {name} placeholders in transformation fields
+const PLACEHOLDER = /\{([A-Za-z_][A-Za-z0-9_.-]*)\}/g;
+
+export class ParameterSweep {
+  /**
+   * Checks whether a data source declares a sweep
+   * @param {Object} sourceConfig - Data source configuration
+   * @returns {boolean} True if the source is requested once per sweep combination
+   */
+  static isSwept(sourceConfig) {
+    const { sweep } = sourceConfig || {};
+    return Array.isArray(sweep) ? sweep.length > 0 : Boolean(sweep) && Object.keys(sweep).length > 0;
+  }
+
+  /**
+   * Lists the combinations of a sweep, in order
+   * @param {Array<Object>|Object} sweep - The source's sweep: a list of parameter sets, or
+   *   lists of values per parameter
+   * @returns {Array<{label: string, params: Object}>} One entry per request. A parameter set's
+   *   label is its `label` field, or else its values joined with ' / '
+   */
+  static expand(sweep) {
+    const combinations = Array.isArray(sweep)
+      ? sweep
+      : Object.entries(sweep).reduce(
+        (partial, [name, values]) => partial.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))),
+        [{}]
+      );
+
+    return combinations.map(({ label, ...params }) => ({
+      label: label !== undefined ? String(label) : Object.values(params).join(' / '),
+      params
+    }));
+  }
+
+  /**
+   * Fills {param} placeholders in a transformation with a combination's values
+   * @param {Object} transformation - The source's transformation (not modified)
+   * @param {Object} params - The combination's parameters
+   * @returns {Object} A copy with the placeholders filled; unknown placeholders are kept
+   */
+  static resolveTransformation(transformation, params) {
+    const resolved = { ...transformation };
+
+    for (const [key, value] of Object.entries(resolved)) {
+      if (typeof value === 'string') {
+        resolved[key] = value.replace(PLACEHOLDER, (match, name) => (name in params ? String(params[name]) : match));
+      }
+    }
+
+    return resolved;
+  }
+}
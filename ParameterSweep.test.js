@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { ParameterSweep } from '../src/ParameterSweep.js';
+
+describe('ParameterSweep', () => {
+  it('should only treat non-empty sweeps as swept', () => {
+    expect(ParameterSweep.isSwept({ sweep: [{ to: 'USD' }] })).toBe(true);
+    expect(ParameterSweep.isSwept({ sweep: { to: ['USD'] } })).toBe(true);
+    expect(ParameterSweep.isSwept({ sweep: [] })).toBe(false);
+    expect(ParameterSweep.isSwept({ sweep: {} })).toBe(false);
+    expect(ParameterSweep.isSwept({})).toBe(false);
+    expect(ParameterSweep.isSwept(null)).toBe(false);
+  });
+
+  it('should label parameter sets by their label or their values', () => {
+    const combinations = ParameterSweep.expand([
+      { label: 'New York', latitude: '40.7128', longitude: '-74.0060' },
+      { latitude: '51.5074', longitude: '-0.1278' }
+    ]);
+
+    expect(combinations).toEqual([
+      { label: 'New York', params: { latitude: '40.7128', longitude: '-74.0060' } },
+      { label: '51.5074 / -0.1278', params: { latitude: '51.5074', longitude: '-0.1278' } }
+    ]);
+  });
+
+  it('should combine lists of values per parameter', () => {
+    const combinations = ParameterSweep.expand({ from: ['EUR', 'CHF'], to: ['USD', 'GBP'] });
+
+    expect(combinations.map(({ label }) => label)).toEqual(['EUR / USD', 'EUR / GBP', 'CHF / USD', 'CHF / GBP']);
+    expect(combinations[3].params).toEqual({ from: 'CHF', to: 'GBP' });
+  });
+
+  it('should fill transformation placeholders and keep unknown ones', () => {
+    const transformation = { valueField: 'rates.{to}', unit: '{to}', description: '{from} rate', normalize: true };
+
+    expect(ParameterSweep.resolveTransformation(transformation, { to: 'GBP' })).toEqual({
+      valueField: 'rates.GBP',
+      unit: 'GBP',
+      description: '{from} rate',
+      normalize: true
+    });
+    expect(transformation.valueField).toBe('rates.{to}');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * RateLimiter - Sliding-window request budget shared across page reloads and tabs
+ *
+ * Each data source's `rateLimit.requestsPerMinute` is enforced over the last
+ * 60 seconds of requests. The request times are kept in localStorage, so a
+ * reload does not reset the budget and every dashboard tab on the same origin
+ * draws from the same one. Reading and updating the window happens under a
+ * Web Lock (navigator.locks) named after the source, so two tabs can never
+ * take the last slot at the same time. Without localStorage the window is
+ * kept in memory; without Web Locks it is only safe within one tab.
+ *
+ * Strategies:
+ *   throttle  each request waits until a slot is free
+ *   queue     requests wait in a FIFO queue and are sent in arrival order, so
+ *             a request that has waited longest is never overtaken by a later
+ *             one from the same tab. The queue belongs to one tab: a request
+ *             in another tab may still take a freed slot first
+ *
+ * @example
+ * const limiter = new RateLimiter();
+ * await limiter.acquire('weather', { requestsPerMinute: 60, strategy: 'queue' }, signal);
+ * const response = await fetch(url); // The slot was taken by acquire()
+ */
+
+const WINDOW_MS = 60000;
+
+export class RateLimiter {
+  /**
+   * Creates a new RateLimiter instance
+   * @param {Object} options - Limiter options
+   * @param {Storage|null} [options.storage] - Where request times are persisted (defaults to
+   *   localStorage when available; pass null for memory only)
+   * @param {LockManager|null} [options.locks] - Cross-tab locks (defaults to navigator.locks)
+   * @param {string} [options.keyPrefix='dataweaver-rate-limit:'] - Prefix of storage keys and lock names
+   * @param {Function} [options.now] - Clock, for tests
+   * @param {Function} [options.sleep] - (ms) => Promise, for tests
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : getLocalStorage();
+    this.locks = options.locks !== undefined ? options.locks : globalThis.navigator?.locks || null;
+    this.keyPrefix = options.keyPrefix || 'dataweaver-rate-limit:';
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.memory = new Map(); // Request times per source when there is no storage
+    this.queues = {}; // Waiting 'queue' strategy requests per source, oldest first
+    this.draining = new Set(); // Sources whose queue is being worked through
+  }
+
+  /**
+   * Waits until a source may send a request, then takes a slot for it
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} [rateLimit] - The source's rateLimit settings; no waiting when omitted
+   * @param {number} rateLimit.requestsPerMinute - Requests allowed in any 60 second window
+   * @param {string} rateLimit.strategy - 'throttle' or 'queue'
+   * @param {AbortSignal} [signal] - Stops waiting (at the latest when the current wait ends),
+   *   rejecting with the abort reason; a queued request leaves the queue at once
+   * @returns {Promise<void>} Resolves once the slot is taken
+   */
+  async acquire(sourceName, rateLimit, signal) {
+    if (!rateLimit) {
+      return;
+    }
+
+    if (rateLimit.strategy === 'queue') {
+      return this.enqueue(sourceName, rateLimit, signal);
+    }
+
+    for (;;) {
+      signal?.throwIfAborted();
+
+      const waitTime = await this.tryAcquire(sourceName, rateLimit);
+      if (waitTime === 0) {
+        return;
+      }
+
+      await this.sleep(waitTime);
+    }
+  }
+
+  /**
+   * Gets the times of a source's requests in the current window
+   * @param {string} sourceName - Name of the data source
+   * @returns {Array<number>} Request times (ms timestamps), oldest first
+   */
+  getTimestamps(sourceName) {
+    const now = this.now();
+    return this.read(sourceName).filter(timestamp => now - timestamp < WINDOW_MS);
+  }
+
+  /**
+   * Forgets a source's request times, in every tab
+   * @param {string} sourceName - Name of the data source
+   */
+  reset(sourceName) {
+    this.write(sourceName, []);
+  }
+
+  /**
+   * Adds a request to the source's FIFO queue in this tab
+   * @private
+   */
+  enqueue(sourceName, rateLimit, signal) {
+    const queue = this.queues[sourceName] || (this.queues[sourceName] = []);
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { resolve, reject };
+      const onAbort = () => {
+        const index = queue.indexOf(entry);
+        if (index !== -1) {
+          queue.splice(index, 1);
+        }
+        reject(signal.reason);
+      };
+
+      entry.done = () => signal?.removeEventListener('abort', onAbort);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      queue.push(entry);
+
+      this.drainQueue(sourceName, rateLimit);
+    });
+  }
+
+  /**
+   * Hands out slots to this tab's queued requests in arrival order
+   * @private
+   */
+  async drainQueue(sourceName, rateLimit) {
+    if (this.draining.has(sourceName)) {
+      return;
+    }
+
+    this.draining.add(sourceName);
+    const queue = this.queues[sourceName];
+
+    try {
+      while (queue.length > 0) {
+        let waitTime;
+        try {
+          waitTime = await this.tryAcquire(sourceName, rateLimit);
+        } catch (error) {
+          const entry = queue.shift();
+          entry?.done();
+          entry?.reject(error);
+          continue;
+        }
+
+        if (waitTime === 0) {
+          // The head may have been cancelled while the slot was being taken
+          const entry = queue.shift();
+          entry?.done();
+          entry?.resolve();
+        } else {
+          await this.sleep(waitTime);
+        }
+      }
+    } finally {
+      this.draining.delete(sourceName);
+    }
+  }
+
+  /**
+   * Takes a slot if the window has one free
+   * @private
+   * @returns {Promise<number>} 0 if a slot was taken, otherwise milliseconds until one frees up
+   */
+  tryAcquire(sourceName, { requestsPerMinute }) {
+    return this.withLock(sourceName, () => {
+      const timestamps = this.getTimestamps(sourceName);
+      const now = this.now();
+
+      if (timestamps.length < requestsPerMinute) {
+        timestamps.push(now);
+        this.write(sourceName, timestamps);
+        return 0;
+      }
+
+      this.write(sourceName, timestamps);
+      return Math.max(1, WINDOW_MS - (now - timestamps[0]));
+    });
+  }
+
+  /**
+   * Runs a callback while holding the source's cross-tab lock, if locks are available
+   * @private
+   */
+  async withLock(sourceName, callback) {
+    if (!this.locks) {
+      return callback();
+    }
+
+    return this.locks.request(this.keyPrefix + sourceName, callback);
+  }
+
+  /**
+   * Reads a source's stored request times
+   * @private
+   */
+  read(sourceName) {
+    if (this.storage) {
+      let stored;
+      try {
+        stored = this.storage.getItem(this.keyPrefix + sourceName);
+      } catch (error) {
+        this.useMemory(error);
+        return this.read(sourceName);
+      }
+
+      try {
+        const timestamps = JSON.parse(stored || '[]');
+        return Array.isArray(timestamps) ? timestamps.filter(Number.isFinite) : [];
+      } catch {
+        return []; // Unreadable entry, e.g. written by another app; start a fresh window
+      }
+    }
+
+    return [...(this.memory.get(sourceName) || [])];
+  }
+
+  /**
+   * Stores a source's request times
+   * @private
+   */
+  write(sourceName, timestamps) {
+    if (this.storage) {
+      try {
+        this.storage.setItem(this.keyPrefix + sourceName, JSON.stringify(timestamps));
+        return;
+      } catch (error) {
+        this.useMemory(error);
+      }
+    }
+
+    this.memory.set(sourceName, timestamps);
+  }
+
+  /**
+   * Falls back to memory when storage fails (private browsing, quota)
+   * @private
+   */
+  useMemory(error) {
+    console.warn(`Rate limit storage unavailable, limiting this tab only: ${error.message}`);
+    this.storage = null;
+  }
+}
+
+/**
+ * Gets localStorage if this environment has a usable one
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null; // Accessing localStorage throws when storage is blocked
+  }
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RateLimiter } from '../src/RateLimiter.js';
+
+/**
+ * localStorage stand-in shared by limiters, as two tabs share one origin's storage
+ */
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+describe('RateLimiter', () => {
+  let now;
+  let storage;
+
+  // Sleeping moves the shared clock forward instead of waiting
+  const createLimiter = (options = {}) => new RateLimiter({
+    storage,
+    locks: null,
+    now: () => now,
+    sleep: vi.fn(async (ms) => { now += ms; }),
+    ...options
+  });
+
+  beforeEach(() => {
+    now = 100000;
+    storage = createStorage();
+  });
+
+  it('should throttle once the window is full until the oldest request expires', async () => {
+    const limiter = createLimiter();
+    const rateLimit = { requestsPerMinute: 2, strategy: 'throttle' };
+
+    await limiter.acquire('weather', rateLimit);
+    now += 10000;
+    await limiter.acquire('weather', rateLimit);
+    await limiter.acquire('weather', rateLimit);
+
+    expect(limiter.sleep).toHaveBeenCalledWith(50000);
+    expect(limiter.getTimestamps('weather')).toEqual([110000, 160000]);
+  });
+
+  it('should share the budget with other tabs and survive a reload', async () => {
+    const rateLimit = { requestsPerMinute: 1, strategy: 'throttle' };
+    await createLimiter().acquire('weather', rateLimit);
+
+    const otherTab = createLimiter();
+    await otherTab.acquire('weather', rateLimit);
+
+    expect(otherTab.sleep).toHaveBeenCalledWith(60000);
+  });
+
+  it('should serve queued requests in arrival order and drop cancelled ones', async () => {
+    const limiter = createLimiter();
+    const rateLimit = { requestsPerMinute: 1, strategy: 'queue' };
+    const order = [];
+    const controller = new AbortController();
+
+    const first = limiter.acquire('weather', rateLimit).then(() => order.push('first'));
+    const cancelled = limiter.acquire('weather', rateLimit, controller.signal);
+    const second = limiter.acquire('weather', rateLimit).then(() => order.push('second'));
+    const third = limiter.acquire('weather', rateLimit).then(() => order.push('third'));
+
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    await Promise.all([first, second, third]);
+
+    expect(order).toEqual(['first', 'second', 'third']);
+    expect(limiter.sleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('should update the window under a lock named after the source', async () => {
+    const locks = { request: vi.fn(async (name, callback) => callback()) };
+    const limiter = createLimiter({ locks });
+
+    await limiter.acquire('weather', { requestsPerMinute: 5, strategy: 'throttle' });
+
+    expect(locks.request).toHaveBeenCalledWith('dataweaver-rate-limit:weather', expect.any(Function));
+  });
+
+  it('should fall back to memory when storage is unavailable', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const limiter = createLimiter({
+      storage: {
+        getItem: () => { throw new Error('SecurityError'); },
+        setItem: () => { throw new Error('SecurityError'); }
+      }
+    });
+
+    await limiter.acquire('weather', { requestsPerMinute: 5, strategy: 'throttle' });
+
+    expect(limiter.getTimestamps('weather')).toEqual([now]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('limiting this tab only'));
+    warn.mockRestore();
+  });
+});
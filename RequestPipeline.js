@@ -0,0 +1,118 @@
+/**
+ * RequestPipeline - Runs a request through an ordered chain of middlewares
+ *
+ * A middleware is an object with any of three interceptors:
+ *
+ *   request(request, context)          called on the way out with { url, options };
+ *                                      returns the request to send (or nothing to keep
+ *                                      it), or { response } to answer it without sending
+ *   response(response, request, context)
+ *                                      called on the way back with { data, headers };
+ *                                      returns the response to hand on (or nothing to keep it)
+ *   error(error, request, context)     called when sending failed further down the chain;
+ *                                      returns a response to recover, or nothing to pass
+ *                                      the error on
+ *
+ * Request interceptors run in chain order and response and error interceptors in
+ * reverse, so every middleware wraps the ones after it: the first middleware sees
+ * the request first and the final response last. A middleware that answers a
+ * request itself skips everything after it, and only the middlewares before it see
+ * the response. `request` in the response and error interceptors is the request as
+ * the middleware received it.
+ *
+ * `context` carries what the caller passed to run() (e.g. the data source) plus
+ * `send(request)`, which sends a request through the rest of the chain, e.g. to try
+ * again with renewed credentials.
+ *
+ * @example
+ * const pipeline = new RequestPipeline([
+ *   { name: 'client-id', request: request => ({ ...request, url: `${request.url}&client=dashboard` }) },
+ *   { name: 'envelope', response: response => ({ ...response, data: response.data.results }) }
+ * ], (request, context) => send(request));
+ * const response = await pipeline.run({ url, options }, { sourceName: 'weather' });
+ */
+
+const INTERCEPTORS = ['request', 'response', 'error'];
+
+export class RequestPipeline {
+  /**
+   * Creates a new RequestPipeline instance
+   * @param {Array<Object>} middlewares - Middlewares in chain order
+   * @param {Function} transport - async (request, context) => response; sends the request
+   *   once it has passed every middleware
+   */
+  constructor(middlewares, transport) {
+    this.middlewares = middlewares;
+    this.transport = transport;
+  }
+
+  /**
+   * Checks that a value can be used as a middleware
+   * @param {Object} middleware - Middleware to check
+   * @throws {Error} If it is not an object with at least one interceptor function
+   */
+  static assertMiddleware(middleware) {
+    const name = middleware?.name ? ` '${middleware.name}'` : '';
+
+    if (!middleware || typeof middleware !== 'object') {
+      throw new Error('A middleware must be an object with request, response or error interceptors');
+    }
+
+    for (const interceptor of INTERCEPTORS) {
+      if (middleware[interceptor] !== undefined && typeof middleware[interceptor] !== 'function') {
+        throw new Error(`Middleware${name}: ${interceptor} must be a function`);
+      }
+    }
+
+    if (!INTERCEPTORS.some(interceptor => middleware[interceptor])) {
+      throw new Error(`Middleware${name} has no request, response or error interceptor`);
+    }
+  }
+
+  /**
+   * Sends a request through the chain
+   * @param {{url: string, options: Object}} request - Request URL and fetch options
+   * @param {Object} [context] - Passed to every interceptor
+   * @returns {Promise<{data: any, headers: Headers}>} The response as the first middleware returns it
+   */
+  run(request, context = {}) {
+    return this.dispatch(0, request, context);
+  }
+
+  /**
+   * Runs one middleware around the rest of the chain
+   * @private
+   */
+  async dispatch(index, request, context) {
+    const middleware = this.middlewares[index];
+    if (!middleware) {
+      return this.transport(request, context);
+    }
+
+    const scoped = { ...context, send: next => this.dispatch(index + 1, next, context) };
+
+    const outgoing = middleware.request
+      ? (await middleware.request(request, scoped)) ?? request
+      : request;
+
+    // Answered by this middleware: nothing after it runs
+    if (outgoing.response !== undefined) {
+      return outgoing.response;
+    }
+
+    let response;
+    try {
+      response = await this.dispatch(index + 1, outgoing, context);
+    } catch (error) {
+      const recovered = middleware.error ? await middleware.error(error, request, scoped) : undefined;
+      if (recovered === undefined) {
+        throw error;
+      }
+      response = recovered;
+    }
+
+    return middleware.response
+      ? (await middleware.response(response, request, scoped)) ?? response
+      : response;
+  }
+}
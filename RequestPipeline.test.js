@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RequestPipeline } from '../src/RequestPipeline.js';
+
+const request = { url: 'https://api.example.com/data', options: { method: 'GET', headers: {} } };
+
+describe('RequestPipeline', () => {
+  it('should run request interceptors in order and response interceptors in reverse', async () => {
+    const calls = [];
+    const trace = (name) => ({
+      name,
+      request: (outgoing) => {
+        calls.push(`${name}:request`);
+        return { ...outgoing, url: `${outgoing.url}${outgoing.url.includes('?') ? '&' : '?'}${name}=1` };
+      },
+      response: (response) => {
+        calls.push(`${name}:response`);
+        return { ...response, data: [...response.data, name] };
+      }
+    });
+    const transport = vi.fn(async (outgoing) => ({ data: [outgoing.url], headers: new Headers() }));
+
+    const response = await new RequestPipeline([trace('a'), trace('b')], transport).run(request, { sourceName: 'api' });
+
+    expect(calls).toEqual(['a:request', 'b:request', 'b:response', 'a:response']);
+    expect(response.data).toEqual(['https://api.example.com/data?a=1&b=1', 'b', 'a']);
+    expect(transport).toHaveBeenCalledWith(expect.anything(), { sourceName: 'api' });
+  });
+
+  it('should let a middleware answer a request so only the middlewares before it see the response', async () => {
+    const outer = vi.fn(response => response);
+    const inner = vi.fn(outgoing => outgoing);
+    const transport = vi.fn();
+
+    const response = await new RequestPipeline([
+      { response: outer },
+      { request: outgoing => ({ ...outgoing, response: { data: 'canned', headers: new Headers() } }), response: vi.fn() },
+      { request: inner }
+    ], transport).run(request);
+
+    expect(response.data).toBe('canned');
+    expect(outer).toHaveBeenCalledTimes(1);
+    expect(inner).not.toHaveBeenCalled();
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  it('should pass errors outwards until an error interceptor recovers', async () => {
+    const failure = new Error('offline');
+    const seen = vi.fn(() => undefined);
+
+    const response = await new RequestPipeline([
+      { error: () => ({ data: 'fallback', headers: new Headers() }) },
+      { error: seen }
+    ], async () => { throw failure; }).run(request);
+
+    expect(response.data).toBe('fallback');
+    expect(seen).toHaveBeenCalledWith(failure, request, expect.objectContaining({ send: expect.any(Function) }));
+  });
+
+  it('should send a request through the rest of the chain again from an error interceptor', async () => {
+    const transport = vi.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { status: 401 }))
+      .mockResolvedValueOnce({ data: 'ok', headers: new Headers() });
+    const renew = {
+      error: (error, failed, { send }) => error.status === 401
+        ? send({ ...failed, options: { ...failed.options, headers: { Authorization: 'Bearer new' } } })
+        : undefined
+    };
+
+    const response = await new RequestPipeline([renew], transport).run(request);
+
+    expect(response.data).toBe('ok');
+    expect(transport.mock.calls[1][0].options.headers.Authorization).toBe('Bearer new');
+  });
+
+  it('should reject middlewares without interceptors', () => {
+    expect(() => RequestPipeline.assertMiddleware({ name: 'noop' })).toThrow("Middleware 'noop' has no request, response or error interceptor");
+    expect(() => RequestPipeline.assertMiddleware({ request: 'yes' })).toThrow('request must be a function');
+    expect(() => RequestPipeline.assertMiddleware(null)).toThrow('must be an object');
+  });
+});
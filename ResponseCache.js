@@ -0,0 +1,245 @@
+/**
+ * ResponseCache - Time-limited cache for API responses
+ *
+ * Responses are kept in memory and, optionally, in a persistent store such
+ * as IndexedDB so they survive a page reload. Entries are keyed by data
+ * source and request URL (with secrets redacted, so API keys are never
+ * written to disk) and expire after their TTL.
+ *
+ * @example
+ * const cache = new ResponseCache({ store: new IndexedDBStore() });
+ * const key = ResponseCache.createKey('weather', url);
+ *
+ * const cached = await cache.get(key);
+ * if (cached) {
+ *   return cached.data;
+ * }
+ *
+ * const data = await fetchJson(url);
+ * await cache.set(key, data, 300); // Keep for 5 minutes
+ */
+
+import { secretRedactor } from './SecretRedactor.js';
+
+export class ResponseCache {
+  /**
+   * Creates a new ResponseCache instance
+   * @param {Object} options - Cache options
+   * @param {Object} [options.store] - Persistent store with async get/set/delete/clear
+   *   (e.g. IndexedDBStore); memory only when omitted
+   * @param {number} [options.maxEntries=100] - Entries kept in memory before the oldest are evicted
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.maxEntries = options.maxEntries || 100;
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+  }
+
+  /**
+   * Builds the cache key for a request
+   * @param {string} sourceName - Data source name
+   * @param {string} url - Resolved request URL
+   * @param {string} [body] - Serialized request body, for POST and GraphQL sources
+   * @returns {string} Cache key
+   */
+  static createKey(sourceName, url, body) {
+    const key = `${sourceName} ${secretRedactor.redact(url)}`;
+    return body === undefined ? key : `${key} ${secretRedactor.redact(body)}`;
+  }
+
+  /**
+   * Looks up a cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<{data: any, storedAt: number, expiresAt: number}|null>} A copy of the entry,
+   *   or null if there is none or it has expired
+   */
+  async get(key) {
+    let entry = this.entries.get(key);
+
+    if (!entry && this.store) {
+      entry = await this.fromStore(() => this.store.get(key));
+      if (entry) {
+        this.remember(key, entry);
+      }
+    }
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= this.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    return structuredClone(entry);
+  }
+
+  /**
+   * Stores a response
+   * @param {string} key - Cache key
+   * @param {any} data - Response data (copied, so later changes do not affect the cache)
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<void>}
+   */
+  async set(key, data, ttl) {
+    const storedAt = this.now();
+    const entry = { data: structuredClone(data), storedAt, expiresAt: storedAt + ttl * 1000 };
+
+    this.remember(key, entry);
+
+    if (this.store) {
+      await this.fromStore(() => this.store.set(key, entry));
+    }
+  }
+
+  /**
+   * Removes a cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+
+    if (this.store) {
+      await this.fromStore(() => this.store.delete(key));
+    }
+  }
+
+  /**
+   * Removes every cached response
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+
+    if (this.store) {
+      await this.fromStore(() => this.store.clear());
+    }
+  }
+
+  /**
+   * Adds an entry to the in-memory cache, evicting the oldest entries when full
+   * @private
+   */
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Runs a persistent store operation. If the store fails (private browsing,
+   * quota, no IndexedDB) the cache carries on in memory only.
+   * @private
+   */
+  async fromStore(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      console.warn(`Response cache storage unavailable, using memory only: ${error.message}`);
+      this.store = null;
+      return null;
+    }
+  }
+}
+
+/**
+ * Persists cache entries in IndexedDB
+ */
+export class IndexedDBStore {
+  /**
+   * Creates a new IndexedDBStore instance
+   * @param {Object} options - Store options
+   * @param {string} [options.dbName='dataweaver-cache'] - Database name
+   * @param {string} [options.storeName='responses'] - Object store name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (defaults to the global one)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'dataweaver-cache';
+    this.storeName = options.storeName || 'responses';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Reads an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Stored entry
+   */
+  get(key) {
+    return this.request('readonly', store => store.get(key));
+  }
+
+  /**
+   * Writes an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   * @returns {Promise<void>}
+   */
+  set(key, entry) {
+    return this.request('readwrite', store => store.put(entry, key));
+  }
+
+  /**
+   * Deletes an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  delete(key) {
+    return this.request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Deletes every entry
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.request('readwrite', store => store.clear());
+  }
+
+  /**
+   * Opens the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   * @private
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const openRequest = this.indexedDB.open(this.dbName, 1);
+        openRequest.onupgradeneeded = () => openRequest.result.createObjectStore(this.storeName);
+        openRequest.onsuccess = () => resolve(openRequest.result);
+        openRequest.onerror = () => reject(openRequest.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs a single request in its own transaction
+   * @param {string} mode - Transaction mode
+   * @param {Function} operation - (objectStore) => IDBRequest
+   * @returns {Promise<any>} The request's result
+   * @private
+   */
+  async request(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
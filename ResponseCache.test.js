@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ResponseCache } from '../src/ResponseCache.js';
+
+/**
+ * Map-backed stand-in for IndexedDBStore
+ */
+const createStore = () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: vi.fn(async (key) => structuredClone(entries.get(key))),
+    set: vi.fn(async (key, entry) => { entries.set(key, structuredClone(entry)); }),
+    delete: vi.fn(async (key) => { entries.delete(key); }),
+    clear: vi.fn(async () => { entries.clear(); })
+  };
+};
+
+describe('ResponseCache', () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+  });
+
+  it('should return cached data until the TTL expires', async () => {
+    const cache = new ResponseCache({ now: clock });
+    await cache.set('weather a', { temp: 20 }, 60);
+
+    now += 59_000;
+    expect((await cache.get('weather a')).data).toEqual({ temp: 20 });
+
+    now += 1_000;
+    expect(await cache.get('weather a')).toBeNull();
+  });
+
+  it('should not let callers modify cached data', async () => {
+    const cache = new ResponseCache({ now: clock });
+    const data = { values: [1] };
+    await cache.set('key', data, 60);
+
+    data.values.push(2);
+    (await cache.get('key')).data.values.push(3);
+
+    expect((await cache.get('key')).data.values).toEqual([1]);
+  });
+
+  it('should load entries from the persistent store after a reload', async () => {
+    const store = createStore();
+    await new ResponseCache({ store, now: clock }).set('key', { ok: true }, 60);
+
+    const reloaded = new ResponseCache({ store, now: clock });
+    expect((await reloaded.get('key')).data).toEqual({ ok: true });
+    expect(store.get).toHaveBeenCalledTimes(1);
+
+    // Served from memory the second time
+    await reloaded.get('key');
+    expect(store.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to memory when the store fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = createStore();
+    store.set.mockRejectedValue(new Error('QuotaExceededError'));
+    const cache = new ResponseCache({ store, now: clock });
+
+    await cache.set('key', 1, 60);
+
+    expect((await cache.get('key')).data).toBe(1);
+    expect(cache.store).toBeNull();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should evict the oldest entries beyond maxEntries', async () => {
+    const cache = new ResponseCache({ maxEntries: 2, now: clock });
+    await cache.set('a', 1, 60);
+    await cache.set('b', 2, 60);
+    await cache.set('c', 3, 60);
+
+    expect(await cache.get('a')).toBeNull();
+    expect((await cache.get('c')).data).toBe(3);
+  });
+
+  it('should redact secrets from cache keys', () => {
+    const key = ResponseCache.createKey('weather', 'https://api.example.com/data?appid=abc123&q=1');
+    expect(key).toBe('weather https://api.example.com/data?appid=[REDACTED]&q=1');
+  });
+});
@@ -0,0 +1,519 @@
+/**
+ * ResponseParsers - Turns CSV, XML and NDJSON response bodies into records
+ *
+ * A source's `responseFormat` block selects the parser:
+ *   { "type": "json" }                                  the default
+ *   { "type": "csv", "delimiter": ";", "header": true }  one object per row, keyed by the header row
+ *   { "type": "xml", "recordPath": "data/observation" }  one object per matching element
+ *   { "type": "ndjson" }                                 one JSON value per line
+ *   { "type": "auto" }                                   chosen from the Content-Type header
+ *
+ * Without a `responseFormat` the Content-Type is sniffed as well, and anything
+ * unrecognized is read as JSON. Records are plain objects, so
+ * `transformation.timestampField` / `valueField` address them like JSON:
+ * a CSV column by its header ("date"), an XML child element by name
+ * ("obs.value") and an XML attribute with an @ ("@time"). CSV and XML values
+ * are strings; the DataNormalizer converts numbers and dates.
+ *
+ * @example
+ * const records = ResponseParsers.parse('date,rate\n2024-01-02,1.09\n', { type: 'csv' });
+ * console.log(records); // [{ date: '2024-01-02', rate: '1.09' }]
+ */
+
+export const RESPONSE_FORMATS = ['auto', 'json', 'csv', 'xml', 'ndjson'];
+
+const NDJSON_TYPES = [
+  'application/x-ndjson',
+  'application/ndjson',
+  'application/jsonl',
+  'application/jsonlines',
+  'application/x-jsonlines'
+];
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Error thrown when a response body does not match its format
+ */
+export class ResponseParseError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} [line] - 1-based line of the body where the problem was found
+   */
+  constructor(message, line = null) {
+    super(message);
+    this.name = 'ResponseParseError';
+    this.line = line;
+  }
+}
+
+export class ResponseParsers {
+  /**
+   * Determines how to parse a response
+   * @param {Object} [responseFormat] - The source's responseFormat block
+   * @param {string|null} [contentType] - The response's Content-Type header
+   * @returns {Object} Parser settings with a concrete `type` (json, csv, xml or ndjson)
+   */
+  static resolveFormat(responseFormat = {}, contentType = null) {
+    if (responseFormat.type && responseFormat.type !== 'auto') {
+      return responseFormat;
+    }
+
+    const sniffed = ResponseParsers.sniffFormat(contentType);
+    return { ...sniffed, ...responseFormat, type: sniffed.type };
+  }
+
+  /**
+   * Guesses a response format from a Content-Type header
+   * @param {string|null} contentType - Header value, e.g. "text/csv; charset=utf-8"
+   * @returns {Object} Parser settings; JSON when the type is missing or unknown
+   */
+  static sniffFormat(contentType) {
+    const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+    if (mediaType === 'text/csv' || mediaType === 'application/csv') {
+      return { type: 'csv' };
+    }
+    if (mediaType === 'text/tab-separated-values') {
+      return { type: 'csv', delimiter: '\t' };
+    }
+    if (NDJSON_TYPES.includes(mediaType)) {
+      return { type: 'ndjson' };
+    }
+    if (mediaType === 'application/xml' || mediaType === 'text/xml' || mediaType.endsWith('+xml')) {
+      return { type: 'xml' };
+    }
+
+    return { type: 'json' };
+  }
+
+  /**
+   * Parses a response body
+   * @param {string} text - Response body
+   * @param {Object} format - Parser settings with a concrete type (see resolveFormat)
+   * @returns {any} Parsed records (or, for JSON, the parsed value)
+   * @throws {ResponseParseError} If the body does not match the format
+   */
+  static parse(text, format) {
+    switch (format.type) {
+      case 'csv':
+        return ResponseParsers.parseCSV(text, format);
+      case 'xml':
+        return ResponseParsers.parseXML(text, format);
+      case 'ndjson':
+        return ResponseParsers.parseNDJSON(text);
+      default:
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          throw new ResponseParseError(`Invalid JSON: ${error.message}`);
+        }
+    }
+  }
+
+  /**
+   * Parses CSV (RFC 4180): quoted fields may contain delimiters, line breaks
+   * and doubled quotes; empty lines are skipped
+   * @param {string} text - CSV text
+   * @param {Object} [options] - CSV settings
+   * @param {string} [options.delimiter=','] - Field separator
+   * @param {string} [options.quote='"'] - Quote character
+   * @param {boolean} [options.header=true] - Whether the first row names the columns
+   * @returns {Array<Object|Array<string>>} One object per row keyed by column name,
+   *   or arrays of fields when there is no header row
+   * @throws {ResponseParseError} If a quoted field is not closed
+   */
+  static parseCSV(text, { delimiter = ',', quote = '"', header = true } = {}) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let quoteLine = 1;
+    let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endRow = () => {
+      row.push(field);
+      // A line with nothing on it is not a record
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+    };
+
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (quoted) {
+        if (char === quote && text[pos + 1] === quote) {
+          field += quote;
+          pos += 2;
+          continue;
+        }
+        if (char === quote) {
+          quoted = false;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          field += char;
+        }
+        pos++;
+        continue;
+      }
+
+      if (char === quote && field === '') {
+        quoted = true;
+        quoteLine = line;
+      } else if (text.startsWith(delimiter, pos)) {
+        row.push(field);
+        field = '';
+        pos += delimiter.length;
+        continue;
+      } else if (char === '\n' || char === '\r') {
+        endRow();
+        line++;
+        if (char === '\r' && text[pos + 1] === '\n') {
+          pos++;
+        }
+      } else {
+        field += char;
+      }
+      pos++;
+    }
+
+    if (quoted) {
+      throw new ResponseParseError(`Unterminated quoted CSV field starting on line ${quoteLine}`, quoteLine);
+    }
+    if (field !== '' || row.length > 0) {
+      endRow();
+    }
+
+    if (!header) {
+      return rows;
+    }
+
+    const [columns = [], ...records] = rows;
+    const names = columns.map(name => name.trim());
+
+    return records.map(fields => {
+      const record = {};
+      names.forEach((name, index) => {
+        if (index < fields.length) {
+          record[name] = fields[index];
+        }
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Parses XML into records. Each record element becomes an object with its
+   * attributes under "@name" keys and its child elements under their names
+   * (an array when a name repeats). Elements with only text become that text;
+   * the text of elements that also have attributes or children is under "#text".
+   * @param {string} text - XML text
+   * @param {Object} [options] - XML settings
+   * @param {string} [options.recordPath] - Slash-separated element names leading from the
+   *   root element to the records, e.g. "data/observation" (default: the root's children)
+   * @returns {Array<Object|string>} The records
+   * @throws {ResponseParseError} If the XML is not well-formed
+   */
+  static parseXML(text, { recordPath } = {}) {
+    const root = new XMLReader(text).readDocument();
+    let elements = [root];
+
+    const steps = recordPath ? recordPath.split('/').filter(Boolean) : ['*'];
+    for (const step of steps) {
+      elements = elements.flatMap(element => element.children.filter(
+        child => typeof child !== 'string' && (step === '*' || child.name === step)
+      ));
+    }
+
+    return elements.map(toRecord);
+  }
+
+  /**
+   * Parses newline-delimited JSON
+   * @param {string} text - One JSON value per line; blank lines are skipped
+   * @returns {Array<any>} The values
+   * @throws {ResponseParseError} If a line is not valid JSON
+   */
+  static parseNDJSON(text) {
+    const records = [];
+
+    text.split(/\r?\n/).forEach((lineText, index) => {
+      if (lineText.trim() === '') {
+        return;
+      }
+
+      try {
+        records.push(JSON.parse(lineText));
+      } catch (error) {
+        throw new ResponseParseError(`Invalid JSON on NDJSON line ${index + 1}: ${error.message}`, index + 1);
+      }
+    });
+
+    return records;
+  }
+}
+
+/**
+ * Minimal XML reader producing a tree of { name, attributes, children } elements,
+ * where children are elements and text. Comments, processing instructions and
+ * the doctype are skipped; namespaces are not resolved (prefixed names are kept).
+ * @private
+ */
+class XMLReader {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  /**
+   * Reads the document's root element
+   */
+  readDocument() {
+    this.skipMisc();
+    if (this.text[this.pos] !== '<') {
+      this.fail('Expected a root element');
+    }
+
+    const root = this.readElement();
+    this.skipMisc();
+    if (this.pos < this.text.length) {
+      this.fail('Unexpected content after the root element');
+    }
+    return root;
+  }
+
+  /**
+   * Reads an element starting at "<name"
+   */
+  readElement() {
+    const start = this.pos;
+    this.pos++;
+    const name = this.readName();
+    const attributes = {};
+
+    for (;;) {
+      this.skipWhitespace();
+
+      if (this.text.startsWith('/>', this.pos)) {
+        this.pos += 2;
+        return { name, attributes, children: [] };
+      }
+      if (this.text[this.pos] === '>') {
+        this.pos++;
+        break;
+      }
+
+      const attribute = this.readName();
+      this.skipWhitespace();
+      this.expect('=');
+      this.skipWhitespace();
+
+      const quote = this.text[this.pos];
+      if (quote !== '"' && quote !== "'") {
+        this.fail(`Expected a quoted value for attribute '${attribute}'`);
+      }
+      const end = this.text.indexOf(quote, this.pos + 1);
+      if (end === -1) {
+        this.fail(`Unterminated value of attribute '${attribute}'`);
+      }
+      attributes[attribute] = this.decode(this.text.slice(this.pos + 1, end));
+      this.pos = end + 1;
+    }
+
+    const children = [];
+    let text = '';
+
+    for (;;) {
+      if (this.pos >= this.text.length) {
+        this.fail(`Element <${name}> is not closed`, start);
+      }
+
+      if (this.text.startsWith('</', this.pos)) {
+        this.pos += 2;
+        const closing = this.readName();
+        if (closing !== name) {
+          this.fail(`Expected </${name}> but found </${closing}>`);
+        }
+        this.skipWhitespace();
+        this.expect('>');
+        break;
+      }
+
+      if (this.text.startsWith('<![CDATA[', this.pos)) {
+        const end = this.indexOrFail(']]>', 'Unterminated CDATA section');
+        text += this.text.slice(this.pos + 9, end);
+        this.pos = end + 3;
+      } else if (this.text.startsWith('<!--', this.pos) || this.text.startsWith('<?', this.pos)) {
+        this.skipMarkup();
+      } else if (this.text[this.pos] === '<') {
+        pushText(children, text);
+        text = '';
+        children.push(this.readElement());
+      } else {
+        const end = this.text.indexOf('<', this.pos);
+        const stop = end === -1 ? this.text.length : end;
+        text += this.decode(this.text.slice(this.pos, stop));
+        this.pos = stop;
+      }
+    }
+
+    pushText(children, text);
+    return { name, attributes, children };
+  }
+
+  /**
+   * Reads an element or attribute name
+   */
+  readName() {
+    const match = /[A-Za-z_:][\w.:-]*/y;
+    match.lastIndex = this.pos;
+    const result = match.exec(this.text);
+    if (!result) {
+      this.fail('Expected a name');
+    }
+    this.pos = match.lastIndex;
+    return result[0];
+  }
+
+  /**
+   * Skips whitespace, comments, processing instructions and the doctype outside the root
+   */
+  skipMisc() {
+    for (;;) {
+      this.skipWhitespace();
+      if (this.text.startsWith('<!--', this.pos) || this.text.startsWith('<?', this.pos)) {
+        this.skipMarkup();
+      } else if (this.text.startsWith('<!DOCTYPE', this.pos)) {
+        // An internal subset ends with "]>", a plain doctype with ">"
+        const subset = this.text.indexOf('[', this.pos);
+        const close = this.text.indexOf('>', this.pos);
+        const end = subset !== -1 && subset < close
+          ? this.indexOrFail(']>', 'Unterminated doctype') + 2
+          : close + 1;
+        if (end === 0) {
+          this.fail('Unterminated doctype');
+        }
+        this.pos = end;
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Skips a comment or processing instruction
+   */
+  skipMarkup() {
+    const comment = this.text.startsWith('<!--', this.pos);
+    const terminator = comment ? '-->' : '?>';
+    const end = this.indexOrFail(terminator, comment ? 'Unterminated comment' : 'Unterminated processing instruction');
+    this.pos = end + terminator.length;
+  }
+
+  /**
+   * Skips whitespace
+   */
+  skipWhitespace() {
+    while (/\s/.test(this.text[this.pos] || '')) {
+      this.pos++;
+    }
+  }
+
+  /**
+   * Consumes an expected character
+   */
+  expect(char) {
+    if (this.text[this.pos] !== char) {
+      this.fail(`Expected '${char}'`);
+    }
+    this.pos++;
+  }
+
+  /**
+   * Finds the next occurrence of a terminator
+   */
+  indexOrFail(search, message) {
+    const index = this.text.indexOf(search, this.pos);
+    if (index === -1) {
+      this.fail(message);
+    }
+    return index;
+  }
+
+  /**
+   * Replaces character and predefined entity references
+   */
+  decode(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+      if (entity.startsWith('#x')) {
+        return String.fromCodePoint(parseInt(entity.slice(2), 16));
+      }
+      if (entity.startsWith('#')) {
+        return String.fromCodePoint(parseInt(entity.slice(1), 10));
+      }
+      return XML_ENTITIES[entity] ?? match;
+    });
+  }
+
+  /**
+   * Throws a ResponseParseError for the line containing an offset
+   */
+  fail(reason, offset = this.pos) {
+    const line = this.text.slice(0, offset).split('\n').length;
+    throw new ResponseParseError(`Invalid XML on line ${line}: ${reason}`, line);
+  }
+}
+
+/**
+ * Adds text to an element's children unless it is only whitespace between elements
+ * @param {Array} children - Element children
+ * @param {string} text - Text read since the last child
+ */
+function pushText(children, text) {
+  if (text.trim() !== '') {
+    children.push(text.trim());
+  }
+}
+
+/**
+ * Converts an XML element into a record
+ * @param {Object} element - Element from XMLReader
+ * @returns {Object|string} The record, or the element's text if it has neither
+ *   attributes nor child elements
+ */
+function toRecord(element) {
+  const record = {};
+  const text = element.children.filter(child => typeof child === 'string').join('');
+  const childElements = element.children.filter(child => typeof child !== 'string');
+
+  if (childElements.length === 0 && Object.keys(element.attributes).length === 0) {
+    return text;
+  }
+
+  for (const [name, value] of Object.entries(element.attributes)) {
+    record[`@${name}`] = value;
+  }
+
+  for (const child of childElements) {
+    const value = toRecord(child);
+    if (!Object.hasOwn(record, child.name)) {
+      record[child.name] = value;
+    } else if (Array.isArray(record[child.name])) {
+      record[child.name].push(value);
+    } else {
+      record[child.name] = [record[child.name], value];
+    }
+  }
+
+  if (text !== '') {
+    record['#text'] = text;
+  }
+
+  return record;
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { ResponseParsers, ResponseParseError } from '../src/ResponseParsers.js';
+
+describe('ResponseParsers', () => {
+  describe('parseCSV', () => {
+    it('should key rows by the header and honor quotes, doubled quotes and line breaks', () => {
+      const text = '\uFEFFdate,label,rate\r\n2024-01-02,"Euro, ""EUR""",1.09\r\n\r\n2024-01-03,"two\nlines",1.1\r\n';
+
+      expect(ResponseParsers.parseCSV(text)).toEqual([
+        { date: '2024-01-02', label: 'Euro, "EUR"', rate: '1.09' },
+        { date: '2024-01-03', label: 'two\nlines', rate: '1.1' }
+      ]);
+    });
+
+    it('should use a custom delimiter and return field arrays without a header row', () => {
+      expect(ResponseParsers.parseCSV('2024-01-02;1,09\n2024-01-03;1,10', { delimiter: ';', header: false }))
+        .toEqual([['2024-01-02', '1,09'], ['2024-01-03', '1,10']]);
+    });
+
+    it('should report the line of an unterminated quoted field', () => {
+      expect(() => ResponseParsers.parseCSV('date,label\n2024-01-02,"open\n'))
+        .toThrow('Unterminated quoted CSV field starting on line 2');
+    });
+  });
+
+  describe('parseXML', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <!-- daily reference rates -->
+      <report source="ECB">
+        <data>
+          <obs date="2024-01-02"><value unit="USD">1.09</value><note>A &amp; B</note></obs>
+          <obs date="2024-01-03"><value unit="USD">1.1</value><note><![CDATA[<none>]]></note></obs>
+        </data>
+      </report>`;
+
+    it('should turn the elements at recordPath into records with @attributes', () => {
+      expect(ResponseParsers.parseXML(xml, { recordPath: 'data/obs' })).toEqual([
+        { '@date': '2024-01-02', value: { '@unit': 'USD', '#text': '1.09' }, note: 'A & B' },
+        { '@date': '2024-01-03', value: { '@unit': 'USD', '#text': '1.1' }, note: '<none>' }
+      ]);
+    });
+
+    it('should collect repeated child elements into arrays', () => {
+      const records = ResponseParsers.parseXML('<rows><row><tag>a</tag><tag>b</tag></row></rows>');
+      expect(records).toEqual([{ tag: ['a', 'b'] }]);
+    });
+
+    it('should reject mismatched closing tags with the line number', () => {
+      expect(() => ResponseParsers.parseXML('<rows>\n<row></rows>'))
+        .toThrow('Invalid XML on line 2: Expected </row> but found </rows>');
+    });
+  });
+
+  it('should parse NDJSON line by line and skip blank lines', () => {
+    expect(ResponseParsers.parseNDJSON('{"t":1,"v":2}\n\n{"t":2,"v":3}\n')).toEqual([{ t: 1, v: 2 }, { t: 2, v: 3 }]);
+    expect(() => ResponseParsers.parseNDJSON('{"t":1}\n{oops')).toThrow(ResponseParseError);
+  });
+
+  it('should pick a parser from the Content-Type unless the format is configured', () => {
+    expect(ResponseParsers.resolveFormat(undefined, 'text/csv; charset=utf-8')).toEqual({ type: 'csv' });
+    expect(ResponseParsers.resolveFormat({ type: 'auto', recordPath: 'obs' }, 'application/atom+xml'))
+      .toEqual({ type: 'xml', recordPath: 'obs' });
+    expect(ResponseParsers.resolveFormat({ type: 'ndjson' }, 'application/json')).toEqual({ type: 'ndjson' });
+    expect(ResponseParsers.resolveFormat(undefined, null)).toEqual({ type: 'json' });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * SecretRedactor - Keeps API keys and tokens out of logs, the UI and exports
+ *
+ * Secrets are registered as they are resolved (see EnvInterpolator), and any
+ * text or value passed through the redactor has them replaced. Query
+ * parameters and fields with well-known credential names (such as `appid` or
+ * `access_token`) are redacted even when their value was never registered,
+ * so a literal key pasted into a config does not leak through a failed URL.
+ *
+ * @example
+ * secretRedactor.addSecret('abc123');
+ * secretRedactor.redact('GET https://api.example.com/data?appid=abc123&q=1');
+ * // 'GET https://api.example.com/data?appid=[REDACTED]&q=1'
+ *
+ * secretRedactor.redactValue({ headers: { Authorization: 'Bearer abc123' } });
+ * // { headers: { Authorization: '[REDACTED]' } }
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Shorter values are too likely to occur by chance inside unrelated text
+const MIN_SECRET_LENGTH = 4;
+
+const DEFAULT_SENSITIVE_NAMES = [
+  'appid',
+  'api_key',
+  'apikey',
+  'access_token',
+  'token',
+  'client_secret',
+  'password',
+  'authorization'
+];
+
+export class SecretRedactor {
+  /**
+   * Creates a new SecretRedactor instance
+   * @param {Object} options - Redactor options
+   * @param {string} [options.replacement] - Text that replaces secrets (defaults to '[REDACTED]')
+   * @param {Array<string>} [options.sensitiveNames] - Query parameter and field names whose
+   *   values are always redacted (defaults to common credential names)
+   */
+  constructor(options = {}) {
+    this.replacement = options.replacement || REDACTED;
+    this.secrets = new Set();
+    this.defaultNames = (options.sensitiveNames || DEFAULT_SENSITIVE_NAMES).map(name => name.toLowerCase());
+    this.sensitiveNames = new Set(this.defaultNames);
+  }
+
+  /**
+   * Registers a secret value so it is redacted wherever it appears
+   * @param {string} value - Secret value (values shorter than 4 characters are ignored)
+   */
+  addSecret(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+      this.secrets.add(value);
+    }
+  }
+
+  /**
+   * Registers a query parameter or field name whose values are always redacted
+   * @param {string} name - Parameter name, e.g. a source's `authentication.key`
+   */
+  addSensitiveName(name) {
+    if (typeof name === 'string' && name !== '') {
+      this.sensitiveNames.add(name.toLowerCase());
+    }
+  }
+
+  /**
+   * Forgets every registered secret and custom sensitive name
+   */
+  clear() {
+    this.secrets.clear();
+    this.sensitiveNames = new Set(this.defaultNames);
+  }
+
+  /**
+   * Redacts secrets from a piece of text, such as a log line or URL
+   * @param {string} text - Text to redact (non-strings are returned unchanged)
+   * @returns {string} Text with secrets replaced
+   */
+  redact(text) {
+    if (typeof text !== 'string' || text === '') {
+      return text;
+    }
+
+    let result = text;
+
+    // Longest first, so a secret that contains another is replaced whole
+    const secrets = [...this.secrets].sort((a, b) => b.length - a.length);
+    for (const secret of secrets) {
+      result = result.split(secret).join(this.replacement);
+
+      const encoded = encodeURIComponent(secret);
+      if (encoded !== secret) {
+        result = result.split(encoded).join(this.replacement);
+      }
+    }
+
+    if (this.sensitiveNames.size > 0) {
+      const names = [...this.sensitiveNames].map(escapeRegExp).join('|');
+      const parameter = new RegExp(`([?&;]|\\b)(${names})=([^&#\\s"']+)`, 'gi');
+      result = result.replace(parameter, (match, prefix, name) => `${prefix}${name}=${this.replacement}`);
+    }
+
+    return result.replace(/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g, `$1 ${this.replacement}`);
+  }
+
+  /**
+   * Returns a copy of a value with secrets redacted from every string in it.
+   * Fields with a sensitive name are replaced entirely. Use this before
+   * logging or exporting objects such as error details or request records.
+   * @param {any} value - Value to redact
+   * @returns {any} Redacted copy
+   */
+  redactValue(value) {
+    if (typeof value === 'string') {
+      return this.redact(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item));
+    }
+
+    if (value instanceof Error) {
+      // Keep the prototype so instanceof checks still work on the copy
+      const copy = Object.assign(Object.create(Object.getPrototypeOf(value)), this.redactValue({ ...value }));
+      copy.message = this.redact(value.message);
+      copy.stack = this.redact(value.stack);
+      return copy;
+    }
+
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.sensitiveNames.has(key.toLowerCase()) && item !== undefined && item !== null
+          ? this.replacement
+          : this.redactValue(item);
+      }
+      return result;
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Shared redactor used by the fetcher, the error handler and the UI
+ */
+export const secretRedactor = new SecretRedactor();
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SecretRedactor, secretRedactor } from '../src/SecretRedactor.js';
+import { ErrorHandler } from '../src/ErrorHandler.js';
+import { NetworkError } from '../src/DataFetcherManager.js';
+
+describe('SecretRedactor', () => {
+  let redactor;
+
+  beforeEach(() => {
+    redactor = new SecretRedactor();
+  });
+
+  it('should redact registered secrets and their URL-encoded form', () => {
+    redactor.addSecret('s3cr3t/key');
+
+    expect(redactor.redact('key is s3cr3t/key')).toBe('key is [REDACTED]');
+    expect(redactor.redact('https://api.example.com/?k=s3cr3t%2Fkey')).toBe('https://api.example.com/?k=[REDACTED]');
+  });
+
+  it('should redact credential query parameters even when the value is unknown', () => {
+    expect(redactor.redact('GET https://api.example.com/data?lat=1&appid=abc123&units=metric'))
+      .toBe('GET https://api.example.com/data?lat=1&appid=[REDACTED]&units=metric');
+
+    redactor.addSensitiveName('x-partner');
+    expect(redactor.redact('/feed?x-partner=p-99')).toBe('/feed?x-partner=[REDACTED]');
+  });
+
+  it('should redact bearer tokens', () => {
+    expect(redactor.redact('Authorization: Bearer eyJhbGciOi.abc')).toBe('Authorization: Bearer [REDACTED]');
+  });
+
+  it('should ignore very short secrets', () => {
+    redactor.addSecret('a');
+    expect(redactor.redact('a banana')).toBe('a banana');
+  });
+
+  it('should redact nested values and sensitive fields without changing the input', () => {
+    redactor.addSecret('abc123');
+    const details = { url: 'https://x.test/?q=abc123', headers: { Authorization: 'Token t' }, count: 2 };
+
+    expect(redactor.redactValue(details)).toEqual({
+      url: 'https://x.test/?q=[REDACTED]',
+      headers: { Authorization: '[REDACTED]' },
+      count: 2
+    });
+    expect(details.url).toContain('abc123');
+  });
+
+  it('should keep the error type when redacting errors', () => {
+    redactor.addSecret('abc123');
+    const redacted = redactor.redactValue(new NetworkError('Failed to fetch https://x.test/?q=abc123'));
+
+    expect(redacted).toBeInstanceOf(NetworkError);
+    expect(redacted.message).toBe('Failed to fetch https://x.test/?q=[REDACTED]');
+  });
+
+  describe('ErrorHandler integration', () => {
+    afterEach(() => {
+      secretRedactor.clear();
+      vi.restoreAllMocks();
+    });
+
+    it('should redact secrets from logged and returned error details', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      secretRedactor.addSecret('topsecret');
+
+      const errorInfo = ErrorHandler.handle(
+        new Error('Request to https://api.example.com/data?appid=topsecret failed'),
+        'data-fetch'
+      );
+
+      expect(errorInfo.technical).toBe('Request to https://api.example.com/data?appid=[REDACTED] failed');
+      const logged = consoleError.mock.calls.map(args => JSON.stringify(args)).join('\n');
+      expect(logged).not.toContain('topsecret');
+    });
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * StreamingSource - Keeps a live WebSocket or Server-Sent Events connection to a data source
+ *
+ * A data source of `"kind": "websocket"` or `"kind": "sse"` is not requested
+ * but streamed. Its `stream` block describes the feed:
+ *
+ *   subscribe   message(s) sent after every (re)connect, objects as JSON (WebSocket only)
+ *   event       SSE event name to listen to (default "message")
+ *   filter      { path: value } pairs a message must match, e.g. { "type": "ticker" },
+ *               so subscription acknowledgements and heartbeats are skipped
+ *   recordsPath where the records are in a message (default: the message is one record)
+ *   windowSize  how many of the latest records to keep (default 100)
+ *   reconnect   { initialDelay, maxDelay, multiplier, maxAttempts } backoff after the
+ *               connection drops (defaults 1000 ms, 30000 ms, 2, unlimited)
+ *
+ * Records are JSON values that the source's `transformation` maps to data points,
+ * exactly as for a fetched response.
+ *
+ * @example
+ * const stream = new StreamingSource('prices', {
+ *   url: 'wss://stream.example.com/ws',
+ *   stream: { subscribe: { op: 'subscribe', channel: 'BTC-USD' }, filter: { type: 'ticker' } },
+ *   onRecords: (records, window) => console.log(`${records.length} new, ${window.length} kept`)
+ * });
+ * stream.connect();
+ */
+
+export const STREAM_KINDS = ['websocket', 'sse'];
+
+export const STREAM_STATES = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+const DEFAULT_WINDOW_SIZE = 100;
+
+const DEFAULT_RECONNECT = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  multiplier: 2,
+  maxAttempts: Infinity
+};
+
+/**
+ * Error reported when a stream cannot be (re)established
+ */
+export class StreamError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} attempts - Reconnect attempts made
+   */
+  constructor(message, attempts = 0) {
+    super(message);
+    this.name = 'StreamError';
+    this.attempts = attempts;
+  }
+}
+
+export class StreamingSource {
+  /**
+   * Creates a new StreamingSource instance
+   * @param {string} name - Data source name (used in status reports and errors)
+   * @param {Object} options - Stream options
+   * @param {string} options.url - Stream URL (ws:// or wss:// for WebSocket, http(s):// for SSE)
+   * @param {string} [options.kind='websocket'] - 'websocket' or 'sse'
+   * @param {Object} [options.stream] - The source's stream block (see above)
+   * @param {Function} [options.onRecords] - Called with (new records, all records in the window)
+   * @param {Function} [options.onStateChange] - Called with the status (see getStatus) on every change
+   * @param {Function} [options.onError] - Called with a StreamError when reconnecting is given up
+   * @param {Function} [options.WebSocket] - WebSocket implementation (defaults to the global one)
+   * @param {Function} [options.EventSource] - EventSource implementation (defaults to the global one)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.url = options.url;
+    this.kind = options.kind || 'websocket';
+    this.stream = options.stream || {};
+    this.windowSize = this.stream.windowSize ?? DEFAULT_WINDOW_SIZE;
+    this.reconnect = { ...DEFAULT_RECONNECT, ...this.stream.reconnect };
+    this.onRecords = options.onRecords || null;
+    this.onStateChange = options.onStateChange || null;
+    this.onError = options.onError || null;
+    this.WebSocket = options.WebSocket || null;
+    this.EventSource = options.EventSource || null;
+
+    this.records = [];
+    this.state = STREAM_STATES.CLOSED;
+    this.connection = null;
+    this.attempts = 0; // Reconnect attempts since the last successful connection
+    this.retryAt = null;
+    this.reconnectTimer = null;
+    this.stopped = true;
+  }
+
+  /**
+   * Checks whether a data source is streamed rather than requested
+   * @param {Object} sourceConfig - Data source configuration
+   * @returns {boolean} True for sources of kind 'websocket' or 'sse'
+   */
+  static isStreaming(sourceConfig) {
+    return STREAM_KINDS.includes(sourceConfig?.kind);
+  }
+
+  /**
+   * Opens the connection; it is re-opened with backoff whenever it drops, until close()
+   */
+  connect() {
+    this.stopped = false;
+    this.open(STREAM_STATES.CONNECTING);
+  }
+
+  /**
+   * Closes the connection and stops reconnecting. Records received so far are kept.
+   */
+  close() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.retryAt = null;
+
+    const connection = this.connection;
+    this.connection = null;
+    connection?.close();
+
+    this.setState(STREAM_STATES.CLOSED);
+  }
+
+  /**
+   * Gets the records in the sliding window, oldest first
+   * @returns {Array<any>} Copy of the latest records
+   */
+  getRecords() {
+    return [...this.records];
+  }
+
+  /**
+   * Gets the connection status
+   * @returns {{name: string, state: string, attempts: number, retryAt: number|null}}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      attempts: this.attempts,
+      retryAt: this.retryAt
+    };
+  }
+
+  /**
+   * Creates the WebSocket or EventSource and wires up its events
+   * @private
+   */
+  open(state) {
+    this.setState(state);
+
+    const Implementation = this.kind === 'sse'
+      ? this.EventSource || globalThis.EventSource
+      : this.WebSocket || globalThis.WebSocket;
+
+    if (!Implementation) {
+      this.giveUp(`Cannot stream ${this.name}: ${this.kind === 'sse' ? 'EventSource' : 'WebSocket'} is not available`);
+      return;
+    }
+
+    let connection;
+    try {
+      connection = new Implementation(this.url);
+    } catch (error) {
+      this.handleDrop(null);
+      return;
+    }
+    this.connection = connection;
+
+    connection.addEventListener('open', () => this.handleOpen(connection));
+
+    if (this.kind === 'sse') {
+      connection.addEventListener(this.stream.event || 'message', event => this.handleMessage(connection, event.data));
+      // EventSource retries on its own at a fixed pace; close it and use our backoff instead
+      connection.addEventListener('error', () => {
+        connection.close();
+        this.handleDrop(connection);
+      });
+    } else {
+      connection.addEventListener('message', event => this.handleMessage(connection, event.data));
+      connection.addEventListener('close', () => this.handleDrop(connection));
+    }
+  }
+
+  /**
+   * Sends the subscribe messages once connected
+   * @private
+   */
+  handleOpen(connection) {
+    if (connection !== this.connection) {
+      return;
+    }
+
+    this.attempts = 0;
+    this.retryAt = null;
+
+    if (this.kind === 'websocket' && this.stream.subscribe !== undefined) {
+      const messages = Array.isArray(this.stream.subscribe) ? this.stream.subscribe : [this.stream.subscribe];
+      for (const message of messages) {
+        connection.send(typeof message === 'string' ? message : JSON.stringify(message));
+      }
+    }
+
+    this.setState(STREAM_STATES.OPEN);
+  }
+
+  /**
+   * Turns a message into records and adds them to the window
+   * @private
+   */
+  handleMessage(connection, data) {
+    if (connection !== this.connection || typeof data !== 'string') {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn(`Ignoring a message from ${this.name} that is not JSON`);
+      return;
+    }
+
+    const filter = this.stream.filter || {};
+    if (!Object.entries(filter).every(([path, expected]) => getPath(message, path) === expected)) {
+      return;
+    }
+
+    const found = this.stream.recordsPath ? getPath(message, this.stream.recordsPath) : message;
+    const records = (Array.isArray(found) ? found : [found]).filter(record => record !== undefined && record !== null);
+    if (records.length === 0) {
+      return;
+    }
+
+    this.records.push(...records);
+    if (this.records.length > this.windowSize) {
+      this.records.splice(0, this.records.length - this.windowSize);
+    }
+
+    this.onRecords?.(records, this.getRecords());
+  }
+
+  /**
+   * Schedules a reconnect after the connection dropped or could not be opened
+   * @private
+   */
+  handleDrop(connection) {
+    if (this.stopped || connection !== this.connection) {
+      return;
+    }
+    this.connection = null;
+
+    const { initialDelay, maxDelay, multiplier, maxAttempts } = this.reconnect;
+    if (this.attempts >= maxAttempts) {
+      this.giveUp(`Lost the stream from ${this.name} and gave up after ${this.attempts} reconnect attempts`);
+      return;
+    }
+
+    const delay = withJitter(Math.min(initialDelay * multiplier ** this.attempts, maxDelay));
+    this.attempts++;
+    this.retryAt = Date.now() + delay;
+    this.setState(STREAM_STATES.RECONNECTING, true);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.open(STREAM_STATES.RECONNECTING);
+    }, delay);
+  }
+
+  /**
+   * Stops for good and reports why
+   * @private
+   */
+  giveUp(message) {
+    const attempts = this.attempts;
+    this.close();
+    this.onError?.(new StreamError(message, attempts));
+  }
+
+  /**
+   * Updates the state and notifies the listener
+   * @param {string} state - New state
+   * @param {boolean} [always=false] - Notify even if the state is unchanged, e.g. for
+   *   every reconnect attempt
+   * @private
+   */
+  setState(state, always = false) {
+    if (this.state === state && !always) {
+      return;
+    }
+
+    this.state = state;
+    this.onStateChange?.(this.getStatus());
+  }
+}
+
+/**
+ * Reads a dot-separated path from a value
+ * @param {any} value - Value to read from
+ * @param {string} path - Path such as "data.price"
+ * @returns {any} The value at the path, or undefined
+ */
+function getPath(value, path) {
+  return path.split('.').reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Randomizes a backoff delay to between half and all of its value, so clients
+ * that lost the same server do not all reconnect at once
+ * @param {number} delay - Computed delay in milliseconds
+ * @returns {number} Delay to wait
+ */
+function withJitter(delay) {
+  return delay / 2 + Math.random() * (delay / 2);
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StreamingSource, StreamError, STREAM_STATES } from '../src/StreamingSource.js';
+
+/**
+ * Local stand-in for WebSocket and EventSource: tests open, feed and drop connections by hand
+ */
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.closed = false;
+    this.listeners = {};
+    FakeSocket.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  emit(type, event = {}) {
+    for (const listener of this.listeners[type] || []) {
+      listener(event);
+    }
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.closed = true;
+    this.emit('close');
+  }
+
+  open() {
+    this.emit('open');
+  }
+
+  receive(message, type = 'message') {
+    this.emit(type, { data: typeof message === 'string' ? message : JSON.stringify(message) });
+  }
+
+  // The server went away: WebSocket reports close, EventSource reports error
+  drop(type = 'close') {
+    this.emit(type);
+  }
+}
+
+const latestSocket = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+describe('StreamingSource', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should subscribe once open and keep a sliding window of matching records', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const onRecords = vi.fn();
+    const stream = new StreamingSource('prices', {
+      url: 'wss://stream.example.com/ws',
+      WebSocket: FakeSocket,
+      stream: {
+        subscribe: [{ op: 'subscribe', channel: 'ticker' }, 'ping'],
+        filter: { type: 'ticker' },
+        recordsPath: 'data',
+        windowSize: 3
+      },
+      onRecords
+    });
+
+    stream.connect();
+    const socket = latestSocket();
+    socket.open();
+    socket.receive({ type: 'ack' });
+    socket.receive({ type: 'ticker', data: [{ t: 1, p: 10 }, { t: 2, p: 11 }] });
+    socket.receive({ type: 'ticker', data: [{ t: 3, p: 12 }, { t: 4, p: 13 }] });
+    socket.receive('not json');
+
+    expect(socket.sent).toEqual(['{"op":"subscribe","channel":"ticker"}', 'ping']);
+    expect(onRecords).toHaveBeenCalledTimes(2);
+    expect(onRecords).toHaveBeenLastCalledWith([{ t: 3, p: 12 }, { t: 4, p: 13 }], [{ t: 2, p: 11 }, { t: 3, p: 12 }, { t: 4, p: 13 }]);
+    expect(stream.getStatus().state).toBe(STREAM_STATES.OPEN);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('not JSON'));
+    warn.mockRestore();
+  });
+
+  it('should reconnect with growing delays and subscribe again', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1); // no jitter
+    const states = [];
+    const stream = new StreamingSource('prices', {
+      url: 'wss://stream.example.com/ws',
+      WebSocket: FakeSocket,
+      stream: { subscribe: { op: 'subscribe' }, reconnect: { initialDelay: 100, multiplier: 2 } },
+      onStateChange: status => states.push(`${status.state}:${status.attempts}`)
+    });
+
+    stream.connect();
+    latestSocket().drop();
+    vi.advanceTimersByTime(99);
+    expect(FakeSocket.instances).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+    latestSocket().drop();
+    vi.advanceTimersByTime(200);
+    latestSocket().open();
+
+    expect(FakeSocket.instances).toHaveLength(3);
+    expect(latestSocket().sent).toEqual(['{"op":"subscribe"}']);
+    expect(states).toEqual(['connecting:0', 'reconnecting:1', 'reconnecting:2', 'open:0']);
+    vi.restoreAllMocks();
+  });
+
+  it('should give up after maxAttempts and report a StreamError', () => {
+    const onError = vi.fn();
+    const stream = new StreamingSource('prices', {
+      url: 'wss://stream.example.com/ws',
+      WebSocket: FakeSocket,
+      stream: { reconnect: { initialDelay: 10, maxAttempts: 1 } },
+      onError
+    });
+
+    stream.connect();
+    latestSocket().drop();
+    vi.advanceTimersByTime(10);
+    latestSocket().drop();
+
+    expect(onError).toHaveBeenCalledWith(expect.any(StreamError));
+    expect(onError.mock.calls[0][0].attempts).toBe(1);
+    expect(stream.getStatus().state).toBe(STREAM_STATES.CLOSED);
+  });
+
+  it('should listen to the configured Server-Sent Events event and replace a failed EventSource', () => {
+    const onRecords = vi.fn();
+    const stream = new StreamingSource('quakes', {
+      url: 'https://stream.example.com/events',
+      kind: 'sse',
+      EventSource: FakeSocket,
+      stream: { event: 'quake', reconnect: { initialDelay: 10 } },
+      onRecords
+    });
+
+    stream.connect();
+    const source = latestSocket();
+    source.receive({ t: 1, mag: 4.2 }, 'quake');
+    source.receive({ t: 2, mag: 9.9 });
+    source.drop('error');
+    vi.advanceTimersByTime(10);
+
+    expect(onRecords).toHaveBeenCalledWith([{ t: 1, mag: 4.2 }], [{ t: 1, mag: 4.2 }]);
+    expect(onRecords).toHaveBeenCalledTimes(1);
+    expect(source.closed).toBe(true);
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+
+  it('should stop reconnecting once closed and keep the received records', () => {
+    const stream = new StreamingSource('prices', { url: 'wss://stream.example.com/ws', WebSocket: FakeSocket });
+
+    stream.connect();
+    latestSocket().receive({ t: 1, p: 10 });
+    stream.close();
+    vi.advanceTimersByTime(60000);
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(stream.getRecords()).toEqual([{ t: 1, p: 10 }]);
+  });
+});
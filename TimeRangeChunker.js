@@ -0,0 +1,173 @@
+/**
+ * TimeRangeChunker - Splits long time windows into API-sized chunks and merges the results
+ *
+ * Many history APIs cap how much one call can return. A data source with
+ * `maxRangePerRequest` (in hours) is fetched one chunk at a time, and the
+ * chunk responses are merged back into a single response of the same shape:
+ *
+ *   - arrays are concatenated; records that the next chunk repeats at the boundary
+ *     (the same records ending one chunk and starting the next) are dropped, while
+ *     equal records elsewhere, such as two equal readings, are kept
+ *   - objects are merged key by key, so date-keyed maps such as
+ *     Frankfurter's `rates` are combined naturally
+ *   - column-style responses such as Open-Meteo's parallel `hourly.time` /
+ *     `hourly.temperature_2m` arrays are de-duplicated row by row, using the
+ *     source's `transformation.timestampField` to find the time column
+ *
+ * @example
+ * const chunks = TimeRangeChunker.split({ start, end }, 30 * 24 * 60 * 60 * 1000);
+ * const responses = [];
+ * for (const timeRange of chunks) {
+ *   responses.push(await fetchWindow(timeRange));
+ * }
+ * const merged = TimeRangeChunker.merge(responses, source.transformation);
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class TimeRangeChunker {
+  /**
+   * Gets the chunks a source's request should be split into
+   * @param {Object} sourceConfig - Data source configuration
+   * @param {Object} params - Request inputs, possibly with timeRange: { start, end } in ms
+   * @returns {Array<{start: number, end: number}|undefined>} One time range per request
+   *   (a single entry, the unchanged timeRange, when no split is needed)
+   */
+  static plan(sourceConfig, params = {}) {
+    const { timeRange } = params;
+
+    if (!sourceConfig.maxRangePerRequest || !timeRange) {
+      return [timeRange];
+    }
+
+    return TimeRangeChunker.split(timeRange, sourceConfig.maxRangePerRequest * HOUR_MS);
+  }
+
+  /**
+   * Splits a time range into consecutive chunks no longer than maxMs
+   * @param {{start: number, end: number}} timeRange - Range in ms timestamps
+   * @param {number} maxMs - Longest chunk in milliseconds
+   * @returns {Array<{start: number, end: number}>} Chunks in chronological order
+   */
+  static split({ start, end }, maxMs) {
+    const chunks = [];
+
+    for (let chunkStart = start; chunkStart < end; chunkStart += maxMs) {
+      chunks.push({ start: chunkStart, end: Math.min(chunkStart + maxMs, end) });
+    }
+
+    return chunks.length > 0 ? chunks : [{ start, end }];
+  }
+
+  /**
+   * Merges chunk responses into one response
+   * @param {Array<any>} responses - Chunk responses in chronological order
+   * @param {Object} [transformation] - Source transformation; its timestampField identifies
+   *   the time column of column-style responses
+   * @returns {any} Merged response
+   */
+  static merge(responses, transformation = {}) {
+    const merged = responses.reduce((result, response) => mergeValues(result, response));
+
+    const timePath = transformation.timestampField?.split('.');
+    if (timePath?.length > 1) {
+      removeDuplicateRows(merged, timePath);
+    }
+
+    return merged;
+  }
+}
+
+/**
+ * Merges two chunk values: arrays are concatenated without repeating the records at
+ * the chunk boundary, objects are merged by key, and for scalars the later chunk wins
+ * @param {any} earlier - Value from the earlier chunk
+ * @param {any} later - Value from the later chunk
+ * @returns {any} Merged value
+ */
+function mergeValues(earlier, later) {
+  if (Array.isArray(earlier) && Array.isArray(later)) {
+    if (earlier.some(isRecord) || later.some(isRecord)) {
+      return [...earlier, ...later.slice(countOverlap(earlier, later))];
+    }
+    return [...earlier, ...later];
+  }
+
+  if (isPlainObject(earlier) && isPlainObject(later)) {
+    const result = { ...earlier };
+    for (const [key, value] of Object.entries(later)) {
+      result[key] = key in result ? mergeValues(result[key], value) : value;
+    }
+    return result;
+  }
+
+  return later === undefined ? earlier : later;
+}
+
+/**
+ * Counts the records a chunk repeats from the end of the one before it: the longest
+ * run that ends `earlier` and starts `later`
+ * @param {Array<any>} earlier - Records merged so far
+ * @param {Array<any>} later - Records of the next chunk
+ * @returns {number} Number of leading records of `later` to drop
+ */
+function countOverlap(earlier, later) {
+  if (later.length === 0) {
+    return 0;
+  }
+
+  const tail = earlier.slice(-later.length).map(record => JSON.stringify(record));
+  const head = [JSON.stringify(later[0])];
+  const headAt = (index) => (head[index] ??= JSON.stringify(later[index]));
+
+  // Only a tail position holding the chunk's first record can start the overlap; longest first
+  for (let start = 0; start < tail.length; start++) {
+    if (tail[start] === head[0] && tail.slice(start + 1).every((record, offset) => record === headAt(offset + 1))) {
+      return tail.length - start;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Drops repeated rows from column-style data, e.g. { time: [...], temperature_2m: [...] }
+ * @param {Object} data - Merged response
+ * @param {Array<string>} timePath - Path to the time column
+ */
+function removeDuplicateRows(data, timePath) {
+  const columns = timePath.slice(0, -1).reduce((current, key) => current?.[key], data);
+  const times = columns?.[timePath[timePath.length - 1]];
+
+  if (!isPlainObject(columns) || !Array.isArray(times) || times.some(isRecord)) {
+    return;
+  }
+
+  const seen = new Set();
+  const keep = times.map(time => {
+    if (seen.has(time)) {
+      return false;
+    }
+    seen.add(time);
+    return true;
+  });
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (Array.isArray(column) && column.length === times.length) {
+      columns[key] = column.filter((value, index) => keep[index]);
+    }
+  }
+}
+
+/**
+ * Checks whether a value is an object or array (a record rather than a scalar)
+ */
+function isRecord(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Checks whether a value is a non-array object
+ */
+function isPlainObject(value) {
+  return isRecord(value) && !Array.isArray(value);
+}
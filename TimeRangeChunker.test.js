@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { TimeRangeChunker } from '../src/TimeRangeChunker.js';
+
+describe('TimeRangeChunker', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  it('should split a window into consecutive chunks', () => {
+    const chunks = TimeRangeChunker.plan({ maxRangePerRequest: 24 }, { timeRange: { start: 0, end: 60 * HOUR } });
+
+    expect(chunks).toEqual([
+      { start: 0, end: 24 * HOUR },
+      { start: 24 * HOUR, end: 48 * HOUR },
+      { start: 48 * HOUR, end: 60 * HOUR }
+    ]);
+  });
+
+  it('should not split sources without maxRangePerRequest or requests without a time range', () => {
+    const timeRange = { start: 0, end: 60 * HOUR };
+
+    expect(TimeRangeChunker.plan({}, { timeRange })).toEqual([timeRange]);
+    expect(TimeRangeChunker.plan({ maxRangePerRequest: 24 }, {})).toEqual([undefined]);
+  });
+
+  it('should de-duplicate column-style rows repeated at chunk boundaries', () => {
+    const merged = TimeRangeChunker.merge([
+      { latitude: 40.7, hourly: { time: ['t1', 't2'], temperature_2m: [1, 2] } },
+      { latitude: 40.7, hourly: { time: ['t2', 't3'], temperature_2m: [2, 3] } }
+    ], { timestampField: 'hourly.time', valueField: 'hourly.temperature_2m' });
+
+    expect(merged).toEqual({ latitude: 40.7, hourly: { time: ['t1', 't2', 't3'], temperature_2m: [1, 2, 3] } });
+  });
+
+  it('should merge keyed maps and drop repeated records', () => {
+    const rates = TimeRangeChunker.merge([
+      { base: 'EUR', rates: { '2024-01-01': { USD: 1.1 }, '2024-01-02': { USD: 1.2 } } },
+      { base: 'EUR', rates: { '2024-01-02': { USD: 1.2 }, '2024-01-03': { USD: 1.3 } } }
+    ], { timestampField: 'rates' });
+    expect(Object.keys(rates.rates)).toEqual(['2024-01-01', '2024-01-02', '2024-01-03']);
+
+    const prices = TimeRangeChunker.merge([
+      { prices: [[1, 10], [2, 20]] },
+      { prices: [[2, 20], [3, 30]] }
+    ]);
+    expect(prices.prices).toEqual([[1, 10], [2, 20], [3, 30]]);
+  });
+
+  it('should keep equal records that are not repeated at a chunk boundary', () => {
+    const merged = TimeRangeChunker.merge([
+      { list: [{ aqi: 3 }, { aqi: 4 }] },
+      { list: [{ aqi: 4 }, { aqi: 5 }, { aqi: 3 }] },
+      { list: [{ aqi: 2 }, { aqi: 4 }] }
+    ]);
+
+    expect(merged.list).toEqual([{ aqi: 3 }, { aqi: 4 }, { aqi: 5 }, { aqi: 3 }, { aqi: 2 }, { aqi: 4 }]);
+  });
+});
@@ -20,6 +20,12 @@
  * // - Normalizes and visualizes data
  * // - Generates insights
  * // - Sets up event listeners for user interactions
+ * // - Keeps streaming sources connected and appends their records to the chart
+ * // - Shows per-source request metrics in the health panel, with a preflight check
+ * // - Keeps showing a source that loaded when the other one fails: the failed source
+ * //   keeps its last good data (marked stale) and gets a retry button on its card
+ * // - Charts one labelled series per combination of a swept source (see ParameterSweep),
+ * //   with the latest value of each on the source's card
  * 
  * // Clean up when done
  * uiController.destroy();
@@ -30,7 +36,9 @@ import { DataFetcherManager } from './DataFetcherManager.js';
 import { DataNormalizer } from './DataNormalizer.js';
 import { VisualizationEngine } from './VisualizationEngine.js';
 import { InsightEngine } from './InsightEngine.js';
+import { ParameterSweep } from './ParameterSweep.js';
 import { ErrorHandler } from './ErrorHandler.js';
+import { secretRedactor } from './SecretRedactor.js';
 
 export class UIController {
   /**
@@ -38,10 +46,17 @@ export class UIController {
    * @param {Object} options - Configuration options
    * @param {string} options.configPath - Path to .kiro configuration file
    * @param {string} options.canvasId - ID of canvas element for chart
+   * @param {string} [options.environment] - Config environment overlay to apply (e.g. 'dev')
+   * @param {Object} [options.configLoader] - Loader for config files (see ConfigLoaders.js)
+   * @param {string} [options.fixtureMode] - Record or replay API responses ('record' or 'replay'),
+   *   overriding the config's options.fixtures.mode
    */
   constructor(options = {}) {
     this.configPath = options.configPath || '/config.json';
     this.canvasId = options.canvasId || 'chart-canvas';
+    this.environment = options.environment || null;
+    this.configLoader = options.configLoader || null;
+    this.fixtureMode = options.fixtureMode || null;
     
     // Component instances
     this.mcpConfig = null;
@@ -54,6 +69,10 @@ export class UIController {
     this.currentTimeRange = '24h';
     this.isLoading = false;
     this.lastFetchTime = null;
+    this.refreshController = null; // Cancels the refresh in progress
+    this.sourceStates = {}; // Latest series, error and staleness of each displayed source
+    this.chartOffsets = {}; // Position of each displayed source's first series on the chart
+    this.retryControllers = new Map(); // Cancel per-source retries in progress
     
     // DOM element references (will be set during initialization)
     this.elements = {};
@@ -68,11 +87,20 @@ export class UIController {
       this.showLoading();
       
       // Initialize MCP configuration parser
-      this.mcpConfig = new MCPConfigParser(this.configPath);
+      this.mcpConfig = new MCPConfigParser(this.configPath, {
+        environment: this.environment,
+        loader: this.configLoader || undefined
+      });
       await this.mcpConfig.loadConfig();
       
       // Initialize other components
-      this.dataFetcher = new DataFetcherManager(this.mcpConfig);
+      this.dataFetcher = new DataFetcherManager(this.mcpConfig, {
+        onCircuitStateChange: (status) => this.updateCircuitState(status),
+        fixtureMode: this.fixtureMode || undefined
+      });
+      if (this.dataFetcher.fixtures.recording) {
+        console.info('Recording API responses; run dashboard.saveFixtures() to save them to the fixture file');
+      }
       this.dataNormalizer = new DataNormalizer();
       this.insightEngine = new InsightEngine();
       
@@ -94,6 +122,9 @@ export class UIController {
       
       this.hideLoading();
     } catch (error) {
+      if (ErrorHandler.isAbortError(error)) {
+        return; // The initial load was superseded by a time range change
+      }
       this.hideLoading();
       const errorInfo = ErrorHandler.handle(error, 'initialization');
       this.showError(errorInfo.message);
@@ -113,8 +144,13 @@ export class UIController {
       dataCard2: document.getElementById('data-card-2'),
       insightSection: document.getElementById('insight-section'),
       loadingIndicator: document.getElementById('loading-indicator'),
+      loadingText: document.getElementById('loading-text'),
       errorContainer: document.getElementById('error-container'),
-      chartCanvas: document.getElementById(this.canvasId)
+      chartCanvas: document.getElementById(this.canvasId),
+      healthPanel: document.getElementById('health-panel'),
+      healthTable: document.getElementById('health-table'),
+      preflightButton: document.getElementById('preflight-btn'),
+      preflightResults: document.getElementById('preflight-results')
     };
   }
 
@@ -136,6 +172,33 @@ export class UIController {
         this.handleTimeRangeChange(event.target.value);
       });
     }
+
+    // Retry buttons on the cards of failed sources (the card content is re-rendered)
+    for (const card of [this.elements.dataCard1, this.elements.dataCard2]) {
+      card?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-retry-source]');
+        if (button) {
+          this.handleRetrySource(button.dataset.retrySource);
+        }
+      });
+    }
+
+    // Health panel: current figures when opened, and the preflight check
+    if (this.elements.healthPanel) {
+      this.elements.healthPanel.addEventListener('toggle', () => {
+        if (this.elements.healthPanel.open) {
+          this.renderHealthPanel();
+        }
+      });
+    }
+    if (this.elements.preflightButton) {
+      this.elements.preflightButton.addEventListener('click', () => {
+        this.runPreflight().catch((error) => {
+          const errorInfo = ErrorHandler.handle(error, 'preflight');
+          this.showError(errorInfo.message);
+        });
+      });
+    }
   }
 
   /**
@@ -151,11 +214,15 @@ export class UIController {
       this.showLoading();
       this.clearError();
       
-      await this.refreshData();
+      // An explicit refresh always asks the APIs for fresh data
+      await this.refreshData({ bypassCache: true });
       
       this.lastFetchTime = Date.now();
       this.hideLoading();
     } catch (error) {
+      if (ErrorHandler.isAbortError(error)) {
+        return; // Superseded by a newer refresh, which owns the loading state
+      }
       this.hideLoading();
       const errorInfo = ErrorHandler.handle(error, 'refresh');
       this.showError(errorInfo.message);
@@ -168,9 +235,7 @@ export class UIController {
    * @returns {Promise<void>}
    */
   async handleTimeRangeChange(range) {
-    if (this.isLoading) {
-      return;
-    }
+    // A refresh still running for the previous range is cancelled by refreshData()
     
     // Update current time range
     this.currentTimeRange = range;
@@ -184,6 +249,9 @@ export class UIController {
       
       this.hideLoading();
     } catch (error) {
+      if (ErrorHandler.isAbortError(error)) {
+        return; // Superseded by a newer refresh, which owns the loading state
+      }
       this.hideLoading();
       const errorInfo = ErrorHandler.handle(error, 'time-range-change');
       this.showError(errorInfo.message);
@@ -191,17 +259,30 @@ export class UIController {
   }
 
   /**
-   * Refreshes data from all sources and updates the UI
+   * Refreshes data from all sources and updates the UI. Starting a refresh
+   * cancels one that is still running, so older results never overwrite newer ones.
+   * @param {Object} [fetchOptions] - Options passed to the fetcher, e.g. { bypassCache: true }
    * @private
    * @returns {Promise<void>}
+   * @throws {DOMException} AbortError if a newer refresh superseded this one
    */
-  async refreshData() {
+  async refreshData(fetchOptions = {}) {
+    this.refreshController?.abort();
+    this.abortRetries();
+    const controller = new AbortController();
+    this.refreshController = controller;
+
     try {
       // Calculate time range parameters
       const params = this.getTimeRangeParams(this.currentTimeRange);
       
       // Fetch data from all sources
-      const results = await this.dataFetcher.fetchAllSources(params);
+      const results = await this.dataFetcher.fetchAllSources(params, {
+        ...fetchOptions,
+        signal: controller.signal,
+        onProgress: (progress) => this.updateLoadingProgress(progress)
+      });
+      controller.signal.throwIfAborted();
       
       // Get data source names
       const sourceNames = this.mcpConfig.getDataSourceNames();
@@ -214,110 +295,309 @@ export class UIController {
       const source1Name = sourceNames[0];
       const source2Name = sourceNames[1];
       
-      const result1 = results[source1Name];
-      const result2 = results[source2Name];
+      // Streaming sources are not fetched; they show the records received so far
+      for (const sourceName of [source1Name, source2Name]) {
+        if (!results[sourceName]) {
+          const stream = this.dataFetcher.getStream(sourceName) || await this.openStream(sourceName);
+          results[sourceName] = { data: stream.getRecords(), error: null };
+        }
+      }
       
-      // Check for errors
-      if (result1.error) {
-        throw result1.error;
+      // A failed source keeps its last good series; the other one is shown regardless
+      for (const sourceName of [source1Name, source2Name]) {
+        this.applySourceResult(sourceName, results[sourceName]);
       }
-      if (result2.error) {
-        throw result2.error;
+      this.renderSources();
+
+      // Nothing to show at all: report it like any failed refresh
+      const states = [source1Name, source2Name].map(name => this.sourceStates[name]);
+      if (states.every(state => !state.series)) {
+        throw states[0].error;
       }
       
-      // Normalize data
-      const source1Config = this.mcpConfig.getDataSource(source1Name);
-      const source2Config = this.mcpConfig.getDataSource(source2Name);
-      
-      let series1, series2;
-      
-      // Normalize based on source type
-      if (source1Name === 'airQuality') {
-        series1 = this.dataNormalizer.normalizeAirQuality(
-          result1.data,
-          source1Config.transformation
-        );
-      } else if (source1Name === 'weather') {
-        series1 = this.dataNormalizer.normalizeWeather(
-          result1.data,
-          source1Config.transformation
-        );
-      } else if (source1Name === 'currency') {
-        series1 = this.dataNormalizer.normalizeCurrency(
-          result1.data,
-          source1Config.transformation
-        );
-      } else if (source1Name === 'cryptocurrency') {
-        series1 = this.dataNormalizer.normalizeCrypto(
-          result1.data,
-          source1Config.transformation
-        );
-      } else {
-        series1 = this.dataNormalizer.createTimeSeries(
-          result1.data,
-          source1Config.transformation.valueField,
-          source1Config.transformation.timestampField,
-          {
-            sourceName: source1Config.name,
-            unit: source1Config.transformation.unit || '',
-            normalize: source1Config.transformation.normalize
-          }
-        );
+    } catch (error) {
+      throw error;
+    } finally {
+      if (this.refreshController === controller) {
+        this.refreshController = null;
       }
-      
-      if (source2Name === 'airQuality') {
-        series2 = this.dataNormalizer.normalizeAirQuality(
-          result2.data,
-          source2Config.transformation
-        );
-      } else if (source2Name === 'weather') {
-        series2 = this.dataNormalizer.normalizeWeather(
-          result2.data,
-          source2Config.transformation
-        );
-      } else if (source2Name === 'currency') {
-        series2 = this.dataNormalizer.normalizeCurrency(
-          result2.data,
-          source2Config.transformation
-        );
-      } else if (source2Name === 'cryptocurrency') {
-        series2 = this.dataNormalizer.normalizeCrypto(
-          result2.data,
-          source2Config.transformation
-        );
-      } else {
-        series2 = this.dataNormalizer.createTimeSeries(
-          result2.data,
-          source2Config.transformation.valueField,
-          source2Config.transformation.timestampField,
-          {
-            sourceName: source2Config.name,
-            unit: source2Config.transformation.unit || '',
-            normalize: source2Config.transformation.normalize
-          }
-        );
+      this.renderHealthPanel();
+    }
+  }
+
+  /**
+   * Records the outcome of fetching a source. A source that failed (or whose data
+   * could not be normalized) keeps the series of its last successful fetch, marked stale.
+   * @param {string} sourceName - Name of the data source
+   * @param {{data: any, error: Error|null, endpoint: Object|null, sweep: Array|undefined}} result -
+   *   Fetch result, with the endpoint that served the data (see DataFetcherManager.getServingEndpoint)
+   *   and, for a swept source, the result of each combination (see DataFetcherManager.fetchSweep)
+   * @private
+   */
+  applySourceResult(sourceName, { data, error, endpoint = null, sweep = null }) {
+    const previous = this.sourceStates[sourceName];
+
+    if (!error) {
+      try {
+        this.sourceStates[sourceName] = {
+          ...(sweep
+            ? this.normalizeSweep(sourceName, sweep)
+            : { series: this.normalizeSource(sourceName, data), seriesList: null, missing: [], endpoint }),
+          error: null,
+          message: null,
+          stale: false,
+          updatedAt: Date.now()
+        };
+        return;
+      } catch (normalizeError) {
+        error = normalizeError;
       }
-      
-      // Update data cards
-      this.updateDataCards({
-        source1: series1,
-        source2: series2
-      });
-      
-      // Update or create visualization
-      if (this.visualizationEngine.getChart()) {
-        this.visualizationEngine.updateChart(series1, series2);
-      } else {
-        this.visualizationEngine.renderDualSourceChart(series1, series2);
+    }
+
+    const errorInfo = ErrorHandler.handle(error, `source:${sourceName}`);
+    this.sourceStates[sourceName] = {
+      series: previous?.series || null,
+      seriesList: previous?.seriesList || null,
+      missing: previous?.missing || [],
+      error,
+      message: errorInfo.message,
+      stale: Boolean(previous?.series),
+      endpoint: previous?.endpoint || null,
+      updatedAt: previous?.updatedAt || null
+    };
+  }
+
+  /**
+   * Turns the combinations of a swept source into labelled series. Combinations that
+   * failed are listed as missing; the source fails only if none could be loaded.
+   * @param {string} sourceName - Name of the data source
+   * @param {Array<Object>} sweep - Result of each combination (see DataFetcherManager.fetchSweep)
+   * @returns {Object} { series (the first one), seriesList, missing: [{ label, message }], endpoint }
+   * @throws {Error} The first combination's error if no combination could be loaded
+   * @private
+   */
+  normalizeSweep(sourceName, sweep) {
+    const seriesList = [];
+    const missing = [];
+    let firstError = null;
+
+    for (const { label, params, data, error } of sweep) {
+      try {
+        if (error) {
+          throw error;
+        }
+        const series = this.normalizeSource(sourceName, data, params);
+        seriesList.push({ ...series, sourceName: `${series.sourceName} (${label})`, label });
+      } catch (entryError) {
+        firstError ??= entryError;
+        missing.push({ label, message: ErrorHandler.handle(entryError, `source:${sourceName}`).message });
       }
-      
-      // Generate and display insights
-      const insights = this.insightEngine.analyzeData(series1, series2);
-      this.updateInsightSection(insights);
-      
+    }
+
+    if (seriesList.length === 0) {
+      throw firstError;
+    }
+
+    // Label the card if any combination was served by a fallback endpoint
+    const endpoints = sweep.map(entry => entry.endpoint).filter(Boolean);
+    return {
+      series: seriesList[0],
+      seriesList,
+      missing,
+      endpoint: endpoints.find(served => served.fallback) || endpoints[0] || null
+    };
+  }
+
+  /**
+   * Turns a source's response into a time series
+   * @param {string} sourceName - Name of the data source
+   * @param {any} data - Response data
+   * @param {Object} [sweepParams] - Parameters of the sweep combination the data is for; they fill
+   *   {param} placeholders in the transformation
+   * @returns {Object} Normalized time series object
+   * @private
+   */
+  normalizeSource(sourceName, data, sweepParams = null) {
+    const sourceConfig = this.mcpConfig.getDataSource(sourceName);
+    const transformation = sweepParams
+      ? ParameterSweep.resolveTransformation(sourceConfig.transformation, sweepParams)
+      : sourceConfig.transformation;
+
+    // Normalize based on source type
+    if (sourceName === 'airQuality') {
+      return this.dataNormalizer.normalizeAirQuality(data, transformation);
+    } else if (sourceName === 'weather') {
+      return this.dataNormalizer.normalizeWeather(data, transformation);
+    } else if (sourceName === 'currency') {
+      return this.dataNormalizer.normalizeCurrency(data, transformation);
+    } else if (sourceName === 'cryptocurrency') {
+      return this.dataNormalizer.normalizeCrypto(data, transformation);
+    }
+
+    return this.normalizeRecords(sourceName, data, transformation);
+  }
+
+  /**
+   * Draws the cards, chart and insights from the current state of both displayed
+   * sources. A source without data is drawn as an empty, unavailable series. A swept
+   * source adds one series per combination; with more than two series in total they
+   * are drawn on a multi-series chart.
+   * @private
+   */
+  renderSources() {
+    const sourceNames = this.mcpConfig.getDataSourceNames().slice(0, 2);
+    const states = sourceNames.map(name => this.sourceStates[name]);
+    if (states.some(state => !state)) {
+      return; // Not fetched yet
+    }
+
+    // Update data cards
+    const cards = [this.elements.dataCard1, this.elements.dataCard2];
+    sourceNames.forEach((sourceName, index) => {
+      const card = cards[index];
+      if (card) {
+        card.dataset.sourceState = getSourceStatus(states[index]);
+        if (!states[index].series) {
+          card.innerHTML = this.renderErrorCard(sourceName, states[index]);
+        } else if (states[index].seriesList) {
+          card.innerHTML = this.renderSweepCard(sourceName, states[index]);
+        } else {
+          card.innerHTML = this.renderDataCard(states[index].series, { sourceName, ...states[index] });
+        }
+      }
+    });
+
+    // Update or create visualization, remembering where each source's series start
+    const seriesBySource = sourceNames.map((sourceName, index) => (
+      states[index].seriesList || [states[index].series || this.createEmptySeries(sourceName)]
+    ));
+    const seriesList = seriesBySource.flat();
+    this.chartOffsets = {};
+    sourceNames.forEach((sourceName, index) => {
+      this.chartOffsets[sourceName] = seriesBySource.slice(0, index).flat().length;
+    });
+
+    if (seriesList.length !== 2) {
+      this.visualizationEngine.renderMultiSeriesChart(seriesList);
+    } else if (this.visualizationEngine.getChart()) {
+      this.visualizationEngine.updateChart(seriesList[0], seriesList[1]);
+    } else {
+      this.visualizationEngine.renderDualSourceChart(seriesList[0], seriesList[1]);
+    }
+    sourceNames.forEach((sourceName, index) => {
+      seriesBySource[index].forEach((series, position) => this.visualizationEngine.setSeriesState(
+        this.chartOffsets[sourceName] + position,
+        getSourceStatus(states[index])
+      ));
+    });
+
+    // Generate and display insights, naming the sources that are missing or stale;
+    // a swept source is correlated through its first series
+    const displayName = (index) => this.mcpConfig.getDataSource(sourceNames[index]).name;
+    const insights = this.insightEngine.analyzeData(states[0].series, states[1].series, {
+      unavailable: states.flatMap((state, index) => (state.series ? [] : [displayName(index)])),
+      stale: states.flatMap((state, index) => (state.stale ? [displayName(index)] : []))
+    });
+    const sweepInsights = states.flatMap((state, index) => (
+      state.seriesList?.length > 1 ? [this.insightEngine.generateSweepInsight(displayName(index), state.seriesList)] : []
+    ));
+    this.updateInsightSection({ ...insights, summary: [insights.summary, ...sweepInsights].filter(Boolean).join(' ') });
+  }
+
+  /**
+   * Creates an empty series standing in for a source that could not be loaded
+   * @param {string} sourceName - Name of the data source
+   * @returns {Object} Time series object without data points
+   * @private
+   */
+  createEmptySeries(sourceName) {
+    const { name, transformation } = this.mcpConfig.getDataSource(sourceName);
+    return { sourceName: name, dataPoints: [], metadata: { unit: transformation?.unit || '' } };
+  }
+
+  /**
+   * Fetches one failed source again, leaving the other one as it is
+   * @param {string} sourceName - Name of the data source
+   * @returns {Promise<void>}
+   * @throws {DOMException} AbortError if a refresh started in the meantime
+   */
+  async retrySource(sourceName) {
+    this.retryControllers.get(sourceName)?.abort();
+    const controller = new AbortController();
+    this.retryControllers.set(sourceName, controller);
+
+    const button = this.findRetryButton(sourceName);
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Retrying...';
+    }
+
+    try {
+      const params = this.getTimeRangeParams(this.currentTimeRange);
+      const fetchOptions = { bypassCache: true, signal: controller.signal };
+      let result;
+      try {
+        if (ParameterSweep.isSwept(this.mcpConfig.getDataSource(sourceName))) {
+          const sweep = await this.dataFetcher.fetchSweep(sourceName, params, fetchOptions);
+          result = { data: null, error: sweep.every(entry => entry.error) ? sweep[0].error : null, sweep };
+        } else {
+          const data = await this.dataFetcher.fetchFromSource(sourceName, params, fetchOptions);
+          result = { data, error: null, endpoint: this.dataFetcher.getServingEndpoint(sourceName) };
+        }
+      } catch (error) {
+        result = { data: null, error };
+      }
+      controller.signal.throwIfAborted();
+
+      this.applySourceResult(sourceName, result);
+      this.renderSources();
+    } finally {
+      if (this.retryControllers.get(sourceName) === controller) {
+        this.retryControllers.delete(sourceName);
+      }
+      this.renderHealthPanel();
+    }
+  }
+
+  /**
+   * Handles a click on a source's retry button
+   * @param {string} sourceName - Name of the data source
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleRetrySource(sourceName) {
+    try {
+      await this.retrySource(sourceName);
     } catch (error) {
-      throw error;
+      if (ErrorHandler.isAbortError(error)) {
+        return; // Superseded by a refresh, which redraws the card
+      }
+      const errorInfo = ErrorHandler.handle(error, 'retry-source');
+      this.showError(errorInfo.message);
+    }
+  }
+
+  /**
+   * Cancels the per-source retries in progress
+   * @private
+   */
+  abortRetries() {
+    for (const controller of this.retryControllers.values()) {
+      controller.abort();
     }
+    this.retryControllers.clear();
+  }
+
+  /**
+   * Finds the retry button on a source's card
+   * @param {string} sourceName - Name of the data source
+   * @returns {HTMLButtonElement|undefined} The button, if the card shows one
+   * @private
+   */
+  findRetryButton(sourceName) {
+    return [this.elements.dataCard1, this.elements.dataCard2]
+      .flatMap(card => (card ? [...card.querySelectorAll('[data-retry-source]')] : []))
+      .find(button => button.dataset.retrySource === sourceName);
   }
 
   /**
@@ -341,10 +621,12 @@ export class UIController {
   /**
    * Renders HTML for a data summary card
    * @param {Object} series - Time series object
+   * @param {Object} [sourceState] - The source's state; a stale source gets a notice and retry button,
+   *   and data served by a fallback endpoint is labelled
    * @returns {string} HTML string for the card
    * @private
    */
-  renderDataCard(series) {
+  renderDataCard(series, sourceState = null) {
     const { sourceName, metadata, dataPoints } = series;
     
     // Calculate additional metrics
@@ -377,6 +659,96 @@ export class UIController {
             <span class="metric-value">${metadata.count}</span>
           </div>
         </div>
+        ${sourceState?.endpoint?.fallback ? `
+          <p class="data-card-endpoint mt-2 text-sm text-gray-500">Served by fallback endpoint '${this.escapeHtml(sourceState.endpoint.name)}'</p>
+        ` : ''}
+        ${sourceState?.stale ? this.renderSourceNotice(sourceState.sourceName, sourceState) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders HTML for the card of a swept source: the latest value of each combination,
+   * and the combinations that could not be loaded
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} sourceState - The source's state, with its seriesList
+   * @returns {string} HTML string for the card
+   * @private
+   */
+  renderSweepCard(sourceName, sourceState) {
+    const { name } = this.mcpConfig.getDataSource(sourceName);
+    const { seriesList, missing } = sourceState;
+
+    const rows = seriesList.map(({ label, metadata, dataPoints }) => {
+      const latestValue = dataPoints.length > 0
+        ? dataPoints[dataPoints.length - 1].originalValue
+        : 0;
+      return `
+          <div class="metric">
+            <span class="metric-label">${this.escapeHtml(label)}</span>
+            <span class="metric-value">${latestValue.toFixed(2)} ${metadata.unit}</span>
+          </div>`;
+    });
+
+    return `
+      <div class="data-card-content">
+        <h3 class="data-card-title">${this.escapeHtml(name)}</h3>
+        <div class="data-card-metrics">${rows.join('')}
+        </div>
+        ${missing.length > 0 ? `
+          <div class="data-card-missing mt-2 text-sm text-gray-500">
+            <p>Could not load: ${missing.map(({ label, message }) => `${this.escapeHtml(label)} (${this.escapeHtml(secretRedactor.redact(message))})`).join(', ')}</p>
+            <button type="button" class="mt-2 px-3 py-1 border border-current rounded-lg font-medium" data-retry-source="${this.escapeHtml(sourceName)}">
+              Retry
+            </button>
+          </div>
+        ` : ''}
+        ${sourceState.endpoint?.fallback ? `
+          <p class="data-card-endpoint mt-2 text-sm text-gray-500">Served by fallback endpoint '${this.escapeHtml(sourceState.endpoint.name)}'</p>
+        ` : ''}
+        ${sourceState.stale ? this.renderSourceNotice(sourceName, sourceState) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders HTML for the card of a source that failed and has no earlier data
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} sourceState - The source's state
+   * @returns {string} HTML string for the card
+   * @private
+   */
+  renderErrorCard(sourceName, sourceState) {
+    const { name } = this.mcpConfig.getDataSource(sourceName);
+
+    return `
+      <div class="data-card-content">
+        <h3 class="data-card-title">${this.escapeHtml(name)}</h3>
+        ${this.renderSourceNotice(sourceName, sourceState)}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders why a source's data is missing or stale, with a retry button
+   * @param {string} sourceName - Name of the data source
+   * @param {Object} sourceState - The source's state
+   * @returns {string} HTML string
+   * @private
+   */
+  renderSourceNotice(sourceName, sourceState) {
+    const status = getSourceStatus(sourceState);
+    const heading = status === 'stale'
+      ? `Showing data from ${new Date(sourceState.updatedAt).toLocaleTimeString()}; the latest update failed.`
+      : 'Data could not be loaded.';
+
+    return `
+      <div class="data-card-notice mt-4 p-3 rounded-lg text-sm ${status === 'stale' ? 'bg-yellow-50 text-yellow-800' : 'bg-red-50 text-red-800'}" data-status="${status}">
+        <p class="font-medium">${heading}</p>
+        <p>${this.escapeHtml(secretRedactor.redact(sourceState.message))}</p>
+        <button type="button" class="mt-2 px-3 py-1 border border-current rounded-lg font-medium" data-retry-source="${this.escapeHtml(sourceName)}">
+          Retry
+        </button>
       </div>
     `;
   }
@@ -391,6 +763,11 @@ export class UIController {
     }
     
     const { trends, spikes, correlation, summary } = insights;
+    // Without both sources there is nothing to correlate
+    const correlationText = Object.values(trends).includes(null)
+      ? 'unavailable'
+      : `${correlation.strength} ${correlation.direction} 
+              (r=${correlation.coefficient})`;
     
     this.elements.insightSection.innerHTML = `
       <div class="insight-content">
@@ -401,8 +778,7 @@ export class UIController {
           <div class="insight-detail">
             <span class="insight-label">Correlation:</span>
             <span class="insight-value">
-              ${correlation.strength} ${correlation.direction} 
-              (r=${correlation.coefficient})
+              ${correlationText}
             </span>
           </div>
           
@@ -417,24 +793,274 @@ export class UIController {
     `;
   }
 
+  /**
+   * Reflects a source's circuit breaker state on its data card as
+   * data-circuit-state="closed|open|half-open", so a paused source can be styled
+   * @param {Object} status - Circuit status from DataFetcherManager.getCircuitState()
+   */
+  updateCircuitState(status) {
+    const index = this.mcpConfig.getDataSourceNames().indexOf(status.name);
+    const card = [this.elements.dataCard1, this.elements.dataCard2][index];
+
+    if (card) {
+      card.dataset.circuitState = status.state;
+    }
+    this.renderHealthPanel();
+  }
+
+  /**
+   * Opens the live connection of a streaming source
+   * @param {string} sourceName - Name of the data source
+   * @returns {Promise<StreamingSource>} The connecting stream
+   * @private
+   */
+  openStream(sourceName) {
+    return this.dataFetcher.openStream(sourceName, {
+      onRecords: (records) => this.handleStreamRecords(sourceName, records),
+      onStateChange: (status) => this.updateStreamState(status),
+      onError: (error) => {
+        const errorInfo = ErrorHandler.handle(error, 'stream');
+        this.showError(errorInfo.message);
+      }
+    });
+  }
+
+  /**
+   * Appends records that arrived on a stream to the chart and updates the source's card
+   * @param {string} sourceName - Name of the streaming source
+   * @param {Array<any>} records - New records
+   * @private
+   */
+  handleStreamRecords(sourceName, records) {
+    const index = this.mcpConfig.getDataSourceNames().indexOf(sourceName);
+    const seriesIndex = this.chartOffsets[sourceName];
+    const stream = this.dataFetcher.getStream(sourceName);
+
+    // Until the first chart is drawn, the records are picked up from the stream's window
+    if (index < 0 || index > 1 || seriesIndex === undefined || !stream || !this.visualizationEngine?.getChart()) {
+      return;
+    }
+
+    const { dataPoints } = this.normalizeRecords(sourceName, records);
+    this.visualizationEngine.appendDataPoints(seriesIndex, dataPoints, stream.windowSize);
+
+    const card = [this.elements.dataCard1, this.elements.dataCard2][index];
+    if (card) {
+      card.innerHTML = this.renderDataCard(this.normalizeRecords(sourceName, stream.getRecords()));
+    }
+  }
+
+  /**
+   * Turns records into a time series using the source's transformation
+   * @param {string} sourceName - Name of the data source
+   * @param {Array<any>} records - Records to convert
+   * @param {Object} [transformation] - Transformation to apply instead of the source's own
+   * @returns {Object} Normalized time series object
+   * @private
+   */
+  normalizeRecords(sourceName, records, transformation = this.mcpConfig.getDataSource(sourceName).transformation) {
+    const { name } = this.mcpConfig.getDataSource(sourceName);
+
+    return this.dataNormalizer.createTimeSeries(
+      records,
+      transformation.valueField,
+      transformation.timestampField,
+      {
+        sourceName: name,
+        unit: transformation.unit || '',
+        normalize: transformation.normalize
+      }
+    );
+  }
+
+  /**
+   * Reflects a streaming source's connection state on its data card as
+   * data-stream-state="connecting|open|reconnecting|closed"
+   * @param {Object} status - Stream status from StreamingSource.getStatus()
+   */
+  updateStreamState(status) {
+    const index = this.mcpConfig.getDataSourceNames().indexOf(status.name);
+    const card = [this.elements.dataCard1, this.elements.dataCard2][index];
+
+    if (card) {
+      card.dataset.streamState = status.state;
+    }
+  }
+
+  /**
+   * Gets the circuit breaker state of every data source
+   * @returns {Object<string, Object>} Circuit status by source name (see DataFetcherManager.getCircuitState)
+   */
+  getCircuitStates() {
+    return this.dataFetcher?.getCircuitStates() || {};
+  }
+
+  /**
+   * Fills the health panel with each source's circuit state and request metrics
+   */
+  renderHealthPanel() {
+    const table = this.elements.healthTable;
+    if (!table || !this.dataFetcher) {
+      return;
+    }
+
+    const circuits = this.dataFetcher.getCircuitStates();
+    table.innerHTML = Object.values(this.dataFetcher.getAllMetrics())
+      .map(metrics => this.renderHealthRow(metrics, circuits[metrics.name]))
+      .join('');
+  }
+
+  /**
+   * Renders one source's row of the health panel
+   * @param {Object} metrics - Metrics from DataFetcherManager.getMetrics()
+   * @param {Object} circuit - Circuit status from DataFetcherManager.getCircuitState()
+   * @returns {string} HTML table row
+   * @private
+   */
+  renderHealthRow(metrics, circuit) {
+    const { latency, lastError } = metrics;
+    const endpoint = this.dataFetcher.getServingEndpoint(metrics.name);
+    const label = (this.mcpConfig.getDataSource(metrics.name)?.name || metrics.name)
+      + (endpoint?.fallback ? ` (via ${endpoint.name})` : '');
+    const errors = Object.entries(metrics.errors)
+      .map(([type, count]) => `${type} × ${count}`)
+      .join(', ');
+
+    return `
+      <tr class="border-b border-gray-100" data-source="${this.escapeHtml(metrics.name)}" data-circuit-state="${circuit.state}">
+        <td class="py-2 pr-4 font-medium">${this.escapeHtml(label)}</td>
+        <td class="py-2 pr-4">${circuit.state}</td>
+        <td class="py-2 pr-4">${metrics.successes} / ${metrics.failures}</td>
+        <td class="py-2 pr-4">${formatDuration(latency.p50)} / ${formatDuration(latency.p95)}</td>
+        <td class="py-2 pr-4">${metrics.retries}</td>
+        <td class="py-2 pr-4">${metrics.rateLimitWaits} (${formatDuration(metrics.rateLimitWaitTime)})</td>
+        <td class="py-2 pr-4">${metrics.cacheHits}</td>
+        <td class="py-2 pr-4">${formatBytes(metrics.bytes)}</td>
+        <td class="py-2" title="${this.escapeHtml(lastError ? lastError.message : '')}">${this.escapeHtml(errors) || '–'}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Checks the configuration and probes every data source, listing the results in the
+   * health panel (this replaces the old diagnostic page)
+   * @returns {Promise<Array<Object>>} Probe results (see DataFetcherManager.preflight)
+   */
+  async runPreflight() {
+    const list = this.elements.preflightResults;
+    const button = this.elements.preflightButton;
+    if (!this.dataFetcher) {
+      throw new Error('Dashboard is not initialized');
+    }
+
+    if (button) {
+      button.disabled = true;
+    }
+    if (list) {
+      list.innerHTML = '<li class="text-gray-500">Running preflight...</li>';
+    }
+
+    try {
+      // A short window keeps the probes to one request per source
+      const results = await this.dataFetcher.preflight(this.getTimeRangeParams('24h'));
+
+      if (list) {
+        const sourceNames = this.mcpConfig.getDataSourceNames();
+        const warnings = this.mcpConfig.getValidationReport()?.warnings.length || 0;
+        const configuration = {
+          name: 'Configuration',
+          status: warnings > 0 ? 'warning' : 'ok',
+          message: `${sourceNames.length} data sources loaded from ${this.configPath.split('?')[0]}`
+            + (warnings > 0 ? `; ${warnings} validation warnings (see the console)` : '')
+        };
+        list.innerHTML = [configuration, ...results].map(result => this.renderPreflightResult(result)).join('');
+      }
+      this.renderHealthPanel();
+
+      return results;
+    } finally {
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Renders one preflight result
+   * @param {Object} result - { name, status, message, error }
+   * @returns {string} HTML list item
+   * @private
+   */
+  renderPreflightResult(result) {
+    const colors = {
+      ok: 'text-green-700',
+      warning: 'text-yellow-700',
+      failed: 'text-red-700',
+      skipped: 'text-gray-500'
+    };
+    const label = this.mcpConfig.getDataSource(result.name)?.name || result.name;
+    const message = result.error
+      ? `${ErrorHandler.getUserMessage(result.error)} (${result.message})`
+      : result.message;
+
+    return `
+      <li class="${colors[result.status]}" data-status="${result.status}">
+        <span class="font-medium">${this.escapeHtml(label)}:</span>
+        ${result.status.toUpperCase()}, ${this.escapeHtml(secretRedactor.redact(message))}
+      </li>
+    `;
+  }
+
+  /**
+   * Saves the API responses recorded so far (with ?fixtures=record) to the fixture file
+   * @returns {Promise<void>}
+   */
+  async saveFixtures() {
+    if (!this.dataFetcher) {
+      throw new Error('Dashboard is not initialized');
+    }
+    await this.dataFetcher.saveFixtures();
+  }
+
   /**
    * Shows the loading indicator
    */
   showLoading() {
     this.isLoading = true;
     
+    if (this.elements.loadingText) {
+      this.elements.loadingText.textContent = 'Loading data...';
+    }
+    
     if (this.elements.loadingIndicator) {
       this.elements.loadingIndicator.style.display = 'block';
       this.elements.loadingIndicator.classList.add('visible');
     }
     
-    // Disable interactive elements
+    // Disable interactive elements. The time range stays enabled: picking a
+    // new range cancels the refresh in progress.
     if (this.elements.refreshButton) {
       this.elements.refreshButton.disabled = true;
     }
-    if (this.elements.timeRangeSelect) {
-      this.elements.timeRangeSelect.disabled = true;
+  }
+
+  /**
+   * Shows how many requests of a refresh have finished, e.g. "3 of 12 requests".
+   * Only shown when a refresh needs more requests than there are sources, because
+   * of time range chunks or parameter sweeps.
+   * @param {Object} progress - Progress from DataFetcherManager
+   * @param {number} progress.completed - Requests finished so far
+   * @param {number} progress.total - Requests in the refresh
+   */
+  updateLoadingProgress({ completed, total }) {
+    if (!this.elements.loadingText) {
+      return;
     }
+
+    const sourceCount = this.mcpConfig.getDataSourceNames().length;
+    this.elements.loadingText.textContent = total > sourceCount
+      ? `Loading data... ${completed} of ${total} requests`
+      : 'Loading data...';
   }
 
   /**
@@ -459,18 +1085,20 @@ export class UIController {
 
   /**
    * Displays an error message to the user
-   * @param {string} message - Error message to display
+   * @param {string} message - Error message to display (registered secrets are redacted)
    */
   showError(message) {
+    const safeMessage = secretRedactor.redact(message);
+
     if (!this.elements.errorContainer) {
-      console.error('Error container not found:', message);
+      console.error('Error container not found:', safeMessage);
       return;
     }
     
     this.elements.errorContainer.innerHTML = `
       <div class="error-message">
         <span class="error-icon">⚠️</span>
-        <span class="error-text">${this.escapeHtml(message)}</span>
+        <span class="error-text">${this.escapeHtml(safeMessage)}</span>
         <button class="error-close" onclick="this.parentElement.parentElement.style.display='none'">
           ×
         </button>
@@ -491,40 +1119,41 @@ export class UIController {
   }
 
   /**
-   * Calculates time range parameters for API requests
-   * @param {string} range - Time range string (e.g., '24h', '7d', '30d')
-   * @returns {Object} Parameters object with start and end timestamps
+   * Calculates the abstract time window for API requests. Each data source's
+   * paramMapping turns it into that API's own parameter names and formats.
+   * @param {string} range - Time range string (e.g., '24h', '7d', '30d', '1y', '5y')
+   * @returns {Object} Request inputs: { timeRange: { start, end } } with ms timestamps
    * @private
    */
   getTimeRangeParams(range) {
-    const now = Math.floor(Date.now() / 1000); // Unix timestamp in seconds
+    // Whole minutes, so requests made within the same minute share cache entries
+    const minute = 60 * 1000;
+    const end = Math.floor(Date.now() / minute) * minute;
+    const hour = 60 * minute;
     let start;
     
     switch (range) {
       case '24h':
-        start = now - (24 * 60 * 60);
+        start = end - (24 * hour);
         break;
       case '7d':
-        start = now - (7 * 24 * 60 * 60);
+        start = end - (7 * 24 * hour);
         break;
       case '30d':
-        start = now - (30 * 24 * 60 * 60);
+        start = end - (30 * 24 * hour);
+        break;
+      case '1y':
+        start = end - (365 * 24 * hour);
+        break;
+      case '5y':
+        start = end - (5 * 365 * 24 * hour);
         break;
       default:
-        start = now - (24 * 60 * 60); // Default to 24 hours
+        start = end - (24 * hour); // Default to 24 hours
     }
     
-    // Convert to date strings for Open-Meteo API (YYYY-MM-DD format)
-    const startDate = new Date(start * 1000).toISOString().split('T')[0];
-    const endDate = new Date(now * 1000).toISOString().split('T')[0];
-    
     return {
-      start: start,
-      end: now,
-      start_date: startDate,
-      end_date: endDate,
-      from: start,
-      to: now
+      timeRange: { start, end }
     };
   }
 
@@ -548,6 +1177,13 @@ export class UIController {
    * Destroys the controller and cleans up resources
    */
   destroy() {
+    // Stop a refresh or retries that are still running
+    this.refreshController?.abort();
+    this.abortRetries();
+    
+    // Disconnect live streams
+    this.dataFetcher?.closeStreams();
+    
     // Clean up visualization engine
     if (this.visualizationEngine) {
       this.visualizationEngine.destroy();
@@ -570,3 +1206,39 @@ export class UIController {
     this.insightEngine = null;
   }
 }
+
+/**
+ * Formats milliseconds for the health panel
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} e.g. '85 ms' or '2.4 s', or '–' without a value
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '–';
+  }
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Formats a byte count for the health panel
+ * @param {number} bytes - Number of bytes
+ * @returns {string} e.g. '512 B', '3.2 KB' or '1.4 MB'
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Gets how a source is shown: 'ok', 'stale' (last good data after a failure) or 'error'
+ * @param {Object} sourceState - The source's state
+ * @returns {string} The status
+ */
+function getSourceStatus(sourceState) {
+  if (!sourceState.error) {
+    return 'ok';
+  }
+  return sourceState.stale ? 'stale' : 'error';
+}
@@ -1,8 +1,8 @@
 /**
  * VisualizationEngine - Renders interactive charts using Chart.js
  * 
- * This class manages the creation and updating of dual-source data visualizations
- * with interactive tooltips, legends, and smooth animations.
+ * This class manages the creation and updating of dual-source and multi-series data
+ * visualizations with interactive tooltips, legends, and smooth animations.
  * 
  * @example
  * const canvas = document.getElementById('chart-canvas');
@@ -14,6 +14,16 @@
  * // Update the chart with new data
  * vizEngine.updateChart(newAirQualitySeries, newCryptoSeries);
  * 
+ * // Render any number of series, e.g. one per city of a swept source; series that
+ * // share a unit share a y-axis
+ * vizEngine.renderMultiSeriesChart([newYork, london, tokyo]);
+ * 
+ * // Append live data points to the second series, keeping its latest 100
+ * vizEngine.appendDataPoints(1, streamedPoints, 100);
+ * 
+ * // Mark the first series as left over from an earlier refresh (dashed, '(stale)' label)
+ * vizEngine.setSeriesState(0, 'stale');
+ * 
  * // Clean up when done
  * vizEngine.destroy();
  */
@@ -22,6 +32,25 @@ import { Chart, registerables } from 'chart.js';
 // Register all Chart.js components
 Chart.register(...registerables);
 
+// Line colors in series order: blue and red as in the dual-source chart, then the rest
+const SERIES_COLORS = [
+  'rgb(59, 130, 246)', // Blue
+  'rgb(239, 68, 68)', // Red
+  'rgb(34, 197, 94)', // Green
+  'rgb(245, 158, 11)', // Amber
+  'rgb(139, 92, 246)', // Violet
+  'rgb(236, 72, 153)', // Pink
+  'rgb(20, 184, 166)', // Teal
+  'rgb(107, 114, 128)' // Gray
+];
+
+// Legend suffix of a series in each state (see setSeriesState)
+const SERIES_STATE_LABELS = {
+  ok: '',
+  stale: ' (stale)',
+  error: ' (unavailable)'
+};
+
 export class VisualizationEngine {
   /**
    * Creates a new VisualizationEngine instance
@@ -37,6 +66,32 @@ export class VisualizationEngine {
     this.currentData = null;
   }
 
+  /**
+   * Shows whether a series is current, left over from an earlier refresh, or could
+   * not be loaded. A stale series is drawn dashed and an unavailable one is empty;
+   * both say so in the legend. Rendering or updating the chart resets the state.
+   * @param {number} seriesIndex - Position of the series: 0 for the first, 1 for the second, ...
+   * @param {string} state - 'ok', 'stale' or 'error'
+   */
+  setSeriesState(seriesIndex, state) {
+    if (!(state in SERIES_STATE_LABELS)) {
+      throw new Error(`Unknown series state '${state}'; expected ok, stale or error`);
+    }
+    if (!this.chart || !this.currentData) {
+      throw new Error('Render a chart before setting a series state');
+    }
+
+    const series = this.getSeriesList()[seriesIndex];
+    const dataset = this.chart.data.datasets[seriesIndex];
+    dataset.label = `${series.sourceName}${SERIES_STATE_LABELS[state]}`;
+    dataset.borderDash = state === 'stale' ? [6, 4] : [];
+    if (state === 'error') {
+      dataset.data = [];
+    }
+
+    this.chart.update('none');
+  }
+
   /**
    * Renders a dual-source chart with two y-axes
    * @param {Object} series1 - First normalized time series object
@@ -136,15 +191,108 @@ export class VisualizationEngine {
     return this.chart;
   }
 
+  /**
+   * Renders any number of series, with one y-axis per unit: the first on the left and
+   * the others on the right. Series are colored in order, starting with the blue and
+   * red of the dual-source chart.
+   * @param {Array<Object>} seriesList - Normalized time series objects, at least one
+   * @param {Object} options - Chart configuration options
+   * @returns {Chart} The created Chart.js instance
+   */
+  renderMultiSeriesChart(seriesList, options = {}) {
+    if (!Array.isArray(seriesList) || seriesList.length === 0) {
+      throw new Error('At least one series is required');
+    }
+
+    if (seriesList.some(series => !series?.dataPoints)) {
+      throw new Error('Every series must have a dataPoints array');
+    }
+
+    // Destroy existing chart if it exists to prevent memory leaks
+    if (this.chart) {
+      this.chart.destroy();
+    }
+
+    this.currentData = { seriesList, options };
+
+    // Series with the same unit are drawn against the same axis
+    const units = [...new Set(seriesList.map(series => series.metadata.unit))];
+    const axisIds = units.map((unit, index) => `y${index + 1}`);
+    const datasets = seriesList.map((series, index) => this.createDataset(
+      series,
+      SERIES_COLORS[index % SERIES_COLORS.length],
+      axisIds[units.indexOf(series.metadata.unit)]
+    ));
+
+    const scales = {
+      x: {
+        display: true,
+        title: {
+          display: true,
+          text: 'Time'
+        },
+        ticks: {
+          maxRotation: 45,
+          minRotation: 45
+        }
+      }
+    };
+    units.forEach((unit, index) => {
+      const onAxis = seriesList.filter(series => series.metadata.unit === unit);
+      scales[axisIds[index]] = {
+        type: 'linear',
+        display: true,
+        position: index === 0 ? 'left' : 'right',
+        title: {
+          display: true,
+          text: onAxis.length === 1 ? `${onAxis[0].sourceName} (${unit})` : unit
+        },
+        grid: {
+          drawOnChartArea: index === 0,
+        }
+      };
+    });
+
+    const chartConfig = {
+      type: 'line',
+      data: {
+        labels: this.generateLabels(...seriesList),
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false,
+        },
+        plugins: {
+          legend: this.configureLegends(...seriesList),
+          tooltip: this.configureTooltips(...seriesList)
+        },
+        scales,
+        animation: {
+          duration: 750,
+          easing: 'easeInOutQuart'
+        },
+        ...options
+      }
+    };
+
+    this.chart = new Chart(this.canvas, chartConfig);
+
+    return this.chart;
+  }
+
   /**
    * Updates the chart with new data
    * @param {Object} series1 - Updated first time series
    * @param {Object} series2 - Updated second time series
    */
   updateChart(series1, series2) {
-    if (!this.chart) {
-      // If no chart exists, create one
-      return this.renderDualSourceChart(series1, series2);
+    if (!this.chart || this.currentData?.seriesList) {
+      // If no dual-source chart exists, create one
+      return this.renderDualSourceChart(series1, series2, this.currentData?.options);
     }
 
     // Validate input data
@@ -161,9 +309,11 @@ export class VisualizationEngine {
     // Update datasets
     this.chart.data.datasets[0].data = series1.dataPoints.map(dp => dp.originalValue);
     this.chart.data.datasets[0].label = series1.sourceName;
+    this.chart.data.datasets[0].borderDash = [];
 
     this.chart.data.datasets[1].data = series2.dataPoints.map(dp => dp.originalValue);
     this.chart.data.datasets[1].label = series2.sourceName;
+    this.chart.data.datasets[1].borderDash = [];
 
     // Update scale titles
     this.chart.options.scales.y1.title.text = `${series1.sourceName} (${series1.metadata.unit})`;
@@ -176,13 +326,44 @@ export class VisualizationEngine {
     this.chart.update();
   }
 
+  /**
+   * Appends data points to one series in place, e.g. as they arrive from a stream.
+   * The series keeps a sliding window of its latest points; the chart is updated
+   * without animation instead of being rebuilt.
+   * @param {number} seriesIndex - Position of the series: 0 for the first, 1 for the second, ...
+   * @param {Array<Object>} dataPoints - New data points, oldest first
+   * @param {number} [maxPoints=100] - Number of points the series keeps
+   */
+  appendDataPoints(seriesIndex, dataPoints, maxPoints = 100) {
+    if (!this.chart || !this.currentData) {
+      throw new Error('Render a chart before appending data points');
+    }
+    if (dataPoints.length === 0) {
+      return;
+    }
+
+    const seriesList = [...this.getSeriesList()];
+    const series = seriesList[seriesIndex];
+    seriesList[seriesIndex] = { ...series, dataPoints: [...series.dataPoints, ...dataPoints].slice(-maxPoints) };
+    this.currentData = this.currentData.seriesList
+      ? { ...this.currentData, seriesList }
+      : { ...this.currentData, series1: seriesList[0], series2: seriesList[1] };
+
+    // Grow and trim the existing data array rather than replacing it
+    const data = this.chart.data.datasets[seriesIndex].data;
+    data.push(...dataPoints.map(dp => dp.originalValue));
+    data.splice(0, Math.max(0, data.length - maxPoints));
+
+    this.chart.data.labels = this.generateLabels(...seriesList);
+    this.chart.update('none');
+  }
+
   /**
    * Configures tooltip settings for detailed value display
-   * @param {Object} series1 - First time series for context
-   * @param {Object} series2 - Second time series for context
+   * @param {...Object} seriesList - The charted time series, in dataset order, for context
    * @returns {Object} Tooltip configuration
    */
-  configureTooltips(series1, series2) {
+  configureTooltips(...seriesList) {
     return {
       enabled: true,
       mode: 'index',
@@ -204,7 +385,7 @@ export class VisualizationEngine {
           const value = context.parsed.y;
           
           // Get the appropriate unit based on dataset
-          const series = context.datasetIndex === 0 ? series1 : series2;
+          const series = seriesList[context.datasetIndex];
           const unit = series.metadata.unit;
           
           // Format the value with appropriate precision
@@ -328,17 +509,16 @@ export class VisualizationEngine {
   }
 
   /**
-   * Generates time labels from both series
-   * @param {Object} series1 - First time series
-   * @param {Object} series2 - Second time series
+   * Generates time labels from the charted series
+   * @param {...Object} seriesList - The charted time series
    * @returns {string[]} Array of formatted time labels
    * @private
    */
-  generateLabels(series1, series2) {
-    // Use the series with more data points as the base
-    const baseSeries = series1.dataPoints.length >= series2.dataPoints.length 
-      ? series1 
-      : series2;
+  generateLabels(...seriesList) {
+    // Use the series with the most data points as the base
+    const baseSeries = seriesList.reduce((base, series) => (
+      series.dataPoints.length > base.dataPoints.length ? series : base
+    ));
 
     // Generate labels from timestamps
     return baseSeries.dataPoints.map(dp => {
@@ -353,6 +533,15 @@ export class VisualizationEngine {
     });
   }
 
+  /**
+   * Gets the charted series in dataset order, from either kind of chart
+   * @returns {Array<Object>} The series
+   * @private
+   */
+  getSeriesList() {
+    return this.currentData.seriesList || [this.currentData.series1, this.currentData.series2];
+  }
+
   /**
    * Destroys the chart instance and cleans up resources
    */
@@ -120,4 +120,75 @@ describe('VisualizationEngine', () => {
     expect(legendConfig.position).toBe('top');
     expect(legendConfig.labels).toBeDefined();
   });
+
+  it('should append data points in place and keep a sliding window', () => {
+    const engine = new VisualizationEngine(mockCanvas);
+    const point = (timestamp, value) => ({ timestamp, value, originalValue: value });
+    const streamed = [10, 11];
+    engine.chart = {
+      data: { labels: [], datasets: [{ data: [1, 2, 3] }, { data: streamed }] },
+      update: vi.fn()
+    };
+    engine.currentData = {
+      series1: { sourceName: 'A', dataPoints: [point(1000, 1), point(2000, 2), point(3000, 3)], metadata: { unit: '' } },
+      series2: { sourceName: 'B', dataPoints: [point(1000, 10), point(2000, 11)], metadata: { unit: '' } },
+      options: {}
+    };
+
+    engine.appendDataPoints(1, [point(3000, 12), point(4000, 13)], 3);
+
+    expect(engine.chart.data.datasets[1].data).toBe(streamed);
+    expect(streamed).toEqual([11, 12, 13]);
+    expect(engine.currentData.series2.dataPoints.map(dp => dp.timestamp)).toEqual([2000, 3000, 4000]);
+    expect(engine.chart.data.labels).toHaveLength(3);
+    expect(engine.chart.update).toHaveBeenCalledWith('none');
+  });
+
+  it('should mark a series as stale or unavailable in the legend', () => {
+    const engine = new VisualizationEngine(mockCanvas);
+    engine.chart = {
+      data: { labels: [], datasets: [{ data: [1, 2], label: 'A' }, { data: [3, 4], label: 'B' }] },
+      update: vi.fn()
+    };
+    engine.currentData = {
+      series1: { sourceName: 'A', dataPoints: [], metadata: { unit: '' } },
+      series2: { sourceName: 'B', dataPoints: [], metadata: { unit: '' } },
+      options: {}
+    };
+
+    engine.setSeriesState(0, 'stale');
+    engine.setSeriesState(1, 'error');
+
+    expect(engine.chart.data.datasets[0]).toMatchObject({ label: 'A (stale)', borderDash: [6, 4], data: [1, 2] });
+    expect(engine.chart.data.datasets[1]).toMatchObject({ label: 'B (unavailable)', borderDash: [], data: [] });
+    expect(() => engine.setSeriesState(0, 'broken')).toThrow('Unknown series state');
+  });
+
+  it('should look up units and states by position when several series are charted', () => {
+    const engine = new VisualizationEngine(mockCanvas);
+    const point = (timestamp, value) => ({ timestamp, value, originalValue: value });
+    const seriesList = ['New York', 'London', 'Tokyo'].map(city => ({
+      sourceName: `Weather (${city})`,
+      dataPoints: [point(1000, 20)],
+      metadata: { unit: '°C' }
+    }));
+    seriesList[2].metadata = { unit: '°F' };
+    engine.chart = {
+      data: { labels: [], datasets: seriesList.map(series => ({ data: [20], label: series.sourceName })) },
+      update: vi.fn()
+    };
+    engine.currentData = { seriesList, options: {} };
+
+    const tooltip = engine.configureTooltips(...seriesList);
+    const label = tooltip.callbacks.label({ dataset: { label: 'Weather (Tokyo)' }, parsed: { y: 68 }, datasetIndex: 2 });
+    expect(label).toBe('Weather (Tokyo): 68.00 °F');
+
+    engine.appendDataPoints(2, [point(2000, 70), point(3000, 71)], 100);
+    engine.setSeriesState(1, 'stale');
+
+    expect(engine.currentData.seriesList[2].dataPoints).toHaveLength(3);
+    expect(engine.chart.data.labels).toHaveLength(3);
+    expect(engine.chart.data.datasets[1].label).toBe('Weather (London) (stale)');
+    expect(() => engine.renderMultiSeriesChart([])).toThrow('At least one series is required');
+  });
 });
@@ -9,6 +9,8 @@
 
 import { UIController } from './UIController.js';
 import { ErrorHandler } from './ErrorHandler.js';
+import { FetchConfigLoader, LocalStorageConfigLoader } from './ConfigLoaders.js';
+import { secretRedactor } from './SecretRedactor.js';
 
 /**
  * Application class that manages the dashboard lifecycle
@@ -36,9 +38,17 @@ class DataWeaverDashboard {
 
       // Create UI controller with configuration
       // Add cache-busting parameter to force reload
+      // ?env=dev merges config.dev.json on top of config.json
+      // ?fixtures=record records API responses, ?fixtures=replay serves them without network access
+      const urlParams = new URLSearchParams(window.location.search);
+
       this.uiController = new UIController({
         configPath: `/config.json?v=${Date.now()}`,
-        canvasId: 'chart-canvas'
+        canvasId: 'chart-canvas',
+        environment: urlParams.get('env'),
+        fixtureMode: urlParams.get('fixtures'),
+        // A config saved in localStorage (e.g. edited by the user) takes precedence over the deployed file
+        configLoader: new LocalStorageConfigLoader({ fallback: new FetchConfigLoader() })
       });
 
       // Set up custom DOM element mapping to match HTML structure
@@ -51,7 +61,7 @@ class DataWeaverDashboard {
       console.log('Data Weaver Dashboard - Initialization complete');
 
     } catch (error) {
-      console.error('Failed to initialize dashboard:', error);
+      console.error('Failed to initialize dashboard:', secretRedactor.redactValue(error));
       
       // Handle initialization errors
       const errorInfo = ErrorHandler.handle(error, 'application-startup');
@@ -115,6 +125,15 @@ class DataWeaverDashboard {
     }
   }
 
+  /**
+   * Saves the API responses recorded with ?fixtures=record; the browser downloads the
+   * fixture file, which replays with ?fixtures=replay once placed at options.fixtures.path
+   * @returns {Promise<void>}
+   */
+  async saveFixtures() {
+    await this.uiController.saveFixtures();
+  }
+
   /**
    * Cleans up resources and destroys the application
    */
@@ -144,7 +163,7 @@ async function startApplication() {
     window.dashboard = dashboard;
     
   } catch (error) {
-    console.error('Application startup failed:', error);
+    console.error('Application startup failed:', secretRedactor.redactValue(error));
     // Error is already displayed by the dashboard initialization
   }
 }